@@ -0,0 +1,504 @@
+/* ============================================
+   BACKGROUND MUSIC - ONE PLAYER FOR ALL SECTIONS
+   ============================================
+   - Playlist with crossfades (track end, section change)
+   - Play / pause / next / volume widget
+   - Remembers track, position, volume and mute
+   - Pauses while the tab is hidden
+   - Replaces the per-section #bgMusic / #backgroundMusic handling
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const MUSIC_CONFIG = {
+  storageKey: 'music_settings',
+  defaultVolume: 0.3,
+  fadeDuration: 1500, // ms, crossfade between tracks
+  volumeFade: 150, // ms, volume / mute / ducking changes
+  savePositionInterval: 5000,
+
+  // Files go in audio/, a missing one is skipped
+  tracks: [
+    { id: 'main', title: 'Nhạc nền', src: 'audio/bgmusic.mp3' }
+  ],
+
+  // Track per section (section-router.js); sections not listed keep playing.
+  // e.g. add { id: 'calm', src: 'audio/bgmusic-calm.mp3' } above, then piano: 'calm'
+  sectionTracks: {},
+
+  // Old <audio> tags the player takes over
+  legacyElementIds: ['bgMusic', 'backgroundMusic'],
+  gestureEvents: ['pointerdown', 'touchstart', 'keydown']
+};
+
+// ============================================
+// MUSIC PLAYER
+// ============================================
+
+class BackgroundMusicPlayer {
+  constructor() {
+    this.tracks = MUSIC_CONFIG.tracks.slice();
+    this.players = [];
+    this.active = 0;
+    this.trackIndex = 0;
+    this.previousIndex = null;
+    this.failedTracks = new Set();
+    this.isPlaying = false;
+    this.pausedByVisibility = false;
+    this.duckLevel = 1;
+    this.fades = new Map();
+    this.saveTimer = null;
+    this.listeners = new Map();
+
+    const settings = this.loadSettings();
+    this.volume = settings.volume ?? MUSIC_CONFIG.defaultVolume;
+    this.muted = settings.muted ?? false;
+    this.resumeOnGesture = settings.wasPlaying ?? false;
+    this.savedTrackId = settings.trackId || null;
+    this.savedPosition = settings.position || 0;
+  }
+
+  init() {
+    this.adoptLegacyElements();
+
+    this.players = [new Audio(), new Audio()];
+    this.players.forEach(player => {
+      player.preload = 'auto';
+      player.volume = 0;
+      player.addEventListener('ended', () => {
+        if (player === this.getPlayer()) this.next();
+      });
+      player.addEventListener('error', () => {
+        if (player === this.getPlayer() && player.getAttribute('src')) this.onTrackError();
+      });
+    });
+
+    const savedIndex = this.tracks.findIndex(track => track.id === this.savedTrackId);
+    this.trackIndex = savedIndex >= 0 ? savedIndex : 0;
+    this.load(this.getPlayer(), this.trackIndex, savedIndex >= 0 ? this.savedPosition : 0);
+
+    document.addEventListener('visibilitychange', () => this.onVisibilityChange());
+    window.addEventListener('pagehide', () => this.saveSettings());
+    this.listenForGesture();
+
+    if (window.sectionRouter) {
+      window.sectionRouter.subscribe((section) => this.onSectionChange(section));
+    }
+
+    console.log(`✅ Background music ready (${this.tracks.length} track(s))`);
+    return true;
+  }
+
+  // Silence the old tags so nothing else plays music on its own
+  adoptLegacyElements() {
+    MUSIC_CONFIG.legacyElementIds.forEach(id => {
+      const element = document.getElementById(id);
+      if (!element) return;
+
+      element.pause();
+      element.autoplay = false;
+      element.dataset.managed = 'true';
+
+      // A page-specific <source> becomes the first track
+      const src = element.querySelector('source')?.getAttribute('src') || element.getAttribute('src');
+      if (src && !this.tracks.some(track => track.src === src)) {
+        this.tracks.unshift({ id, title: MUSIC_CONFIG.tracks[0]?.title || id, src });
+      }
+    });
+  }
+
+  listenForGesture() {
+    const resume = () => {
+      MUSIC_CONFIG.gestureEvents.forEach(type => document.removeEventListener(type, resume, true));
+      if (this.resumeOnGesture && !this.isPlaying) {
+        this.play();
+      }
+    };
+    MUSIC_CONFIG.gestureEvents.forEach(type => document.addEventListener(type, resume, true));
+  }
+
+  getPlayer() {
+    return this.players[this.active];
+  }
+
+  getTrack() {
+    return this.tracks[this.trackIndex] || null;
+  }
+
+  load(player, index, position = 0) {
+    const track = this.tracks[index];
+    if (!track) return;
+
+    player.src = track.src;
+    // Seeking only works once the duration is known
+    if (position > 0) {
+      player.addEventListener('loadedmetadata', () => {
+        if (position < player.duration) player.currentTime = position;
+      }, { once: true });
+    }
+  }
+
+  // A missing file is skipped from now on; the last working track takes over
+  onTrackError() {
+    const track = this.getTrack();
+    console.warn(`⚠️ Music track failed: ${track?.src}`);
+    if (!track) return;
+
+    this.failedTracks.add(track.id);
+    this.notifyListeners();
+    const fallback = this.previousIndex;
+    this.previousIndex = null;
+    if (fallback !== null && !this.failedTracks.has(this.tracks[fallback]?.id)) {
+      this.crossfadeTo(fallback);
+    }
+  }
+
+  // ============================================
+  // TRANSPORT
+  // ============================================
+
+  play() {
+    const player = this.getPlayer();
+    if (!player || !this.getTrack()) return Promise.resolve(false);
+
+    this.isPlaying = true;
+    this.pausedByVisibility = false;
+    this.startSaving();
+    this.notifyListeners();
+
+    return player.play()
+      .then(() => {
+        this.resumeOnGesture = false;
+        this.fade(player, this.getTargetVolume(), MUSIC_CONFIG.fadeDuration);
+        this.saveSettings();
+        return true;
+      })
+      .catch(error => {
+        // Autoplay blocked: try again on the next gesture
+        console.log('🎵 Music waiting for a tap:', error?.message || error);
+        this.isPlaying = false;
+        this.resumeOnGesture = true;
+        this.listenForGesture();
+        this.notifyListeners();
+        return false;
+      });
+  }
+
+  pause() {
+    this.isPlaying = false;
+    // A pause by the listener also cancels a resume waiting for a tap
+    this.resumeOnGesture = false;
+    this.stopSaving();
+    const player = this.getPlayer();
+    this.fade(player, 0, MUSIC_CONFIG.volumeFade, () => player.pause());
+    this.saveSettings();
+    this.notifyListeners();
+  }
+
+  // Sections call this instead of play(), so a pause by the listener holds:
+  // music only comes back when it was playing or waiting for a tap
+  resume() {
+    if (this.isPlaying || !this.resumeOnGesture) return Promise.resolve(this.isPlaying);
+    return this.play();
+  }
+
+  toggle() {
+    return this.isPlaying ? this.pause() : this.play();
+  }
+
+  next() {
+    const playable = this.tracks.filter(track => !this.failedTracks.has(track.id));
+    if (playable.length < 2) {
+      // Single track: just loop it
+      const player = this.getPlayer();
+      player.currentTime = 0;
+      if (this.isPlaying) player.play().catch(() => {});
+      return;
+    }
+    let index = this.trackIndex;
+    do {
+      index = (index + 1) % this.tracks.length;
+    } while (this.failedTracks.has(this.tracks[index].id));
+    this.crossfadeTo(index);
+  }
+
+  crossfadeTo(index) {
+    if (index === this.trackIndex || !this.tracks[index]) return false;
+
+    const from = this.getPlayer();
+    this.previousIndex = this.trackIndex;
+    this.active = 1 - this.active;
+    this.trackIndex = index;
+    const to = this.getPlayer();
+
+    this.load(to, index);
+    to.volume = 0;
+
+    if (this.isPlaying) {
+      to.play().catch(() => {});
+      this.fade(to, this.getTargetVolume(), MUSIC_CONFIG.fadeDuration);
+    }
+    this.fade(from, 0, MUSIC_CONFIG.fadeDuration, () => {
+      from.pause();
+      from.removeAttribute('src');
+    });
+
+    console.log(`🎵 Now playing: ${this.getTrack().title}`);
+    this.saveSettings();
+    this.notifyListeners();
+    return true;
+  }
+
+  onSectionChange(section) {
+    const trackId = MUSIC_CONFIG.sectionTracks[section];
+    if (!trackId) return;
+
+    const index = this.tracks.findIndex(track => track.id === trackId);
+    if (index >= 0 && !this.failedTracks.has(trackId)) this.crossfadeTo(index);
+  }
+
+  onVisibilityChange() {
+    const player = this.getPlayer();
+    if (!player) return;
+
+    if (document.hidden && this.isPlaying) {
+      this.pausedByVisibility = true;
+      this.saveSettings();
+      player.pause();
+    } else if (!document.hidden && this.pausedByVisibility) {
+      this.pausedByVisibility = false;
+      player.play().catch(() => {});
+    }
+  }
+
+  // ============================================
+  // VOLUME, MUTE & DUCKING
+  // ============================================
+
+  getTargetVolume() {
+    if (this.muted || window.soundEffects?.muted) return 0;
+    return this.volume * this.duckLevel;
+  }
+
+  applyVolume() {
+    const player = this.getPlayer();
+    if (player && this.isPlaying) {
+      this.fade(player, this.getTargetVolume(), MUSIC_CONFIG.volumeFade);
+    }
+  }
+
+  setVolume(volume) {
+    this.volume = Math.max(0, Math.min(1, Number(volume) || 0));
+    this.applyVolume();
+    this.saveSettings();
+    this.notifyListeners();
+    return this.volume;
+  }
+
+  setMuted(muted) {
+    this.muted = Boolean(muted);
+    this.applyVolume();
+    this.saveSettings();
+    this.notifyListeners();
+    return this.muted;
+  }
+
+  toggleMute() {
+    return this.setMuted(!this.muted);
+  }
+
+  // Lowered while sound effects play (sound-effects.js)
+  setDuck(level) {
+    this.duckLevel = Math.max(0, Math.min(1, level));
+    this.applyVolume();
+  }
+
+  fade(player, to, duration, done) {
+    cancelAnimationFrame(this.fades.get(player));
+
+    const from = player.volume;
+    const startedAt = performance.now();
+    const step = (time) => {
+      const progress = duration > 0 ? Math.min(1, (time - startedAt) / duration) : 1;
+      player.volume = Math.max(0, Math.min(1, from + (to - from) * progress));
+      if (progress < 1) {
+        this.fades.set(player, requestAnimationFrame(step));
+      } else {
+        this.fades.delete(player);
+        if (done) done();
+      }
+    };
+    this.fades.set(player, requestAnimationFrame(step));
+  }
+
+  // ============================================
+  // PERSISTENCE & LISTENERS
+  // ============================================
+
+  startSaving() {
+    if (this.saveTimer) return;
+    this.saveTimer = setInterval(() => this.saveSettings(), MUSIC_CONFIG.savePositionInterval);
+  }
+
+  stopSaving() {
+    clearInterval(this.saveTimer);
+    this.saveTimer = null;
+  }
+
+  loadSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(MUSIC_CONFIG.storageKey) || '{}');
+      return saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  saveSettings() {
+    const player = this.getPlayer();
+    try {
+      localStorage.setItem(MUSIC_CONFIG.storageKey, JSON.stringify({
+        volume: this.volume,
+        muted: this.muted,
+        trackId: this.getTrack()?.id || null,
+        position: player ? Math.floor(player.currentTime || 0) : 0,
+        wasPlaying: this.isPlaying
+      }));
+    } catch (error) {
+      console.warn('⚠️ Storage error:', error);
+    }
+  }
+
+  // Subscribe to player status changes
+  subscribe(callback) {
+    const id = Math.random();
+    this.listeners.set(id, callback);
+    return () => this.listeners.delete(id);
+  }
+
+  notifyListeners() {
+    const status = this.getStatus();
+    this.listeners.forEach(callback => {
+      try {
+        callback(status);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+
+  getStatus() {
+    return {
+      isPlaying: this.isPlaying,
+      volume: this.volume,
+      muted: this.muted,
+      track: this.getTrack(),
+      trackCount: this.tracks.length - this.failedTracks.size
+    };
+  }
+}
+
+// ============================================
+// MUSIC WIDGET (UI)
+// ============================================
+
+class MusicWidget {
+  constructor(player) {
+    this.player = player;
+    this.container = null;
+    this.buttons = {};
+    this.slider = null;
+    this.title = null;
+  }
+
+  init() {
+    this.container = document.createElement('div');
+    this.container.className = 'music-widget';
+    this.container.setAttribute('role', 'group');
+    this.container.setAttribute('aria-label', 'Nhạc nền');
+    this.container.innerHTML = `
+      <button type="button" class="music-btn" data-action="toggle"></button>
+      <button type="button" class="music-btn" data-action="next" aria-label="Bài tiếp theo">⏭️</button>
+      <button type="button" class="music-btn" data-action="mute"></button>
+      <input type="range" class="music-volume" min="0" max="1" step="0.05" aria-label="Âm lượng nhạc nền">
+      <span class="music-title"></span>
+    `;
+    document.body.appendChild(this.container);
+
+    this.container.querySelectorAll('[data-action]').forEach(button => {
+      this.buttons[button.dataset.action] = button;
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.handleAction(button.dataset.action);
+      });
+    });
+
+    this.slider = this.container.querySelector('.music-volume');
+    this.title = this.container.querySelector('.music-title');
+    this.slider.addEventListener('input', () => this.player.setVolume(this.slider.value));
+
+    this.player.subscribe(() => this.render());
+    this.render();
+    return true;
+  }
+
+  handleAction(action) {
+    switch (action) {
+      case 'toggle':
+        this.player.toggle();
+        break;
+      case 'next':
+        this.player.next();
+        break;
+      case 'mute':
+        this.player.toggleMute();
+        break;
+    }
+  }
+
+  render() {
+    const { isPlaying, volume, muted, track, trackCount } = this.player.getStatus();
+
+    this.container.classList.toggle('playing', isPlaying);
+    this.buttons.toggle.textContent = isPlaying ? '⏸️' : '▶️';
+    this.buttons.toggle.setAttribute('aria-label', isPlaying ? 'Tạm dừng nhạc' : 'Phát nhạc');
+    this.buttons.next.hidden = trackCount < 2;
+    this.buttons.mute.textContent = muted ? '🔇' : '🔈';
+    this.buttons.mute.setAttribute('aria-pressed', String(muted));
+    this.buttons.mute.setAttribute('aria-label', muted ? 'Bật nhạc nền' : 'Tắt nhạc nền');
+    this.slider.value = volume;
+    this.title.textContent = track ? `🎵 ${track.title}` : '';
+  }
+}
+
+// ============================================
+// GLOBAL INSTANCE & EXPORTS
+// ============================================
+
+const backgroundMusic = new BackgroundMusicPlayer();
+
+function initBackgroundMusic() {
+  backgroundMusic.init();
+  new MusicWidget(backgroundMusic).init();
+}
+
+// Auto-init
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initBackgroundMusic);
+} else {
+  initBackgroundMusic();
+}
+
+window.backgroundMusic = backgroundMusic;
+
+window.musicDebug = {
+  status: () => backgroundMusic.getStatus(),
+  play: () => backgroundMusic.play(),
+  pause: () => backgroundMusic.pause(),
+  next: () => backgroundMusic.next(),
+  clearSettings: () => localStorage.removeItem(MUSIC_CONFIG.storageKey)
+};
+
+console.log('✨ Background music script loaded!');
@@ -0,0 +1,793 @@
+/* ============================================
+   GIFT BUILDER - CONTENT EDITOR
+   ============================================
+   - Edit letter, images, melody, gift and colours in a form
+   - Live preview of the letter page (typewriter included)
+   - Unlock melody recorded by playing the mini piano
+   - Output: content.json, a ZIP of the site or a share link
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const BUILDER_CONFIG = {
+  contentUrl: 'content.json',
+  previewUrl: 'index.html?preview=1',
+  shareUrl: 'index.html',
+  previewDelay: 400, // ms of quiet typing before the preview refreshes
+
+  // Pictures offered for stickers, rain and the gift
+  imageLibrary: [
+    'images/chiikawa1.png',
+    'images/chiikawa2.png',
+    'images/chiikawa3.png',
+    'images/chiikawa.png',
+    'images/usagi.png',
+    'images/hareware.png',
+    'images/chiikawa-falling-1.png',
+    'images/chiikawa-falling-2.png',
+    'images/chiikawa-falling-3.png',
+    'images/gift-box.png'
+  ],
+
+  // Mini piano range and melody playback speed
+  keyboard: { from: 'C4', to: 'B5' },
+  melodyBeat: 0.25, // seconds per rhythm unit when previewing
+
+  // Colours of index.html, used when the config has none
+  defaultTheme: {
+    primary: '#ff9a9e',
+    primaryDark: '#ff758c',
+    secondary: '#fad0c4',
+    accent: '#d63384',
+    text: '#5d4037',
+    paper: '#fff9f0'
+  },
+
+  // Copied into the ZIP next to content.json and the chosen images:
+  // everything index.html loads, plus the click cue and the piano samples
+  zipFiles: [
+    'index.html', 'manifest.json', 'favicon.ico',
+    'intro-styles.css', 'piano-styles.css', 'gift-styles.css', 'message-styles.css',
+    'content-config.js', 'typewriter.js', 'letter-pages.js', 'envelope.js',
+    'haptics.js', 'particles.js',
+    'piano-synth.js', 'chord-detector.js', 'melody-matcher.js', 'piano-script.js',
+    'midi-file.js', 'piano-recorder.js', 'midi-input.js', 'piano-tutorial.js', 'piano-metronome.js',
+    'gift-script.js',
+    'message-backends.js', 'message-outbox.js', 'message-inbox.js', 'message-script.js',
+    'section-router.js', 'sound-effects.js', 'background-music.js',
+    'audio/click-sound.mp3',
+    'audio/piano-C.mp3', 'audio/piano-Cs.mp3', 'audio/piano-D.mp3', 'audio/piano-Ds.mp3',
+    'audio/piano-E.mp3', 'audio/piano-F.mp3', 'audio/piano-Fs.mp3', 'audio/piano-G.mp3',
+    'audio/piano-Gs.mp3', 'audio/piano-A.mp3', 'audio/piano-As.mp3', 'audio/piano-B.mp3'
+  ],
+
+  // Longer links get cut by some chat apps
+  maxLinkLength: 8000
+};
+
+// ============================================
+// LETTER TEXT <-> HTML
+// ============================================
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Blank line = new paragraph, **text** = bold
+function letterTextToHtml(text, signature) {
+  const paragraphs = text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => {
+      const html = escapeHtml(paragraph)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\n/g, '<br>');
+      return `<p>${html}</p>`;
+    });
+
+  if (signature.trim()) {
+    paragraphs.push(`<div class="signature">${escapeHtml(signature.trim())}</div>`);
+  }
+  return paragraphs.join('\n');
+}
+
+function letterHtmlToText(html) {
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  const paragraphs = [];
+  let signature = '';
+
+  const toText = (node) => Array.from(node.childNodes).map(child => {
+    if (child.nodeType === Node.TEXT_NODE) return child.textContent;
+    if (child.nodeName === 'BR') return '\n';
+    if (child.nodeName === 'STRONG' || child.nodeName === 'B') return `**${toText(child)}**`;
+    return toText(child);
+  }).join('');
+
+  Array.from(doc.body.children).forEach(element => {
+    if (element.classList.contains('signature')) {
+      signature = element.textContent.trim();
+    } else {
+      paragraphs.push(toText(element).trim());
+    }
+  });
+
+  return { text: paragraphs.filter(Boolean).join('\n\n'), signature };
+}
+
+// ISO time -> "2026-12-24T20:00" for <input type="datetime-local">
+function toLocalDateTime(iso) {
+  const date = iso ? new Date(iso) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+}
+
+// ============================================
+// MELODY RECORDER
+// ============================================
+
+class MelodyRecorder {
+  constructor() {
+    this.isRecording = false;
+    this.notes = [];
+    this.onsets = [];
+    this.rhythm = null;
+  }
+
+  start() {
+    this.clear();
+    this.isRecording = true;
+  }
+
+  stop() {
+    this.isRecording = false;
+  }
+
+  clear() {
+    this.notes = [];
+    this.onsets = [];
+    this.rhythm = null;
+  }
+
+  push(note, time = performance.now()) {
+    if (!this.isRecording) return false;
+    this.notes.push(note);
+    this.onsets.push(time);
+    return true;
+  }
+
+  // Gaps between notes in units of the shortest gap, e.g. [3, 1, 4, 4, 4, 4]
+  getRhythm() {
+    if (this.notes.length < 2) return this.notes.length ? [1] : null;
+
+    const gaps = this.onsets.slice(1).map((time, i) => time - this.onsets[i]);
+    const unit = Math.max(1, Math.min(...gaps));
+    const rhythm = gaps.map(gap => Math.max(1, Math.round(gap / unit)));
+
+    // The last note has no gap after it, the matcher never checks it
+    rhythm.push(rhythm[rhythm.length - 1]);
+    return rhythm;
+  }
+
+  // Load an existing melody so it can be played back and kept
+  load(melody) {
+    this.notes = [...(melody?.notes || [])];
+    this.onsets = [];
+    this.rhythm = melody?.rhythm || null;
+  }
+
+  getMelody() {
+    return {
+      notes: [...this.notes],
+      rhythm: this.onsets.length ? this.getRhythm() : this.rhythm
+    };
+  }
+}
+
+// ============================================
+// MINI PIANO
+// ============================================
+
+class BuilderPiano {
+  constructor(container, onNote) {
+    this.container = container;
+    this.onNote = onNote;
+    this.engine = null;
+    this.engineReady = null;
+  }
+
+  init() {
+    const from = noteToMidi(BUILDER_CONFIG.keyboard.from);
+    const to = noteToMidi(BUILDER_CONFIG.keyboard.to);
+
+    for (let midi = from; midi <= to; midi++) {
+      const note = midiToNote(midi);
+      const key = document.createElement('button');
+      key.type = 'button';
+      key.className = `builder-key${note.includes('#') ? ' black' : ''}`;
+      key.dataset.note = note;
+      key.setAttribute('aria-label', note);
+      key.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        this.press(note);
+      });
+      // Keyboard users press Enter / Space
+      key.addEventListener('click', (e) => {
+        if (e.detail === 0) this.press(note);
+      });
+      this.container.appendChild(key);
+    }
+    return true;
+  }
+
+  // Audio can only start inside a user gesture
+  ensureEngine() {
+    if (!this.engineReady) {
+      this.engine = new PianoAudioEngine();
+      this.engineReady = this.engine.init();
+    }
+    return this.engineReady;
+  }
+
+  async press(note) {
+    this.light(note);
+    this.onNote(note);
+
+    await this.ensureEngine();
+    this.engine.playNote(note, { duration: 600 });
+  }
+
+  light(note, duration = 200) {
+    const key = this.container.querySelector(`[data-note="${note}"]`);
+    if (!key) return;
+    key.classList.add('active');
+    setTimeout(() => key.classList.remove('active'), duration);
+  }
+
+  async playMelody({ notes, rhythm }) {
+    await this.ensureEngine();
+    const ctx = this.engine.audioContext;
+    if (!ctx) return;
+
+    const beat = BUILDER_CONFIG.melodyBeat;
+    let when = ctx.currentTime + 0.05;
+
+    notes.forEach((note, i) => {
+      const length = (rhythm?.[i] ?? 2) * beat;
+      this.engine.playNote(note, { when, duration: length * 1000 });
+      setTimeout(() => this.light(note, length * 1000), (when - ctx.currentTime) * 1000);
+      when += length;
+    });
+  }
+}
+
+// ============================================
+// ZIP WRITER (STORE, NO COMPRESSION)
+// ============================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * files = [{ name: 'images/a.png', data: Uint8Array }]
+ * Images and MP3s are compressed already, so plain storing is enough.
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(local, nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014B50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(12, dosTime, true);
+    entry.setUint16(14, dosDate, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(entry, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+// ============================================
+// BUILDER CONTROLLER
+// ============================================
+
+class GiftBuilder {
+  constructor() {
+    this.base = null;
+    this.config = null;
+    this.recorder = new MelodyRecorder();
+    this.piano = null;
+    this.previewTimer = null;
+    this.elements = {};
+  }
+
+  async init() {
+    console.log('🛠️ Initializing gift builder...');
+
+    const get = (id) => document.getElementById(id);
+    this.elements = {
+      form: get('builderForm'),
+      preview: get('builderPreview'),
+      status: get('builderStatus'),
+      stickerPicker: get('stickerPicker'),
+      rainPicker: get('rainPicker'),
+      giftImage: get('giftImage'),
+      melodyNotes: get('melodyNotes'),
+      recordButton: get('melodyRecord'),
+      shareLink: get('shareLink'),
+      outputButtons: document.querySelectorAll('[data-output]')
+    };
+
+    this.base = await this.loadBase();
+    this.renderImagePickers(this.getImageLibrary(this.base));
+    this.fillForm(this.base);
+
+    this.piano = new BuilderPiano(get('builderKeys'), (note) => this.onPianoNote(note));
+    this.piano.init();
+
+    this.setupListeners();
+    this.update();
+
+    console.log('✅ Gift builder ready');
+    return true;
+  }
+
+  // Start from the site's current content.json
+  async loadBase() {
+    try {
+      const response = await fetch(BUILDER_CONFIG.contentUrl, { cache: 'no-cache' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.warn('⚠️ content.json not loaded, starting from an empty gift:', error);
+      return { version: 1 };
+    }
+  }
+
+  // The library plus any other picture the current config already uses
+  getImageLibrary(config) {
+    const used = [
+      config.letter?.sticker,
+      ...(config.letter?.rainImages || []),
+      ...(config.gift?.contents || []).filter(item => item.type === 'image').map(item => item.src)
+    ];
+    return Array.from(new Set([...BUILDER_CONFIG.imageLibrary, ...used.filter(Boolean)]));
+  }
+
+  renderImagePickers(images) {
+    const { stickerPicker, rainPicker, giftImage } = this.elements;
+
+    images.forEach(src => {
+      stickerPicker.appendChild(this.createImageOption('radio', 'sticker', src));
+      rainPicker.appendChild(this.createImageOption('checkbox', 'rainImages', src));
+
+      const option = document.createElement('option');
+      option.value = src;
+      option.textContent = src.replace(/^images\//, '');
+      giftImage.appendChild(option);
+    });
+  }
+
+  createImageOption(type, name, src) {
+    const label = document.createElement('label');
+    label.className = 'image-option';
+
+    const input = document.createElement('input');
+    input.type = type;
+    input.name = name;
+    input.value = src;
+
+    const img = document.createElement('img');
+    img.src = src;
+    img.alt = src.replace(/^images\//, '');
+    img.loading = 'lazy';
+
+    label.append(input, img);
+    return label;
+  }
+
+  // ============================================
+  // FORM <-> CONFIG
+  // ============================================
+
+  fillForm(config) {
+    const { form } = this.elements;
+    const letter = config.letter || {};
+    const gift = config.gift || {};
+    const contents = gift.contents || [];
+    const theme = { ...BUILDER_CONFIG.defaultTheme, ...(config.theme || {}) };
+
+    const set = (name, value) => {
+      if (value !== undefined && form.elements[name]) form.elements[name].value = value;
+    };
+
+    set('title', letter.title);
+    set('clickHint', letter.clickHint);
+    set('heading', letter.heading);
+    set('quote', letter.quote);
+
+    const { text, signature } = letterHtmlToText(letter.html || '');
+    set('letterBody', text);
+    set('signature', signature);
+    set('openAt', toLocalDateTime(letter.openAt));
+
+    form.querySelectorAll('input[name="sticker"]').forEach(input => {
+      input.checked = input.value === letter.sticker;
+    });
+    form.querySelectorAll('input[name="rainImages"]').forEach(input => {
+      input.checked = (letter.rainImages || []).includes(input.value);
+    });
+
+    const melody = config.piano?.unlockMelody;
+    set('melodyName', melody?.name);
+    this.recorder.load(melody);
+
+    set('giftTitle', gift.title);
+    set('giftImage', contents.find(item => item.type === 'image')?.src || '');
+    set('giftText', contents.find(item => item.type === 'text')?.text);
+    set('giftContinue', gift.continueLabel);
+
+    Object.entries(theme).forEach(([key, value]) => set(`theme-${key}`, value));
+  }
+
+  // Edited fields on top of the base, so untouched settings survive
+  buildConfig() {
+    const { form } = this.elements;
+    const value = (name) => form.elements[name].value;
+    const config = JSON.parse(JSON.stringify(this.base));
+    config.version = 1;
+
+    const checked = (name) => Array.from(form.querySelectorAll(`input[name="${name}"]:checked`))
+      .map(input => input.value);
+
+    config.letter = {
+      ...config.letter,
+      title: value('title'),
+      clickHint: value('clickHint'),
+      heading: value('heading'),
+      quote: value('quote'),
+      html: letterTextToHtml(value('letterBody'), value('signature'))
+    };
+    config.letter.openAt = value('openAt') ? new Date(value('openAt')).toISOString() : null;
+    const sticker = checked('sticker')[0];
+    if (sticker) config.letter.sticker = sticker;
+    config.letter.rainImages = checked('rainImages');
+
+    const melody = this.recorder.getMelody();
+    if (melody.notes.length) {
+      config.piano = { ...config.piano };
+      config.piano.unlockMelody = { ...config.piano.unlockMelody, name: value('melodyName'), ...melody };
+    }
+
+    // Image and text are edited here, other items (audio, links) are kept
+    const others = (config.gift?.contents || []).filter(item => item.type !== 'image' && item.type !== 'text');
+    const contents = [];
+    if (value('giftImage')) contents.push({ type: 'image', src: value('giftImage'), alt: '' });
+    if (value('giftText').trim()) contents.push({ type: 'text', text: value('giftText').trim() });
+    config.gift = {
+      ...config.gift,
+      title: value('giftTitle'),
+      continueLabel: value('giftContinue'),
+      contents: [...contents, ...others]
+    };
+
+    // The recipient lives on the relay, older configs may still carry one
+    config.message = { ...config.message };
+    delete config.message.recipientEmail;
+
+    config.theme = {};
+    Object.keys(BUILDER_CONFIG.defaultTheme).forEach(key => {
+      config.theme[key] = value(`theme-${key}`);
+    });
+
+    return config;
+  }
+
+  // ============================================
+  // EVENTS
+  // ============================================
+
+  setupListeners() {
+    const { form, preview, recordButton, shareLink } = this.elements;
+
+    form.addEventListener('input', () => this.scheduleUpdate());
+    form.addEventListener('change', () => this.scheduleUpdate());
+    form.addEventListener('submit', (e) => e.preventDefault());
+
+    preview.src = BUILDER_CONFIG.previewUrl;
+    preview.addEventListener('load', () => this.postPreview());
+
+    recordButton.addEventListener('click', () => this.toggleRecording());
+    document.getElementById('melodyPlay').addEventListener('click', () => {
+      this.piano.playMelody(this.recorder.getMelody());
+    });
+    document.getElementById('melodyClear').addEventListener('click', () => {
+      this.recorder.stop();
+      this.recorder.clear();
+      this.renderMelody();
+      this.scheduleUpdate();
+    });
+
+    this.elements.outputButtons.forEach(button => {
+      button.addEventListener('click', () => this.runOutput(button.dataset.output));
+    });
+
+    document.getElementById('copyLink').addEventListener('click', async () => {
+      if (!shareLink.value) return;
+      try {
+        await navigator.clipboard.writeText(shareLink.value);
+        this.showMessage('📋 Đã sao chép link!');
+      } catch (error) {
+        shareLink.select();
+      }
+    });
+  }
+
+  scheduleUpdate() {
+    clearTimeout(this.previewTimer);
+    this.previewTimer = setTimeout(() => this.update(), BUILDER_CONFIG.previewDelay);
+  }
+
+  update() {
+    this.config = this.buildConfig();
+    this.renderMelody();
+
+    const result = validateContentConfig(this.config);
+    this.renderStatus(result);
+    this.elements.outputButtons.forEach(button => {
+      button.disabled = !result.valid;
+    });
+    this.elements.shareLink.value = '';
+
+    if (result.valid) this.postPreview();
+  }
+
+  postPreview() {
+    const frame = this.elements.preview.contentWindow;
+    if (!frame || !this.config) return;
+
+    try {
+      frame.postMessage({ type: 'content-preview', config: this.config }, window.location.origin);
+    } catch (error) {
+      console.warn('⚠️ Preview needs the page to be served over http(s):', error);
+    }
+  }
+
+  onPianoNote(note) {
+    if (this.recorder.push(note)) {
+      this.renderMelody();
+      this.scheduleUpdate();
+    }
+  }
+
+  toggleRecording() {
+    if (this.recorder.isRecording) {
+      this.recorder.stop();
+    } else {
+      this.recorder.start();
+    }
+    this.renderMelody();
+    this.scheduleUpdate();
+  }
+
+  // ============================================
+  // RENDERING
+  // ============================================
+
+  renderMelody() {
+    const { melodyNotes, recordButton } = this.elements;
+    const { notes, rhythm } = this.recorder.getMelody();
+
+    recordButton.classList.toggle('recording', this.recorder.isRecording);
+    recordButton.textContent = this.recorder.isRecording ? '⏹️ Dừng ghi' : '🔴 Ghi giai điệu';
+
+    if (notes.length === 0) {
+      melodyNotes.textContent = this.recorder.isRecording
+        ? '🎹 Đang nghe... hãy chơi giai điệu!'
+        : 'Chưa có giai điệu mới, trang vẫn dùng giai điệu cũ';
+      return;
+    }
+    melodyNotes.textContent = notes.map((note, i) => (rhythm ? `${note}·${rhythm[i]}` : note)).join('  ');
+  }
+
+  renderStatus({ valid, errors }) {
+    const { status } = this.elements;
+    status.innerHTML = '';
+    status.classList.toggle('invalid', !valid);
+
+    if (valid) {
+      status.textContent = '✅ Cấu hình hợp lệ';
+      return;
+    }
+
+    const title = document.createElement('strong');
+    title.textContent = '⚠️ Cần sửa trước khi xuất:';
+    const list = document.createElement('ul');
+    errors.forEach(({ path, message }) => {
+      const item = document.createElement('li');
+      item.textContent = `${path} ${message}`;
+      list.appendChild(item);
+    });
+    status.append(title, list);
+  }
+
+  showMessage(text) {
+    const { status } = this.elements;
+    status.classList.remove('invalid');
+    status.textContent = text;
+  }
+
+  // ============================================
+  // OUTPUT
+  // ============================================
+
+  async runOutput(type) {
+    clearTimeout(this.previewTimer);
+    this.update();
+    if (!validateContentConfig(this.config).valid) return;
+
+    try {
+      if (type === 'json') this.downloadJson();
+      if (type === 'zip') await this.downloadZip();
+      if (type === 'link') await this.createLink();
+    } catch (error) {
+      console.error(`❌ Builder output failed (${type}):`, error);
+      this.showMessage(`❌ Không xuất được: ${error.message}`);
+    }
+  }
+
+  getJson() {
+    return `${JSON.stringify(this.config, null, 2)}\n`;
+  }
+
+  downloadJson() {
+    this.download(new Blob([this.getJson()], { type: 'application/json' }), 'content.json');
+    this.showMessage('📥 Đã tải content.json, chép đè vào thư mục trang web là xong!');
+  }
+
+  // Local images the config points at
+  getReferencedFiles() {
+    const { letter = {}, gift = {}, message = {} } = this.config;
+    const urls = [
+      letter.sticker,
+      ...(letter.rainImages || []),
+      ...(message.rainImages || []),
+      ...(gift.contents || []).map(item => item.src)
+    ];
+    return urls.filter(url => url && !/^[a-z][a-z0-9+.-]*:|^\/\//i.test(url));
+  }
+
+  async downloadZip() {
+    this.showMessage('🗜️ Đang đóng gói...');
+    const names = Array.from(new Set([...BUILDER_CONFIG.zipFiles, ...this.getReferencedFiles()]));
+
+    const files = [{ name: 'content.json', data: new TextEncoder().encode(this.getJson()) }];
+    const missing = [];
+
+    await Promise.all(names.map(async (name) => {
+      try {
+        const response = await fetch(name);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        files.push({ name, data: new Uint8Array(await response.arrayBuffer()) });
+      } catch (error) {
+        console.warn(`⚠️ Not added to the ZIP: ${name}`, error);
+        missing.push(name);
+      }
+    }));
+
+    this.download(createZip(files), 'gift.zip');
+    this.showMessage(missing.length
+      ? `📦 Đã tải gift.zip (thiếu: ${missing.join(', ')})`
+      : '📦 Đã tải gift.zip');
+  }
+
+  async createLink() {
+    const url = new URL(BUILDER_CONFIG.shareUrl, window.location.href);
+    url.search = '';
+    url.hash = `content=${await encodeContentHash(this.config)}`;
+
+    const link = url.toString();
+    this.elements.shareLink.value = link;
+    this.showMessage(link.length > BUILDER_CONFIG.maxLinkLength
+      ? `⚠️ Link khá dài (${link.length} ký tự), vài ứng dụng chat có thể cắt mất. Thử tải ZIP nhé!`
+      : '🔗 Link đã sẵn sàng!');
+  }
+
+  download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+// ============================================
+// GLOBAL INSTANCE
+// ============================================
+
+const giftBuilder = new GiftBuilder();
+
+// Auto-init
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => giftBuilder.init());
+} else {
+  giftBuilder.init();
+}
+
+window.giftBuilder = giftBuilder;
+
+window.builderDebug = {
+  config: () => giftBuilder.buildConfig(),
+  validate: () => validateContentConfig(giftBuilder.buildConfig()),
+  melody: () => giftBuilder.recorder.getMelody()
+};
+
+console.log('✨ Gift builder script loaded!');
@@ -0,0 +1,242 @@
+/* ============================================
+   CHORD DETECTOR - INTERVAL & CHORD NAMING
+   ============================================
+   - Pure naming of intervals and chords
+   - Triads, sus, 7ths, inversions (slash bass)
+   - On-screen chord label next to the progress
+   - Naming runs in the browser and in Node
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const CHORD_CONFIG = {
+  holdDisplay: 1500, // ms the last chord stays visible after release
+
+  // Interval sets measured from the root, in the order used for inversions
+  chords: [
+    { quality: 'major', suffix: '', intervals: [0, 4, 7] },
+    { quality: 'minor', suffix: 'm', intervals: [0, 3, 7] },
+    { quality: 'diminished', suffix: 'dim', intervals: [0, 3, 6] },
+    { quality: 'augmented', suffix: 'aug', intervals: [0, 4, 8] },
+    { quality: 'sus2', suffix: 'sus2', intervals: [0, 2, 7] },
+    { quality: 'sus4', suffix: 'sus4', intervals: [0, 5, 7] },
+    { quality: 'dominant7', suffix: '7', intervals: [0, 4, 7, 10] },
+    { quality: 'major7', suffix: 'maj7', intervals: [0, 4, 7, 11] },
+    { quality: 'minor7', suffix: 'm7', intervals: [0, 3, 7, 10] },
+    { quality: 'minorMajor7', suffix: 'mMaj7', intervals: [0, 3, 7, 11] },
+    { quality: 'halfDiminished7', suffix: 'm7b5', intervals: [0, 3, 6, 10] },
+    { quality: 'diminished7', suffix: 'dim7', intervals: [0, 3, 6, 9] },
+    { quality: 'augmented7', suffix: 'aug7', intervals: [0, 4, 8, 10] },
+    { quality: 'dominant7sus4', suffix: '7sus4', intervals: [0, 5, 7, 10] },
+    { quality: 'power', suffix: '5', intervals: [0, 7] }
+  ],
+
+  intervals: [
+    { symbol: 'P8', label: 'Quãng 8 đúng' },
+    { symbol: 'm2', label: 'Quãng 2 thứ' },
+    { symbol: 'M2', label: 'Quãng 2 trưởng' },
+    { symbol: 'm3', label: 'Quãng 3 thứ' },
+    { symbol: 'M3', label: 'Quãng 3 trưởng' },
+    { symbol: 'P4', label: 'Quãng 4 đúng' },
+    { symbol: 'TT', label: 'Quãng 4 tăng' },
+    { symbol: 'P5', label: 'Quãng 5 đúng' },
+    { symbol: 'm6', label: 'Quãng 6 thứ' },
+    { symbol: 'M6', label: 'Quãng 6 trưởng' },
+    { symbol: 'm7', label: 'Quãng 7 thứ' },
+    { symbol: 'M7', label: 'Quãng 7 trưởng' }
+  ],
+
+  inversionLabels: ['', 'đảo 1', 'đảo 2', 'đảo 3']
+};
+
+const CHORD_PITCH_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// ============================================
+// PURE NAMING FUNCTIONS
+// ============================================
+
+// MIDI number, pitch class number or note name ("Bb3", "F#") -> ordering value
+function toPitchValue(note) {
+  if (typeof note === 'number' && Number.isFinite(note)) return note;
+
+  const match = /^([A-Ga-g])([#b]?)(-?\d+)?$/.exec(String(note ?? '').trim());
+  if (!match) return null;
+
+  let semitone = CHORD_PITCH_NAMES.indexOf(match[1].toUpperCase());
+  if (match[2] === '#') semitone += 1;
+  if (match[2] === 'b') semitone -= 1;
+
+  // Notes without an octave are placed in octave 4
+  const octave = match[3] !== undefined ? parseInt(match[3], 10) : 4;
+  return (octave + 1) * 12 + semitone;
+}
+
+function pitchClassOf(value) {
+  return ((value % 12) + 12) % 12;
+}
+
+/**
+ * Name the interval or chord formed by a set of notes.
+ * Accepts MIDI numbers, pitch classes or note names; the lowest note is the bass.
+ * options.bass overrides the bass (one outside the chord makes a slash chord, "C/D"),
+ * options.includePower names two-note fifths as power chords.
+ * Returns null for fewer than two notes or an unknown set.
+ */
+function detectChord(notes, options = {}) {
+  const values = (notes || []).map(toPitchValue).filter(value => value !== null);
+  if (values.length < 2) return null;
+
+  const bassValue = options.bass !== undefined ? toPitchValue(options.bass) : Math.min(...values);
+  const bass = pitchClassOf(bassValue);
+  const pitchClasses = Array.from(new Set(values.map(pitchClassOf))).sort((a, b) => a - b);
+
+  // Same note in two octaves
+  if (pitchClasses.length === 1) {
+    const interval = CHORD_CONFIG.intervals[0];
+    return {
+      type: 'interval',
+      name: interval.symbol,
+      label: interval.label,
+      root: CHORD_PITCH_NAMES[bass],
+      semitones: 12,
+      pitchClasses
+    };
+  }
+
+  if (pitchClasses.length === 2 && !options.includePower) {
+    const other = pitchClasses[0] === bass ? pitchClasses[1] : pitchClasses[0];
+    const semitones = pitchClassOf(other - bass);
+    const interval = CHORD_CONFIG.intervals[semitones];
+    return {
+      type: 'interval',
+      name: interval.symbol,
+      label: interval.label,
+      root: CHORD_PITCH_NAMES[bass],
+      semitones,
+      pitchClasses
+    };
+  }
+
+  const matches = [];
+  pitchClasses.forEach(root => {
+    const shape = pitchClasses.map(pc => pitchClassOf(pc - root)).sort((a, b) => a - b);
+
+    CHORD_CONFIG.chords.forEach(chord => {
+      if (chord.intervals.length !== shape.length) return;
+      if (!chord.intervals.every((interval, i) => interval === shape[i])) return;
+
+      // A bass that is not a chord tone leaves the chord in root position
+      const inversion = Math.max(0, chord.intervals.indexOf(pitchClassOf(bass - root)));
+      const name = `${CHORD_PITCH_NAMES[root]}${chord.suffix}`;
+      matches.push({
+        type: 'chord',
+        name,
+        symbol: bass !== root ? `${name}/${CHORD_PITCH_NAMES[bass]}` : name,
+        root: CHORD_PITCH_NAMES[root],
+        bass: CHORD_PITCH_NAMES[bass],
+        quality: chord.quality,
+        inversion,
+        label: CHORD_CONFIG.inversionLabels[inversion] || '',
+        pitchClasses
+      });
+    });
+  });
+
+  if (matches.length === 0) return null;
+
+  // Symmetric chords (aug, dim7) match several roots: prefer the bass as root
+  return matches.find(match => match.root === match.bass) || matches[0];
+}
+
+// "Bbm7" and "A#m7" name the same chord
+function normalizeChordName(name) {
+  const match = /^([A-Ga-g])([#b]?)(.*)$/.exec(String(name ?? '').trim());
+  if (!match) return null;
+
+  let semitone = CHORD_PITCH_NAMES.indexOf(match[1].toUpperCase());
+  if (match[2] === '#') semitone += 1;
+  if (match[2] === 'b') semitone -= 1;
+
+  return `${CHORD_PITCH_NAMES[pitchClassOf(semitone)]}${match[3]}`;
+}
+
+function chordNamesEqual(a, b) {
+  const left = normalizeChordName(a);
+  return left !== null && left === normalizeChordName(b);
+}
+
+// ============================================
+// CHORD DISPLAY (UI)
+// ============================================
+
+class PianoChordDisplay {
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+    this.element = null;
+    this.hideTimer = null;
+  }
+
+  init() {
+    const progress = document.getElementById('pianoProgress');
+    if (!progress) return false;
+
+    this.element = document.createElement('span');
+    this.element.id = 'pianoChord';
+    this.element.className = 'piano-chord';
+    this.element.setAttribute('aria-live', 'polite');
+    progress.parentNode.insertBefore(this.element, progress.nextSibling);
+
+    this.stateManager.subscribe((changes, state) => {
+      if ('activeKeys' in changes) {
+        this.render(state.activeKeys);
+      }
+    });
+    return true;
+  }
+
+  render(activeKeys) {
+    const chord = detectChord(activeKeys);
+
+    if (chord) {
+      clearTimeout(this.hideTimer);
+      this.element.textContent = chord.type === 'chord'
+        ? `🎶 ${chord.symbol}${chord.label ? ` (${chord.label})` : ''}`
+        : `🎶 ${chord.label}`;
+      this.element.classList.add('visible');
+      return;
+    }
+
+    // Keep the last chord readable for a moment after letting go
+    clearTimeout(this.hideTimer);
+    this.hideTimer = setTimeout(() => {
+      this.element.classList.remove('visible');
+    }, CHORD_CONFIG.holdDisplay);
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+const ChordDetector = {
+  detectChord,
+  normalizeChordName,
+  chordNamesEqual,
+  config: CHORD_CONFIG
+};
+
+if (typeof window !== 'undefined') {
+  window.ChordDetector = ChordDetector;
+
+  // Picked up by PianoController.init()
+  window.initPianoChordDisplay = (controller) => {
+    const display = new PianoChordDisplay(controller.stateManager);
+    return display.init() ? display : null;
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChordDetector;
+}
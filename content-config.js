@@ -0,0 +1,605 @@
+/* ============================================
+   CONTENT CONFIG - PER-RECIPIENT CONTENT
+   ============================================
+   - Letter, piano, gift and message texts in content.json
+   - One file to edit for a new recipient, no code changes
+   - Schema check with the JSON path of every problem
+   - Invalid or missing file: built-in defaults stay on
+   - ?content=other.json loads another file (same origin)
+   - #content=... carries a whole config inside a link
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const CONTENT_CONFIG = {
+  url: 'content.json',
+  queryParam: 'content',
+  hashKey: 'content',
+  previewMessage: 'content-preview',
+  errorDismissLabel: 'Đóng',
+
+  // Letter markup allowed in configs that arrive through a link
+  allowedTags: ['P', 'BR', 'STRONG', 'B', 'EM', 'I', 'U', 'SPAN', 'DIV'],
+  allowedUrl: /^(https?:|mailto:|(?![a-z][a-z0-9+.-]*:))/i,
+
+  // theme key -> CSS variable of the letter page
+  themeVariables: {
+    primary: '--primary',
+    primaryDark: '--primary-dark',
+    secondary: '--secondary',
+    accent: '--accent',
+    text: '--text-main',
+    paper: '--paper'
+  }
+};
+
+const NOTE_PATTERN = /^[A-G][#b]?-?\d+$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Fields each gift item type needs besides `type`
+const GIFT_ITEM_FIELDS = {
+  image: ['src'],
+  text: ['text'],
+  audio: ['src'],
+  link: ['href']
+};
+
+// ============================================
+// SCHEMA
+// ============================================
+
+/**
+ * Tiny JSON schema: { type, required, properties, items, enum, pattern,
+ * minItems, min, check(value, path, report) }. Keys not listed in
+ * `properties` are reported as warnings, most likely typos.
+ */
+const stringList = { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } };
+
+const CONTENT_SCHEMA = {
+  type: 'object',
+  required: ['version'],
+  properties: {
+    version: { type: 'number', enum: [1] },
+    letter: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        clickHint: { type: 'string' },
+        heading: { type: 'string' },
+        quote: { type: 'string' },
+        html: { type: 'string', minLength: 1 },
+        sticker: { type: 'string', minLength: 1 },
+        rainImages: stringList,
+        // "Do not open before", e.g. "2026-12-24T20:00:00+07:00"
+        openAt: { type: ['string', 'null'] }
+      },
+      check: (letter, path, report) => {
+        if (typeof letter.openAt === 'string' && Number.isNaN(Date.parse(letter.openAt))) {
+          report(`${path}.openAt`, `is not a valid date: ${JSON.stringify(letter.openAt)}`);
+        }
+      }
+    },
+    piano: {
+      type: 'object',
+      properties: {
+        messages: {
+          type: 'object',
+          properties: {
+            unlocked: { type: 'string' },
+            chordPrompt: { type: 'string' },
+            uniqueKeysPrompt: { type: 'string' }
+          }
+        },
+        unlockMelody: {
+          type: 'object',
+          required: ['notes'],
+          properties: {
+            name: { type: 'string' },
+            notes: { type: 'array', minItems: 1, items: { type: 'string', pattern: NOTE_PATTERN } },
+            rhythm: { type: ['array', 'null'], items: { type: 'number', min: 0 } }
+          },
+          check: (melody, path, report) => {
+            if (Array.isArray(melody.rhythm) && Array.isArray(melody.notes) &&
+                melody.rhythm.length !== melody.notes.length) {
+              report(`${path}.rhythm`, `needs one value per note (${melody.notes.length}), got ${melody.rhythm.length}`);
+            }
+          }
+        }
+      }
+    },
+    gift: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        continueLabel: { type: 'string' },
+        contents: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+              type: { type: 'string', enum: Object.keys(GIFT_ITEM_FIELDS) },
+              src: { type: 'string' },
+              alt: { type: 'string' },
+              text: { type: 'string' },
+              label: { type: 'string' },
+              href: { type: 'string' }
+            },
+            check: (item, path, report) => {
+              (GIFT_ITEM_FIELDS[item.type] || []).forEach(field => {
+                if (item[field] === undefined) {
+                  report(`${path}.${field}`, `is required for "${item.type}" items`);
+                }
+              });
+            }
+          }
+        }
+      }
+    },
+    message: {
+      type: 'object',
+      properties: {
+        rainImages: stringList
+      }
+    },
+    theme: {
+      type: 'object',
+      properties: Object.fromEntries(
+        Object.keys(CONTENT_CONFIG.themeVariables).map(key => [key, { type: 'string', pattern: COLOR_PATTERN }])
+      )
+    }
+  }
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check `data` against the schema.
+ * Returns { valid, errors: [{ path, message }], warnings: [...] }.
+ */
+function validateContentConfig(data, schema = CONTENT_SCHEMA) {
+  const errors = [];
+  const warnings = [];
+  const report = (path, message) => errors.push({ path, message });
+
+  const visit = (value, rule, path) => {
+    const types = [].concat(rule.type || []);
+    const actual = typeOf(value);
+
+    if (types.length && !types.includes(actual)) {
+      report(path, `should be ${types.join(' or ')}, got ${actual}`);
+      return;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      report(path, `should be one of ${rule.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if (rule.pattern && actual === 'string' && !rule.pattern.test(value)) {
+      report(path, `has an invalid format: ${JSON.stringify(value)}`);
+    }
+    if (rule.minLength && actual === 'string' && value.trim().length < rule.minLength) {
+      report(path, 'should not be empty');
+    }
+    if (rule.min !== undefined && actual === 'number' && !(value >= rule.min)) {
+      report(path, `should be at least ${rule.min}`);
+    }
+
+    if (actual === 'array') {
+      if (rule.minItems && value.length < rule.minItems) {
+        report(path, `needs at least ${rule.minItems} item(s)`);
+      }
+      if (rule.items) {
+        value.forEach((item, i) => visit(item, rule.items, `${path}[${i}]`));
+      }
+    }
+
+    if (actual === 'object' && rule.properties) {
+      (rule.required || []).forEach(key => {
+        if (value[key] === undefined) report(`${path}.${key}`, 'is required');
+      });
+      Object.keys(value).forEach(key => {
+        if (rule.properties[key]) {
+          visit(value[key], rule.properties[key], `${path}.${key}`);
+        } else {
+          warnings.push({ path: `${path}.${key}`, message: 'is not a known field and is ignored' });
+        }
+      });
+    }
+
+    if (rule.check && (actual === 'object' || actual === 'array')) {
+      rule.check(value, path, report);
+    }
+  };
+
+  visit(data, schema, '$');
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+// ============================================
+// SHARE LINKS (#content=...)
+// ============================================
+
+/**
+ * Config <-> URL-safe string. "z." + deflate-raw where the browser
+ * has CompressionStream, "j." + plain JSON otherwise.
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+async function encodeContentHash(data) {
+  const bytes = new TextEncoder().encode(JSON.stringify(data));
+  if (typeof CompressionStream === 'function') {
+    return `z.${toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`;
+  }
+  return `j.${toBase64Url(bytes)}`;
+}
+
+async function decodeContentHash(payload) {
+  const [format, body] = [payload.slice(0, 2), payload.slice(2)];
+  let bytes = fromBase64Url(body);
+
+  if (format === 'z.') {
+    if (typeof DecompressionStream !== 'function') {
+      throw new Error('This browser cannot open compressed links');
+    }
+    bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+  } else if (format !== 'j.') {
+    throw new Error(`Unknown link format: ${format}`);
+  }
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+// ============================================
+// SANITIZING (configs from links and previews)
+// ============================================
+
+// Anyone can build a link, so its letter markup and URLs are cut down
+function sanitizeLetterHtml(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  const clean = (parent) => {
+    Array.from(parent.childNodes).forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+      if (node.nodeType !== Node.ELEMENT_NODE || !CONTENT_CONFIG.allowedTags.includes(node.tagName)) {
+        // Unknown elements keep their text, comments and scripts go
+        if (node.nodeType === Node.ELEMENT_NODE && !['SCRIPT', 'STYLE', 'TEMPLATE'].includes(node.tagName)) {
+          node.replaceWith(document.createTextNode(node.textContent));
+        } else {
+          node.remove();
+        }
+        return;
+      }
+
+      Array.from(node.attributes).forEach(attribute => {
+        if (attribute.name !== 'class') node.removeAttribute(attribute.name);
+      });
+      clean(node);
+    });
+  };
+
+  clean(template.content);
+  return template.innerHTML;
+}
+
+function sanitizeContentConfig(data) {
+  const copy = JSON.parse(JSON.stringify(data));
+  // Browsers drop whitespace inside a scheme, so "java\tscript:" must not pass
+  const safeUrl = (url) => (
+    typeof url === 'string' && CONTENT_CONFIG.allowedUrl.test(url.replace(/[\u0000-\u0020]/g, '')) ? url : undefined
+  );
+
+  if (copy.letter) {
+    if (typeof copy.letter.html === 'string') copy.letter.html = sanitizeLetterHtml(copy.letter.html);
+    if (copy.letter.sticker !== undefined) copy.letter.sticker = safeUrl(copy.letter.sticker);
+    if (Array.isArray(copy.letter.rainImages)) copy.letter.rainImages = copy.letter.rainImages.filter(safeUrl);
+  }
+  if (Array.isArray(copy.gift?.contents)) {
+    copy.gift.contents.forEach(item => {
+      ['src', 'href'].forEach(key => {
+        if (item[key] !== undefined) item[key] = safeUrl(item[key]) || '#';
+      });
+    });
+  }
+  if (Array.isArray(copy.message?.rainImages)) {
+    copy.message.rainImages = copy.message.rainImages.filter(safeUrl);
+  }
+  return copy;
+}
+
+// ============================================
+// CONTENT LOADER
+// ============================================
+
+class ContentConfigLoader {
+  constructor() {
+    this.current = null;
+    this.source = null;
+    this.lastResult = null;
+    this.listeners = new Map();
+    this.ready = new Promise(resolve => {
+      this.resolveReady = resolve;
+    });
+  }
+
+  // ?content=other.json, only from this site
+  getUrl() {
+    const requested = new URLSearchParams(window.location.search).get(CONTENT_CONFIG.queryParam);
+    if (!requested) return CONTENT_CONFIG.url;
+
+    try {
+      const url = new URL(requested, window.location.href);
+      if (url.origin === window.location.origin) return url.href;
+    } catch (error) {
+      // Falls through to the warning below
+    }
+    console.warn(`⚠️ Ignoring content file from another origin: ${requested}`);
+    return CONTENT_CONFIG.url;
+  }
+
+  getHashPayload() {
+    const match = new RegExp(`^#${CONTENT_CONFIG.hashKey}=(.+)$`).exec(window.location.hash);
+    return match ? match[1] : null;
+  }
+
+  async load() {
+    const payload = this.getHashPayload();
+    if (payload) {
+      return this.loadFromHash(payload);
+    }
+
+    const url = this.getUrl();
+
+    try {
+      const response = await fetch(url, { cache: 'no-cache' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      let data;
+      try {
+        data = await response.json();
+      } catch (error) {
+        this.fail(url, [{ path: '$', message: `is not valid JSON (${error.message})` }]);
+        return null;
+      }
+      // A preview may have arrived while the file was loading
+      if (this.current) return this.current;
+      return this.loadFromObject(data, url);
+    } catch (error) {
+      // file:// pages and missing files keep the built-in content
+      console.warn(`⚠️ Content config not loaded (${url}), using built-in content:`, error);
+      return null;
+    } finally {
+      this.afterPageParsed(() => this.resolveReady(this.current));
+    }
+  }
+
+  async loadFromHash(payload) {
+    try {
+      const data = await decodeContentHash(payload);
+      return this.loadFromObject(data, 'link', { untrusted: true });
+    } catch (error) {
+      this.fail('link', [{ path: '$', message: `could not be read from the link (${error.message})` }]);
+      return null;
+    } finally {
+      this.afterPageParsed(() => this.resolveReady(this.current));
+    }
+  }
+
+  // The builder page shows its draft in an iframe of this page
+  listenForPreview() {
+    window.addEventListener('message', (e) => {
+      if (e.origin !== window.location.origin || e.data?.type !== CONTENT_CONFIG.previewMessage) return;
+      this.loadFromObject(e.data.config, 'preview', { untrusted: true });
+    });
+  }
+
+  // Validate and apply a config that is already in memory
+  loadFromObject(data, source = 'object', options = {}) {
+    const result = validateContentConfig(data);
+    this.lastResult = result;
+
+    result.warnings.forEach(({ path, message }) => {
+      console.warn(`⚠️ Content config: ${path} ${message}`);
+    });
+
+    if (!result.valid) {
+      this.fail(source, result.errors);
+      return null;
+    }
+
+    if (options.untrusted) {
+      data = sanitizeContentConfig(data);
+    }
+
+    this.current = data;
+    this.source = source;
+    this.afterPageParsed(() => {
+      this.apply(data);
+      this.notifyListeners();
+    });
+    console.log(`✅ Content loaded from ${source}`);
+    return data;
+  }
+
+  fail(source, errors) {
+    console.group(`❌ Invalid content config (${source}), using built-in content`);
+    errors.forEach(({ path, message }) => console.error(`${path} ${message}`));
+    console.groupEnd();
+    this.showError(source, errors);
+  }
+
+  // Visible for whoever is editing the content, dismissable for everyone else
+  showError(source, errors) {
+    if (typeof document === 'undefined' || !document.body) return;
+
+    document.querySelector('.content-error')?.remove();
+
+    const banner = document.createElement('div');
+    banner.className = 'content-error';
+    banner.setAttribute('role', 'alert');
+
+    const title = document.createElement('strong');
+    title.textContent = `⚠️ Lỗi cấu hình nội dung (${source})`;
+    banner.appendChild(title);
+
+    const list = document.createElement('ul');
+    errors.forEach(({ path, message }) => {
+      const item = document.createElement('li');
+      item.textContent = `${path} ${message}`;
+      list.appendChild(item);
+    });
+    banner.appendChild(list);
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.textContent = CONTENT_CONFIG.errorDismissLabel;
+    close.addEventListener('click', () => banner.remove());
+    banner.appendChild(close);
+
+    document.body.appendChild(banner);
+  }
+
+  // ============================================
+  // APPLY TO PAGE & SECTION CONFIGS
+  // ============================================
+
+  // PIANO_CONFIG & co. come from scripts further down the page, content
+  // that arrives before they ran waits for the page to finish parsing
+  afterPageParsed(callback) {
+    if (typeof document !== 'undefined' && document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', callback, { once: true });
+    } else {
+      callback();
+    }
+  }
+
+  apply(data) {
+    if (data.letter) this.applyLetter(data.letter);
+    if (data.theme) this.applyTheme(data.theme);
+
+    // Section scripts read their config when they initialize
+    if (data.piano && typeof PIANO_CONFIG !== 'undefined') {
+      if (data.piano.messages) {
+        Object.assign(PIANO_CONFIG.messages, data.piano.messages);
+      }
+      if (data.piano.unlockMelody) {
+        // A new melody replaces the old one, only the matching settings are kept;
+        // the default rhythm belongs to the default notes
+        const { name, notes, rhythm, ...settings } = PIANO_CONFIG.unlockMelody;
+        PIANO_CONFIG.unlockMelody = { ...settings, name: '', rhythm: null, ...data.piano.unlockMelody };
+      }
+    }
+
+    if (data.gift && typeof GIFT_CONFIG !== 'undefined') {
+      ['title', 'contents', 'continueLabel'].forEach(key => {
+        if (data.gift[key] !== undefined) GIFT_CONFIG[key] = data.gift[key];
+      });
+    }
+
+    if (data.message && typeof MESSAGE_CONFIG !== 'undefined') {
+      if (data.message.rainImages) MESSAGE_CONFIG.chikawaImages = data.message.rainImages;
+    }
+  }
+
+  applyLetter(letter) {
+    const setText = (selector, text) => {
+      const element = document.querySelector(selector);
+      if (element && text !== undefined) element.textContent = text;
+    };
+
+    if (letter.title !== undefined) document.title = letter.title;
+    setText('.click-hint', letter.clickHint);
+    setText('#glassCard h1', letter.heading);
+    setText('.highlight-quote', letter.quote);
+
+    // The letter is the author's own markup, same trust as index.html
+    const source = document.getElementById('source-text');
+    if (source && letter.html !== undefined) source.innerHTML = letter.html;
+
+    const sticker = document.querySelector('.sticker-corner');
+    if (sticker && letter.sticker) sticker.src = letter.sticker;
+  }
+
+  applyTheme(theme) {
+    const root = document.documentElement;
+    Object.entries(CONTENT_CONFIG.themeVariables).forEach(([key, variable]) => {
+      if (theme[key]) root.style.setProperty(variable, theme[key]);
+    });
+  }
+
+  // Subscribe to content changes
+  subscribe(callback) {
+    const id = Math.random();
+    this.listeners.set(id, callback);
+    return () => this.listeners.delete(id);
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.current, this.source);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// ============================================
+// GLOBAL INSTANCE & EXPORTS
+// ============================================
+
+if (typeof window !== 'undefined') {
+  const contentConfig = new ContentConfigLoader();
+
+  // <script src="content-config.js" data-autoload="false"> only loads the helpers
+  if (document.currentScript?.dataset.autoload !== 'false') {
+    contentConfig.listenForPreview();
+    contentConfig.load();
+  }
+
+  window.contentConfig = contentConfig;
+  window.validateContentConfig = validateContentConfig;
+  window.encodeContentHash = encodeContentHash;
+
+  window.contentDebug = {
+    current: () => contentConfig.current,
+    source: () => contentConfig.source,
+    validate: (data) => validateContentConfig(data ?? contentConfig.current),
+    reload: () => contentConfig.load()
+  };
+
+  console.log('✨ Content config script loaded!');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CONTENT_SCHEMA, ContentConfigLoader, validateContentConfig, encodeContentHash, decodeContentHash };
+}
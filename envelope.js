@@ -0,0 +1,319 @@
+/* ============================================
+   ENVELOPE - OPENING FLOW & TIMED DELIVERY
+   ============================================
+   - Explicit states: locked -> sealed -> opening -> open -> letter
+   - Events for every change, invalid ones are ignored
+   - Close and re-seal, then open again from the start
+   - Optional "do not open before" time with a countdown
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const ENVELOPE_CONFIG = {
+  flapDuration: 1000, // ms, flap and paper animation
+  zoomDuration: 500, // ms, envelope zooms away before the letter shows
+
+  countdownPrefix: '⏳ Thư sẽ mở sau',
+  unlockedHint: '🎉 Đến lúc rồi! Mở thư thôi!',
+  closeLabel: '💌 Gấp thư lại',
+  units: ['ngày', 'giờ', 'phút', 'giây']
+};
+
+// state -> { event: next state }
+const ENVELOPE_TRANSITIONS = {
+  locked: { unlock: 'sealed' },
+  sealed: { open: 'opening', lock: 'locked' },
+  opening: { flapOpened: 'open', close: 'sealed' },
+  open: { showLetter: 'letter', close: 'sealed' },
+  letter: { close: 'sealed' }
+};
+
+// ============================================
+// STATE MACHINE (no DOM)
+// ============================================
+
+class EnvelopeStateMachine {
+  constructor(initial = 'sealed', transitions = ENVELOPE_TRANSITIONS) {
+    this.state = initial;
+    this.transitions = transitions;
+    this.listeners = new Map();
+  }
+
+  can(event) {
+    return Boolean(this.transitions[this.state]?.[event]);
+  }
+
+  // Returns false when the event means nothing in the current state
+  send(event) {
+    const next = this.transitions[this.state]?.[event];
+    if (!next) return false;
+
+    const previous = this.state;
+    this.state = next;
+    this.notifyListeners(previous, event);
+    return true;
+  }
+
+  // Subscribe to state changes: callback(state, previous, event)
+  subscribe(callback) {
+    const id = Math.random();
+    this.listeners.set(id, callback);
+    return () => this.listeners.delete(id);
+  }
+
+  notifyListeners(previous, event) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.state, previous, event);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// ============================================
+// COUNTDOWN HELPERS
+// ============================================
+
+// ms -> [days, hours, minutes, seconds]
+function splitDuration(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  return [
+    Math.floor(total / 86400),
+    Math.floor((total % 86400) / 3600),
+    Math.floor((total % 3600) / 60),
+    total % 60
+  ];
+}
+
+// "2 ngày 03:04:05", or "03:04:05" on the last day
+function formatCountdown(ms, units = ENVELOPE_CONFIG.units) {
+  const [days, hours, minutes, seconds] = splitDuration(ms);
+  const clock = [hours, minutes, seconds].map(value => String(value).padStart(2, '0')).join(':');
+  return days > 0 ? `${days} ${units[0]} ${clock}` : clock;
+}
+
+// ============================================
+// ENVELOPE CONTROLLER (DOM)
+// ============================================
+
+/**
+ * options = {
+ *   wrapper, envelope, letter,   // elements of index.html
+ *   onOpen: () => {},            // user gesture: start the music here
+ *   onLetterShown: () => {},
+ *   onClose: () => {}
+ * }
+ */
+class EnvelopeController {
+  constructor(options) {
+    this.options = options;
+    this.machine = new EnvelopeStateMachine();
+    this.timers = [];
+    this.openAt = null;
+    this.countdownTimer = null;
+    this.elements = {};
+  }
+
+  get state() {
+    return this.machine.state;
+  }
+
+  init() {
+    const { wrapper, letter } = this.options;
+
+    const countdown = document.createElement('div');
+    countdown.className = 'envelope-countdown';
+    countdown.setAttribute('aria-live', 'polite');
+    countdown.hidden = true;
+    wrapper.appendChild(countdown);
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'letter-close';
+    closeButton.textContent = ENVELOPE_CONFIG.closeLabel;
+    closeButton.addEventListener('click', () => this.close());
+    letter.firstElementChild.appendChild(closeButton);
+
+    this.elements = { countdown, closeButton };
+
+    wrapper.setAttribute('role', 'button');
+    wrapper.tabIndex = 0;
+    wrapper.addEventListener('click', () => this.open());
+    wrapper.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        this.open();
+      }
+    });
+
+    this.machine.subscribe((state, previous, event) => this.onStateChange(state, previous, event));
+    this.render();
+    return this;
+  }
+
+  // ============================================
+  // ACTIONS
+  // ============================================
+
+  open() {
+    if (this.state === 'locked') {
+      this.rejectOpen();
+      return false;
+    }
+    return this.machine.send('open');
+  }
+
+  // Put the letter back and seal the envelope again
+  close() {
+    this.clearTimers();
+    const closed = this.machine.send('close');
+    if (closed) this.applyLock();
+    return closed;
+  }
+
+  // Close, then play the whole opening again
+  replay() {
+    this.close();
+    // Let the sealed styles land before the flap animates again
+    this.later(() => this.open(), 50);
+  }
+
+  // Straight to the letter without animations (builder preview)
+  openImmediately() {
+    if (this.state === 'locked') this.machine.send('unlock');
+    this.machine.send('open');
+    this.clearTimers();
+    this.machine.send('flapOpened');
+    this.machine.send('showLetter');
+  }
+
+  // "Do not open before": a Date, an ISO string or null
+  setOpenAt(value) {
+    const time = value ? new Date(value).getTime() : null;
+    if (value && Number.isNaN(time)) {
+      console.warn(`⚠️ Invalid envelope open time: ${value}`);
+      return false;
+    }
+
+    this.openAt = time;
+    this.applyLock();
+    return true;
+  }
+
+  // Lock when sealed and the moment is still ahead, unlock otherwise
+  applyLock() {
+    const isEarly = this.openAt !== null && Date.now() < this.openAt;
+
+    if (isEarly && this.state === 'sealed') {
+      this.machine.send('lock');
+    } else if (!isEarly && this.state === 'locked') {
+      this.machine.send('unlock');
+    }
+    this.updateCountdown();
+  }
+
+  rejectOpen() {
+    const { wrapper } = this.options;
+    wrapper.classList.remove('shake');
+    void wrapper.offsetWidth;
+    wrapper.classList.add('shake');
+
+    if (window.hapticController) {
+      window.hapticController.error();
+    }
+  }
+
+  // ============================================
+  // STATE EFFECTS
+  // ============================================
+
+  onStateChange(state, previous, event) {
+    console.log(`💌 Envelope: ${previous} → ${state} (${event})`);
+
+    if (state === 'opening') {
+      this.runHook('onOpen');
+      this.later(() => this.machine.send('flapOpened'), ENVELOPE_CONFIG.flapDuration);
+    } else if (state === 'open') {
+      this.later(() => this.machine.send('showLetter'), ENVELOPE_CONFIG.zoomDuration);
+    } else if (state === 'letter') {
+      this.runHook('onLetterShown');
+    } else if (state === 'sealed' && event === 'close') {
+      this.runHook('onClose');
+    }
+
+    this.render();
+  }
+
+  render() {
+    const { wrapper, envelope, letter } = this.options;
+    const { state } = this;
+
+    wrapper.classList.toggle('locked', state === 'locked');
+    envelope.classList.toggle('active', state === 'opening' || state === 'open' || state === 'letter');
+    wrapper.classList.toggle('open', state === 'open' || state === 'letter');
+    letter.classList.toggle('show', state === 'letter');
+
+    wrapper.setAttribute('aria-disabled', String(state === 'locked'));
+    wrapper.dataset.state = state;
+  }
+
+  updateCountdown() {
+    const { countdown } = this.elements;
+    clearInterval(this.countdownTimer);
+    this.countdownTimer = null;
+
+    if (this.state !== 'locked') {
+      // Only announce the unlock when there was a countdown
+      countdown.hidden = this.openAt === null;
+      countdown.textContent = ENVELOPE_CONFIG.unlockedHint;
+      return;
+    }
+
+    const tick = () => {
+      const remaining = this.openAt - Date.now();
+      if (remaining <= 0) {
+        this.applyLock();
+        return;
+      }
+      countdown.textContent = `${ENVELOPE_CONFIG.countdownPrefix} ${formatCountdown(remaining)}`;
+    };
+
+    countdown.hidden = false;
+    tick();
+    this.countdownTimer = setInterval(tick, 1000);
+  }
+
+  runHook(name) {
+    try {
+      if (this.options[name]) this.options[name]();
+    } catch (error) {
+      console.error(`❌ Envelope hook failed (${name}):`, error);
+    }
+  }
+
+  later(callback, ms) {
+    this.timers.push(setTimeout(callback, ms));
+  }
+
+  clearTimers() {
+    this.timers.forEach(clearTimeout);
+    this.timers = [];
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+if (typeof window !== 'undefined') {
+  window.EnvelopeController = EnvelopeController;
+  window.EnvelopeStateMachine = EnvelopeStateMachine;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EnvelopeStateMachine, ENVELOPE_TRANSITIONS, formatCountdown, splitDuration };
+}
@@ -0,0 +1,464 @@
+/* ============================================
+   GIFT SECTION - INTERACTIVE UNWRAPPING
+   ============================================
+   - Tap or shake the box to unwrap it
+   - Stages: untie the ribbon, pop the lid
+   - Particle explosion when it opens
+   - Configurable contents: image, text, audio, link
+   - Continue button hands off to the message section
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const GIFT_CONFIG = {
+  title: '🎁 Quà của bạn nè!',
+
+  // Taps (or shakes) needed to finish each stage
+  stages: [
+    { id: 'ribbon', taps: 3, hint: '🎀 Chạm để gỡ nơ nào!' },
+    { id: 'lid', taps: 2, hint: '📦 Thêm chút nữa, mở nắp thôi!' }
+  ],
+  openedHint: '🎉 Tada! Quà của bạn đây!',
+
+  // Shake detection (DeviceMotion), acceleration change in m/s²
+  shake: {
+    threshold: 15,
+    cooldown: 500
+  },
+
+  explosion: {
+    count: 60,
+    colors: ['#FF6B9D', '#FFD93D', '#4A90E2', '#2ECC71'],
+    size: 6,
+    lifetime: 1500
+  },
+
+  revealDelay: 600, // ms, lets the lid fly off first
+  musicDuckLevel: 0.2, // background music level while an audio clip plays
+
+  // type: 'image' { src, alt } | 'text' { text } | 'audio' { src, label } | 'link' { href, label }
+  contents: [
+    { type: 'image', src: 'images/chiikawa.png', alt: 'Chiikawa' },
+    { type: 'text', text: 'Chúc bạn luôn vui vẻ, khỏe mạnh và cười thật nhiều nha! 💚' }
+  ],
+
+  continueLabel: '💌 Gửi lời nhắn cho mình nhé'
+};
+
+// ============================================
+// GIFT BOX (STATE MACHINE)
+// ============================================
+
+class GiftBox {
+  constructor(stages = GIFT_CONFIG.stages) {
+    this.stages = stages;
+    this.listeners = new Map();
+    this.reset();
+  }
+
+  reset() {
+    this.stageIndex = 0;
+    this.taps = 0;
+    this.isOpened = false;
+  }
+
+  getStage() {
+    return this.stages[this.stageIndex] || null;
+  }
+
+  // One tap or shake; returns what happened for the UI
+  tap() {
+    if (this.isOpened) return { type: 'none' };
+
+    const stage = this.getStage();
+    this.taps++;
+
+    if (this.taps < stage.taps) {
+      this.notifyListeners('tap', stage);
+      return { type: 'tap', stage };
+    }
+
+    this.stageIndex++;
+    this.taps = 0;
+
+    if (this.stageIndex >= this.stages.length) {
+      this.isOpened = true;
+      this.notifyListeners('open', stage);
+      return { type: 'open', stage };
+    }
+
+    this.notifyListeners('stage', stage);
+    return { type: 'stage', stage };
+  }
+
+  // Subscribe to box events ('tap', 'stage', 'open')
+  subscribe(callback) {
+    const id = Math.random();
+    this.listeners.set(id, callback);
+    return () => this.listeners.delete(id);
+  }
+
+  notifyListeners(type, stage) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(type, stage, this);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// ============================================
+// SHAKE DETECTOR
+// ============================================
+
+class ShakeDetector {
+  constructor(onShake) {
+    this.onShake = onShake;
+    this.last = null;
+    this.lastShake = 0;
+    this.isListening = false;
+    this.handler = (e) => this.onMotion(e);
+  }
+
+  isSupported() {
+    return typeof window.DeviceMotionEvent !== 'undefined';
+  }
+
+  // iOS asks for permission, and only from inside a user gesture
+  async start() {
+    if (this.isListening || !this.isSupported()) return false;
+
+    if (typeof DeviceMotionEvent.requestPermission === 'function') {
+      try {
+        const permission = await DeviceMotionEvent.requestPermission();
+        if (permission !== 'granted') return false;
+      } catch (error) {
+        return false;
+      }
+    }
+
+    window.addEventListener('devicemotion', this.handler);
+    this.isListening = true;
+    return true;
+  }
+
+  stop() {
+    window.removeEventListener('devicemotion', this.handler);
+    this.isListening = false;
+    this.last = null;
+  }
+
+  onMotion(e) {
+    const acceleration = e.accelerationIncludingGravity || e.acceleration;
+    if (!acceleration || acceleration.x === null) return;
+
+    const current = { x: acceleration.x, y: acceleration.y, z: acceleration.z };
+    const previous = this.last;
+    this.last = current;
+    if (!previous) return;
+
+    const delta = Math.abs(current.x - previous.x) +
+      Math.abs(current.y - previous.y) +
+      Math.abs(current.z - previous.z);
+
+    const now = Date.now();
+    if (delta > GIFT_CONFIG.shake.threshold && now - this.lastShake > GIFT_CONFIG.shake.cooldown) {
+      this.lastShake = now;
+      this.onShake();
+    }
+  }
+}
+
+// ============================================
+// GIFT CONTROLLER
+// ============================================
+
+class GiftController {
+  constructor() {
+    this.box = new GiftBox();
+    this.shake = new ShakeDetector(() => this.handleTap());
+    this.section = null;
+    this.elements = {};
+    this.isInitialized = false;
+  }
+
+  get isOpened() {
+    return this.box.isOpened;
+  }
+
+  init() {
+    console.log('🎁 Initializing gift section...');
+
+    this.section = document.getElementById('section-gift');
+    if (!this.section) {
+      console.error('❌ Gift section not found');
+      return false;
+    }
+
+    this.render();
+    this.setupListeners();
+    this.updateHint();
+
+    this.isInitialized = true;
+    console.log('✅ Gift section ready');
+    return true;
+  }
+
+  render() {
+    const container = document.createElement('div');
+    container.className = 'section-content gift-content';
+    container.innerHTML = `
+      <h2 class="gift-title"></h2>
+      <p class="gift-hint" aria-live="polite"></p>
+      <button type="button" class="gift-box" aria-label="Mở hộp quà">
+        <span class="gift-lid">
+          <span class="gift-bow" aria-hidden="true">🎀</span>
+        </span>
+        <span class="gift-body"></span>
+        <span class="gift-ribbon gift-ribbon-vertical"></span>
+        <span class="gift-ribbon gift-ribbon-horizontal"></span>
+      </button>
+      <div class="gift-progress" aria-hidden="true"></div>
+      <div class="gift-reveal" hidden>
+        <div class="gift-contents"></div>
+        <button type="button" class="btn btn-primary gift-continue"></button>
+      </div>
+    `;
+    this.section.appendChild(container);
+
+    this.elements = {
+      container,
+      hint: container.querySelector('.gift-hint'),
+      box: container.querySelector('.gift-box'),
+      progress: container.querySelector('.gift-progress'),
+      reveal: container.querySelector('.gift-reveal'),
+      contents: container.querySelector('.gift-contents'),
+      continueButton: container.querySelector('.gift-continue')
+    };
+    container.querySelector('.gift-title').textContent = GIFT_CONFIG.title;
+    this.elements.continueButton.textContent = GIFT_CONFIG.continueLabel;
+  }
+
+  setupListeners() {
+    const { box, continueButton } = this.elements;
+
+    // A <button> already turns Enter / Space into clicks
+    box.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.shake.start();
+      this.handleTap();
+    });
+
+    continueButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.continueToMessage();
+    });
+
+    this.box.subscribe((type) => {
+      if (type === 'stage') this.onStageComplete();
+      if (type === 'open') this.onOpen();
+    });
+  }
+
+  handleTap() {
+    const result = this.box.tap();
+    if (result.type === 'none') return;
+
+    // Restart the wiggle even on quick repeated taps
+    const { box } = this.elements;
+    box.classList.remove('wiggle');
+    void box.offsetWidth;
+    box.classList.add('wiggle');
+
+    if (window.hapticController) {
+      window.hapticController.tap();
+    }
+    if (window.playClickSound) {
+      window.playClickSound();
+    }
+
+    this.updateHint();
+  }
+
+  onStageComplete() {
+    const done = this.box.stages.slice(0, this.box.stageIndex).map(stage => stage.id);
+    done.forEach(id => this.elements.box.classList.add(`${id}-done`));
+  }
+
+  onOpen() {
+    const { box } = this.elements;
+    this.box.stages.forEach(stage => box.classList.add(`${stage.id}-done`));
+    box.classList.add('opened');
+    box.disabled = true;
+    this.shake.stop();
+
+    this.explode();
+
+    if (window.hapticController) {
+      window.hapticController.success();
+    }
+    if (window.playUnlockSound) {
+      window.playUnlockSound();
+    }
+
+    setTimeout(() => this.reveal(), GIFT_CONFIG.revealDelay);
+    console.log('🎉 Gift opened!');
+  }
+
+  explode() {
+    if (!window.particleEngine) return;
+
+    const rect = this.elements.box.getBoundingClientRect();
+    const x = rect.left + rect.width / 2;
+    const y = rect.top + rect.height / 3;
+    const { count, colors, size, lifetime } = GIFT_CONFIG.explosion;
+
+    // One explosion per color for a confetti mix
+    colors.forEach(color => {
+      window.particleEngine.spawnExplosion(x, y, Math.ceil(count / colors.length), { color, size, lifetime });
+    });
+  }
+
+  reveal() {
+    const { reveal, contents, continueButton } = this.elements;
+    contents.innerHTML = '';
+    GIFT_CONFIG.contents.forEach(item => {
+      const element = this.createContentElement(item);
+      if (element) contents.appendChild(element);
+    });
+
+    reveal.hidden = false;
+    reveal.classList.add('animate-slideUp');
+    continueButton.focus({ preventScroll: true });
+  }
+
+  createContentElement(item) {
+    const wrapper = document.createElement('div');
+    wrapper.className = `gift-item gift-item-${item.type}`;
+
+    switch (item.type) {
+      case 'image': {
+        const img = document.createElement('img');
+        img.src = item.src;
+        img.alt = item.alt || '';
+        img.loading = 'lazy';
+        wrapper.appendChild(img);
+        break;
+      }
+      case 'text': {
+        const text = document.createElement('p');
+        text.textContent = item.text;
+        wrapper.appendChild(text);
+        break;
+      }
+      case 'audio': {
+        if (item.label) {
+          const label = document.createElement('p');
+          label.textContent = item.label;
+          wrapper.appendChild(label);
+        }
+        const audio = document.createElement('audio');
+        audio.controls = true;
+        audio.preload = 'none';
+        audio.src = item.src;
+        // Background music steps back while the clip plays
+        audio.addEventListener('play', () => window.backgroundMusic?.setDuck(GIFT_CONFIG.musicDuckLevel));
+        audio.addEventListener('pause', () => window.backgroundMusic?.setDuck(1));
+        audio.addEventListener('ended', () => window.backgroundMusic?.setDuck(1));
+        wrapper.appendChild(audio);
+        break;
+      }
+      case 'link': {
+        const link = document.createElement('a');
+        link.href = item.href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = item.label || item.href;
+        wrapper.appendChild(link);
+        break;
+      }
+      default:
+        console.warn(`⚠️ Unknown gift content type: ${item.type}`);
+        return null;
+    }
+
+    return wrapper;
+  }
+
+  updateHint() {
+    const { hint, progress } = this.elements;
+    const stage = this.box.getStage();
+
+    hint.textContent = this.box.isOpened ? GIFT_CONFIG.openedHint : stage.hint;
+
+    // One dot per tap of the current stage
+    progress.innerHTML = '';
+    if (!this.box.isOpened) {
+      for (let i = 0; i < stage.taps; i++) {
+        const dot = document.createElement('span');
+        dot.className = `gift-dot${i < this.box.taps ? ' filled' : ''}`;
+        progress.appendChild(dot);
+      }
+    }
+  }
+
+  continueToMessage() {
+    if (window.hapticController) {
+      window.hapticController.buttonNavigation();
+    }
+
+    if (window.transitionToSection) {
+      window.transitionToSection('message');
+    } else if (window.initMessageSection) {
+      window.initMessageSection();
+    }
+  }
+
+  reset() {
+    this.box.reset();
+    this.shake.stop();
+
+    const { box, reveal, contents } = this.elements;
+    box.className = 'gift-box';
+    box.disabled = false;
+    reveal.hidden = true;
+    reveal.classList.remove('animate-slideUp');
+    contents.innerHTML = '';
+    this.updateHint();
+  }
+}
+
+// ============================================
+// GLOBAL INSTANCE
+// ============================================
+
+let giftController;
+
+function initGiftSection() {
+  if (giftController?.isInitialized) return giftController;
+
+  giftController = new GiftController();
+  window.giftController = giftController;
+  giftController.init();
+  return giftController;
+}
+
+window.initGiftSection = initGiftSection;
+
+window.giftDebug = {
+  open: () => {
+    while (giftController && !giftController.isOpened) giftController.handleTap();
+  },
+  reset: () => giftController?.reset(),
+  state: () => giftController && {
+    stage: giftController.box.getStage()?.id || 'opened',
+    taps: giftController.box.taps,
+    isOpened: giftController.isOpened
+  }
+};
+
+console.log('✨ Gift script loaded!');
@@ -0,0 +1,210 @@
+/* ============================================
+   HAPTICS - VIBRATION FEEDBACK
+   ============================================
+   - Named patterns (piano keys, buttons, success, error)
+   - Intensity scaling of vibration lengths
+   - On/off switch remembered in localStorage
+   - Throttling so fast playing never queues long buzzes
+   - Silent no-op where navigator.vibrate is missing
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const HAPTIC_CONFIG = {
+  storageKey: 'haptics_settings',
+  defaultIntensity: 1,
+  maxIntensity: 2,
+
+  // pattern: [vibrate, pause, vibrate, ...] in ms
+  // throttle: minimum ms between two plays of the same pattern
+  // priority: a running pattern is only interrupted by an equal or higher one
+  patterns: {
+    keyWhite: { pattern: [10], throttle: 40, priority: 0 },
+    keyBlack: { pattern: [15], throttle: 40, priority: 0 },
+    tap: { pattern: [8], throttle: 50, priority: 0 },
+    navigation: { pattern: [20, 40, 20], throttle: 300, priority: 1 },
+    submit: { pattern: [30, 50, 30], throttle: 500, priority: 1 },
+    success: { pattern: [40, 60, 40, 60, 120], throttle: 1000, priority: 2 },
+    error: { pattern: [80, 50, 80], throttle: 500, priority: 2 }
+  }
+};
+
+// ============================================
+// HAPTIC CONTROLLER
+// ============================================
+
+class HapticController {
+  constructor(options = {}) {
+    this.vibrate = options.vibrate || (
+      typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function'
+        ? (pattern) => navigator.vibrate(pattern)
+        : null
+    );
+    this.isSupported = Boolean(this.vibrate);
+
+    this.patterns = new Map(Object.entries(HAPTIC_CONFIG.patterns));
+    this.lastPlayed = new Map();
+    this.busyUntil = 0;
+    this.busyPriority = -1;
+
+    const settings = this.loadSettings();
+    this.enabled = settings.enabled ?? true;
+    this.intensity = settings.intensity ?? HAPTIC_CONFIG.defaultIntensity;
+  }
+
+  // Add or replace a named pattern
+  register(name, pattern, options = {}) {
+    if (!Array.isArray(pattern) || pattern.some(ms => !Number.isFinite(ms) || ms < 0)) {
+      throw new Error(`Invalid haptic pattern: ${name}`);
+    }
+
+    this.patterns.set(name, {
+      pattern,
+      throttle: options.throttle ?? 0,
+      priority: options.priority ?? 0
+    });
+    return this;
+  }
+
+  // Scale vibrations, keep pauses so the rhythm stays recognizable
+  scale(pattern) {
+    return pattern.map((ms, i) => (i % 2 === 0 ? Math.round(ms * this.intensity) : ms));
+  }
+
+  play(name) {
+    if (!this.isSupported || !this.enabled || this.intensity <= 0) return false;
+
+    const entry = this.patterns.get(name);
+    if (!entry) {
+      console.warn(`⚠️ Unknown haptic pattern: ${name}`);
+      return false;
+    }
+
+    const now = Date.now();
+    if (now - (this.lastPlayed.get(name) || 0) < entry.throttle) return false;
+    if (now < this.busyUntil && entry.priority < this.busyPriority) return false;
+
+    const pattern = this.scale(entry.pattern);
+    try {
+      this.vibrate(pattern);
+    } catch (error) {
+      // Some browsers throw when called without a user gesture
+      return false;
+    }
+
+    this.lastPlayed.set(name, now);
+    this.busyUntil = now + pattern.reduce((sum, ms) => sum + ms, 0);
+    this.busyPriority = entry.priority;
+    return true;
+  }
+
+  stop() {
+    if (!this.isSupported) return;
+    try {
+      this.vibrate(0);
+    } catch (error) {
+      // Nothing to cancel
+    }
+    this.busyUntil = 0;
+    this.busyPriority = -1;
+  }
+
+  // ============================================
+  // NAMED SHORTCUTS (used across the site)
+  // ============================================
+
+  pianoKeyPress(isBlack = false) {
+    return this.play(isBlack ? 'keyBlack' : 'keyWhite');
+  }
+
+  tap() {
+    return this.play('tap');
+  }
+
+  buttonNavigation() {
+    return this.play('navigation');
+  }
+
+  buttonSubmit() {
+    return this.play('submit');
+  }
+
+  success() {
+    return this.play('success');
+  }
+
+  error() {
+    return this.play('error');
+  }
+
+  // ============================================
+  // SETTINGS
+  // ============================================
+
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+    if (!this.enabled) this.stop();
+    this.saveSettings();
+    return this.enabled;
+  }
+
+  toggle() {
+    return this.setEnabled(!this.enabled);
+  }
+
+  setIntensity(intensity) {
+    const value = Number(intensity);
+    this.intensity = Math.max(0, Math.min(HAPTIC_CONFIG.maxIntensity, Number.isFinite(value) ? value : 1));
+    this.saveSettings();
+    return this.intensity;
+  }
+
+  loadSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(HAPTIC_CONFIG.storageKey) || '{}');
+      return saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  saveSettings() {
+    try {
+      localStorage.setItem(HAPTIC_CONFIG.storageKey, JSON.stringify({
+        enabled: this.enabled,
+        intensity: this.intensity
+      }));
+    } catch (error) {
+      console.warn('⚠️ Storage error:', error);
+    }
+  }
+
+  getStatus() {
+    return {
+      isSupported: this.isSupported,
+      enabled: this.enabled,
+      intensity: this.intensity,
+      patterns: Array.from(this.patterns.keys())
+    };
+  }
+}
+
+// ============================================
+// GLOBAL INSTANCE & EXPORTS
+// ============================================
+
+const hapticController = new HapticController();
+
+window.HapticController = HapticController;
+window.hapticController = hapticController;
+
+window.hapticsDebug = {
+  status: () => hapticController.getStatus(),
+  play: (name) => hapticController.play(name),
+  toggle: () => hapticController.toggle(),
+  setIntensity: (value) => hapticController.setIntensity(value)
+};
+
+console.log(`✨ Haptics script loaded (${hapticController.isSupported ? 'vibration supported' : 'no vibration'})`);
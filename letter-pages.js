@@ -0,0 +1,367 @@
+/* ============================================
+   LETTER PAGES - MULTI-PAGE LETTERS
+   ============================================
+   - Splits the letter at [[page]] or by measured height
+   - Page-turn animation, swipe and arrow key navigation
+   - Page indicator with previous / next buttons
+   - Typewriter starts again on every page
+   - Last page read is remembered for the next visit
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const LETTER_PAGES_CONFIG = {
+  storageKey: 'letter_progress',
+
+  // A paragraph holding only this text starts a new page
+  pageMarker: '[[page]]',
+
+  // Without markers, pages are filled up to this height (px)
+  maxPageHeight: 420,
+  minPageHeight: 240,
+  viewportShare: 0.5, // small screens: at most this part of the window
+
+  swipeThreshold: 50, // px
+  turnDuration: 350, // ms, matches the page-turn keyframes
+  resizeDelay: 250,
+
+  labels: {
+    previous: 'Trang trước',
+    next: 'Trang sau'
+  }
+};
+
+// ============================================
+// LETTER PAGER
+// ============================================
+
+class LetterPager {
+  constructor(typewriter, options = {}) {
+    this.typewriter = typewriter;
+    this.target = typewriter.target;
+    this.options = { ...LETTER_PAGES_CONFIG, ...options };
+    this.source = null;
+    this.pages = [];
+    this.index = 0;
+    this.isAutomatic = false;
+    this.isTurning = false;
+    this.isOpen = false;
+    this.contentKey = null;
+    this.elements = {};
+    this.touchStart = null;
+    this.resizeTimer = null;
+    this.listeners = new Map();
+  }
+
+  init() {
+    this.render();
+    this.setupListeners();
+    return this;
+  }
+
+  render() {
+    const nav = document.createElement('nav');
+    nav.className = 'letter-pager';
+    nav.hidden = true;
+    nav.innerHTML = `
+      <button type="button" class="pager-btn pager-prev">‹</button>
+      <span class="pager-indicator" aria-live="polite"></span>
+      <button type="button" class="pager-btn pager-next">›</button>
+    `;
+
+    // Below the replay button when there is one
+    const anchor = this.typewriter.replayButton || this.target;
+    anchor.insertAdjacentElement('afterend', nav);
+
+    this.elements = {
+      nav,
+      prev: nav.querySelector('.pager-prev'),
+      next: nav.querySelector('.pager-next'),
+      indicator: nav.querySelector('.pager-indicator')
+    };
+    this.elements.prev.setAttribute('aria-label', this.options.labels.previous);
+    this.elements.next.setAttribute('aria-label', this.options.labels.next);
+  }
+
+  setupListeners() {
+    const { prev, next } = this.elements;
+    prev.addEventListener('click', () => this.previous());
+    next.addEventListener('click', () => this.next());
+
+    // Swipe, a vertical scroll is left alone
+    this.target.addEventListener('touchstart', (e) => {
+      const touch = e.changedTouches[0];
+      this.touchStart = { x: touch.clientX, y: touch.clientY };
+    }, { passive: true });
+
+    this.target.addEventListener('touchend', (e) => {
+      if (!this.touchStart) return;
+      const touch = e.changedTouches[0];
+      const dx = touch.clientX - this.touchStart.x;
+      const dy = touch.clientY - this.touchStart.y;
+      this.touchStart = null;
+
+      if (Math.abs(dx) < this.options.swipeThreshold || Math.abs(dx) < Math.abs(dy)) return;
+      if (dx < 0) {
+        this.next();
+      } else {
+        this.previous();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (!this.isShown() || e.target.closest?.('input, textarea, select, [contenteditable]')) return;
+      if (e.key === 'ArrowRight') this.next();
+      if (e.key === 'ArrowLeft') this.previous();
+    });
+
+    // Measured pages depend on the card width
+    window.addEventListener('resize', () => {
+      if (!this.isOpen || !this.isAutomatic) return;
+      clearTimeout(this.resizeTimer);
+      this.resizeTimer = setTimeout(() => this.repaginate(), this.options.resizeDelay);
+    });
+  }
+
+  // ============================================
+  // PAGINATION
+  // ============================================
+
+  // Show the letter from `source`, resuming the saved page.
+  // Opening again (new content) stays near the page being read.
+  open(source) {
+    const wasOpen = this.isOpen;
+    this.source = source;
+    this.isOpen = true;
+    this.paginate();
+
+    if (!wasOpen) {
+      const saved = this.loadProgress();
+      const page = saved && saved.key === this.contentKey && Number.isInteger(saved.page) ? saved.page : 0;
+      this.index = Math.max(0, Math.min(page, this.pages.length - 1));
+    }
+    return this.showPage(this.index);
+  }
+
+  // The letter was folded away; open() resumes from the saved page
+  close() {
+    this.isOpen = false;
+    clearTimeout(this.resizeTimer);
+  }
+
+  // Open, and its section (section-router.js) is the one on screen
+  isShown() {
+    return this.isOpen && !this.target.closest('.section')?.classList.contains('hidden');
+  }
+
+  // Split again, e.g. after the content or the width changed
+  paginate() {
+    const html = typeof this.source === 'string' ? this.source : this.source.innerHTML;
+    const blocks = this.getBlocks(html);
+
+    this.contentKey = this.hash(html);
+    this.isAutomatic = !blocks.some(block => block.isMarker);
+    this.pages = this.isAutomatic ? this.measurePages(blocks) : this.splitAtMarkers(blocks);
+    if (this.pages.length === 0) this.pages = [''];
+
+    this.index = Math.min(this.index, this.pages.length - 1);
+    this.updateNav();
+    console.log(`📄 Letter split into ${this.pages.length} page(s) (${this.isAutomatic ? 'measured' : 'markers'})`);
+  }
+
+  // Only retype when the page breaks actually moved
+  repaginate() {
+    const before = this.pages.join('\u0000');
+    this.paginate();
+    if (this.pages.join('\u0000') !== before) {
+      this.showPage(this.index);
+    }
+  }
+
+  getBlocks(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    return Array.from(template.content.childNodes)
+      .filter(node => node.nodeType === Node.ELEMENT_NODE || node.textContent.trim())
+      .map(node => ({
+        html: node.nodeType === Node.ELEMENT_NODE ? node.outerHTML : node.textContent,
+        isMarker: node.textContent.trim() === this.options.pageMarker
+      }));
+  }
+
+  splitAtMarkers(blocks) {
+    const pages = [[]];
+    blocks.forEach(block => {
+      if (block.isMarker) {
+        pages.push([]);
+      } else {
+        pages[pages.length - 1].push(block.html);
+      }
+    });
+    return pages.filter(page => page.length).map(page => page.join('\n'));
+  }
+
+  getMaxHeight() {
+    const { maxPageHeight, minPageHeight, viewportShare } = this.options;
+    return Math.max(minPageHeight, Math.min(maxPageHeight, window.innerHeight * viewportShare));
+  }
+
+  // Fill each page with whole blocks until the next one would overflow
+  measurePages(blocks) {
+    const probe = this.target.cloneNode(false);
+    probe.removeAttribute('id');
+    probe.setAttribute('aria-hidden', 'true');
+    Object.assign(probe.style, {
+      position: 'absolute',
+      visibility: 'hidden',
+      pointerEvents: 'none',
+      left: '0',
+      top: '0',
+      width: `${this.target.offsetWidth || this.target.parentNode.clientWidth}px`,
+      height: 'auto',
+      minHeight: '0',
+      transform: 'none'
+    });
+    this.target.parentNode.appendChild(probe);
+
+    const maxHeight = this.getMaxHeight();
+    const pages = [];
+    let current = [];
+
+    blocks.forEach(block => {
+      probe.innerHTML = [...current, block.html].join('\n');
+      // A block taller than a page still gets a page of its own
+      if (probe.scrollHeight > maxHeight && current.length) {
+        pages.push(current.join('\n'));
+        current = [];
+      }
+      current.push(block.html);
+    });
+    if (current.length) pages.push(current.join('\n'));
+
+    probe.remove();
+    return pages;
+  }
+
+  // ============================================
+  // NAVIGATION
+  // ============================================
+
+  next() {
+    return this.goTo(this.index + 1, 'next');
+  }
+
+  previous() {
+    return this.goTo(this.index - 1, 'prev');
+  }
+
+  async goTo(index, direction) {
+    if (this.isTurning || index < 0 || index >= this.pages.length || index === this.index) return false;
+
+    this.isTurning = true;
+    if (window.hapticController) {
+      window.hapticController.tap();
+    }
+
+    try {
+      await this.turn(direction);
+      this.index = index;
+      this.showPage(index);
+    } finally {
+      this.isTurning = false;
+    }
+    return true;
+  }
+
+  // Old page folds away, the new one comes in from the other side
+  async turn(direction) {
+    if (this.prefersReducedMotion()) return;
+
+    this.typewriter.stop();
+    this.target.classList.add(`page-turn-${direction}`);
+    await new Promise(resolve => setTimeout(resolve, this.options.turnDuration));
+    this.target.classList.remove(`page-turn-${direction}`);
+    this.target.classList.add(`page-enter-${direction}`);
+    setTimeout(() => this.target.classList.remove(`page-enter-${direction}`), this.options.turnDuration);
+  }
+
+  showPage(index) {
+    this.updateNav();
+    this.saveProgress();
+    this.notifyListeners();
+    return this.typewriter.type(this.pages[index]);
+  }
+
+  updateNav() {
+    const { nav, prev, next, indicator } = this.elements;
+    nav.hidden = this.pages.length < 2;
+    prev.disabled = this.index === 0;
+    next.disabled = this.index >= this.pages.length - 1;
+    indicator.textContent = `${this.index + 1} / ${this.pages.length}`;
+  }
+
+  prefersReducedMotion() {
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
+
+  // ============================================
+  // PROGRESS
+  // ============================================
+
+  // Short hash so a new letter does not resume an old page number
+  hash(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  loadProgress() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.options.storageKey) || 'null');
+      return saved && typeof saved === 'object' ? saved : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  saveProgress() {
+    try {
+      localStorage.setItem(this.options.storageKey, JSON.stringify({
+        key: this.contentKey,
+        page: this.index
+      }));
+    } catch (error) {
+      console.warn('⚠️ Storage error:', error);
+    }
+  }
+
+  // Subscribe to page changes
+  subscribe(callback) {
+    const id = Math.random();
+    this.listeners.set(id, callback);
+    return () => this.listeners.delete(id);
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.index, this.pages.length);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+window.LetterPager = LetterPager;
+
+console.log('✨ Letter pages script loaded!');
@@ -0,0 +1,140 @@
+/* ============================================
+   MELODY MATCHER - UNLOCK PUZZLE
+   ============================================
+   - Follows a played note stream against a melody
+   - Optional rhythm check, tempo independent
+   - Counts failed attempts for hints
+   - No DOM access: runs in the browser and in Node
+   ============================================ */
+
+// ============================================
+// MELODY MATCHER
+// ============================================
+
+/**
+ * melody = {
+ *   notes: [67, 67, 69, ...],    // MIDI note numbers
+ *   rhythm: [3, 1, 4, ...],      // relative note lengths, null = ignore timing
+ *   rhythmTolerance: 0.4,        // allowed relative deviation per interval
+ *   matchOctave: false,          // false = compare pitch classes only
+ *   maxGap: 3000                 // ms of silence that restarts the attempt
+ * }
+ */
+class MelodyMatcher {
+  constructor(melody) {
+    if (!melody || !Array.isArray(melody.notes) || melody.notes.length === 0) {
+      throw new Error('Melody needs at least one note');
+    }
+
+    this.notes = melody.notes;
+    this.rhythm = Array.isArray(melody.rhythm) && melody.rhythm.length >= melody.notes.length - 1
+      ? melody.rhythm
+      : null;
+    this.rhythmTolerance = melody.rhythmTolerance ?? 0.4;
+    this.matchOctave = melody.matchOctave ?? false;
+    this.maxGap = melody.maxGap ?? 3000;
+
+    this.reset();
+  }
+
+  reset() {
+    this.index = 0;
+    this.played = [];
+    this.onsets = [];
+    this.failures = 0;
+    this.isComplete = false;
+  }
+
+  matchesNote(expected, played) {
+    if (this.matchOctave) return expected === played;
+    return ((expected % 12) + 12) % 12 === ((played % 12) + 12) % 12;
+  }
+
+  // The first interval sets the tempo, later ones must keep it
+  matchesTiming(time, onsets = this.onsets) {
+    const index = onsets.length;
+    if (!this.rhythm || index < 2) return true;
+
+    const beat = (onsets[1] - onsets[0]) / this.rhythm[0];
+    const expected = this.rhythm[index - 1] * beat;
+    const actual = time - onsets[index - 1];
+    if (expected <= 0) return true;
+
+    return Math.abs(actual / expected - 1) <= this.rhythmTolerance;
+  }
+
+  // Notes and times that would be a correct start of the melody
+  matchesStart(played, onsets) {
+    return played.every((midi, i) =>
+      this.matchesNote(this.notes[i], midi) && this.matchesTiming(onsets[i], onsets.slice(0, i))
+    );
+  }
+
+  // Start over from the longest tail of the attempt (wrong note included)
+  // that is itself a start of the melody, like a KMP fallback:
+  // G G G A still finds G G A ... after the third G
+  restart(midi, time) {
+    const played = [...this.played, midi];
+    const onsets = [...this.onsets, time];
+
+    for (let start = 1; start < played.length; start++) {
+      const tailNotes = played.slice(start);
+      const tailOnsets = onsets.slice(start);
+      if (this.matchesStart(tailNotes, tailOnsets)) {
+        this.played = tailNotes;
+        this.onsets = tailOnsets;
+        this.index = tailNotes.length;
+        return;
+      }
+    }
+
+    this.index = 0;
+    this.played = [];
+    this.onsets = [];
+  }
+
+  push(midi, time = Date.now()) {
+    if (this.isComplete) return this.getStatus();
+
+    // A long pause abandons the attempt without counting as a mistake
+    if (this.index > 0 && time - this.onsets[this.index - 1] > this.maxGap) {
+      this.index = 0;
+      this.played = [];
+      this.onsets = [];
+    }
+
+    if (this.matchesNote(this.notes[this.index], midi) && this.matchesTiming(time)) {
+      this.played.push(midi);
+      this.onsets.push(time);
+      this.index++;
+      this.isComplete = this.index === this.notes.length;
+    } else {
+      if (this.index > 0) this.failures++;
+      this.restart(midi, time);
+    }
+
+    return this.getStatus();
+  }
+
+  getStatus() {
+    return {
+      matched: this.index,
+      total: this.notes.length,
+      failures: this.failures,
+      isComplete: this.isComplete,
+      nextNote: this.isComplete ? null : this.notes[this.index]
+    };
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+if (typeof window !== 'undefined') {
+  window.MelodyMatcher = MelodyMatcher;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MelodyMatcher;
+}
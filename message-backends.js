@@ -0,0 +1,285 @@
+/* ============================================
+   MESSAGE BACKENDS - WHERE MESSAGES ARE DELIVERED
+   ============================================
+   - emailjs:   EmailJS REST API
+   - webhook:   JSON POST to any URL
+   - formspree: Formspree-style form endpoint
+   - relay:     our own server holds the credentials
+                (tools/message-relay-server.js)
+   - local:     nothing leaves the browser
+   - Every backend resolves to the same result object
+   - Endpoints are plain URLs, so a local stub server
+     (tools/message-stub-server.js) can stand in for them
+   ============================================ */
+
+// ============================================
+// RESULT
+// ============================================
+
+/**
+ * {
+ *   success: true | false,
+ *   backend: 'webhook',
+ *   status: 200,             // HTTP status, null without a request
+ *   id: 'abc',               // delivery id when the service returns one
+ *   retryable: false,        // worth trying again (network, timeout, 429, 5xx)
+ *   error: { code, message } // only on failure
+ * }
+ */
+function deliveryResult(backend, fields = {}) {
+  return {
+    success: false,
+    backend,
+    status: null,
+    id: null,
+    retryable: false,
+    error: null,
+    ...fields
+  };
+}
+
+function failure(backend, code, message, fields = {}) {
+  return deliveryResult(backend, { ...fields, success: false, error: { code, message } });
+}
+
+// Thrown by EmailService once retries are used up, carries the last result
+class DeliveryError extends Error {
+  constructor(result) {
+    super(result.error?.message || 'Delivery failed');
+    this.name = 'DeliveryError';
+    this.result = result;
+  }
+}
+
+// ============================================
+// HTTP HELPER
+// ============================================
+
+// POST with a timeout; network errors become results instead of throws
+async function postRequest(backend, url, { headers = {}, body, timeout = 5000, fetchImpl } = {}) {
+  if (!url) {
+    return { result: failure(backend, 'not_configured', `No URL configured for the ${backend} backend`) };
+  }
+
+  const doFetch = fetchImpl || globalThis.fetch;
+  const controller = typeof AbortController === 'function' ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+
+  try {
+    const response = await doFetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: controller?.signal
+    });
+    const text = await response.text();
+
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      // Plain text answers are fine too
+    }
+    return { response, text, data };
+  } catch (error) {
+    const isTimeout = error.name === 'AbortError';
+    return {
+      result: failure(backend, isTimeout ? 'timeout' : 'network', isTimeout ? `No answer after ${timeout} ms` : error.message, {
+        retryable: true
+      })
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function httpFailure(backend, response, message) {
+  const status = response.status;
+  return failure(backend, `http_${status}`, message || `HTTP ${status}`, {
+    status,
+    retryable: status === 429 || status >= 500
+  });
+}
+
+// ============================================
+// BACKENDS
+// ============================================
+
+/**
+ * A backend is { id, send(message, config, options) -> Promise<result> }.
+ * message = { id, to, name, email, message, timestamp, subject }
+ * `id` stays the same across retries so receivers can drop duplicates
+ * options = { fetch } to swap the HTTP client
+ */
+const EmailJsBackend = {
+  id: 'emailjs',
+
+  async send(message, config, options = {}) {
+    const settings = config.emailJs || {};
+    if (!settings.publicKey || !settings.serviceId || !settings.templateId) {
+      return failure(this.id, 'not_configured', 'EmailJS needs publicKey, serviceId and templateId');
+    }
+
+    const { result, response, text } = await postRequest(this.id, settings.apiUrl, {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        service_id: settings.serviceId,
+        template_id: settings.templateId,
+        user_id: settings.publicKey,
+        // Private key, only ever set on a server
+        accessToken: settings.privateKey || undefined,
+        template_params: {
+          to_email: message.to,
+          from_name: message.name || 'Anonymous',
+          from_email: message.email || 'no-reply@giftwebsite.com',
+          message: message.message,
+          message_id: message.id,
+          timestamp: new Date(message.timestamp).toLocaleString('vi-VN')
+        }
+      }),
+      timeout: config.apiTimeout,
+      fetchImpl: options.fetch
+    });
+
+    if (result) return result;
+    if (!response.ok) return httpFailure(this.id, response, text);
+    return deliveryResult(this.id, { success: true, status: response.status });
+  }
+};
+
+const WebhookBackend = {
+  id: 'webhook',
+
+  async send(message, config, options = {}) {
+    const settings = config.webhook || {};
+
+    const { result, response, text, data } = await postRequest(this.id, settings.url, {
+      headers: { 'Content-Type': 'application/json', ...(settings.headers || {}) },
+      body: JSON.stringify(message),
+      timeout: config.apiTimeout,
+      fetchImpl: options.fetch
+    });
+
+    if (result) return result;
+    if (!response.ok) return httpFailure(this.id, response, data?.error || text);
+    return deliveryResult(this.id, { success: true, status: response.status, id: data?.id ?? null });
+  }
+};
+
+const FormspreeBackend = {
+  id: 'formspree',
+
+  async send(message, config, options = {}) {
+    const settings = config.formspree || {};
+
+    // Formspree answers JSON only when asked; `_replyto` sets the reply address
+    const { result, response, text, data } = await postRequest(this.id, settings.endpoint, {
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({
+        name: message.name,
+        email: message.email || undefined,
+        _replyto: message.email || undefined,
+        _subject: message.subject,
+        message: message.message,
+        message_id: message.id,
+        timestamp: message.timestamp
+      }),
+      timeout: config.apiTimeout,
+      fetchImpl: options.fetch
+    });
+
+    if (result) return result;
+    if (!response.ok || data?.ok === false) {
+      const reason = data?.errors?.map(error => error.message).join(', ') || data?.error || text;
+      return httpFailure(this.id, response, reason);
+    }
+    return deliveryResult(this.id, { success: true, status: response.status, id: data?.id ?? null });
+  }
+};
+
+// Only the relay URL is public; recipient and credentials stay on the server.
+// The relay says whether a failure is worth retrying.
+const RelayBackend = {
+  id: 'relay',
+
+  async send(message, config, options = {}) {
+    const settings = config.relay || {};
+
+    const { result, response, text, data } = await postRequest(this.id, settings.url, {
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({
+        id: message.id,
+        name: message.name,
+        email: message.email,
+        message: message.message,
+        timestamp: message.timestamp
+      }),
+      timeout: config.apiTimeout,
+      fetchImpl: options.fetch
+    });
+
+    if (result) return result;
+    if (!response.ok || data?.ok === false) {
+      const failed = httpFailure(this.id, response, data?.error?.message || text);
+      if (data?.error?.code) failed.error.code = data.error.code;
+      if (typeof data?.retryable === 'boolean') failed.retryable = data.retryable;
+      return failed;
+    }
+    return deliveryResult(this.id, { success: true, status: response.status, id: data?.id ?? null });
+  }
+};
+
+// The message stays in this browser's storage only
+const LocalBackend = {
+  id: 'local',
+
+  async send() {
+    return deliveryResult(this.id, { success: true });
+  }
+};
+
+// ============================================
+// REGISTRY
+// ============================================
+
+const messageBackends = new Map(
+  [EmailJsBackend, WebhookBackend, FormspreeBackend, RelayBackend, LocalBackend].map(backend => [backend.id, backend])
+);
+
+function registerMessageBackend(backend) {
+  if (!backend?.id || typeof backend.send !== 'function') {
+    throw new Error('A message backend needs an id and a send() function');
+  }
+  messageBackends.set(backend.id, backend);
+  return backend;
+}
+
+function getMessageBackend(id) {
+  return messageBackends.get(id) || null;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+if (typeof window !== 'undefined') {
+  window.MessageBackends = {
+    get: getMessageBackend,
+    register: registerMessageBackend,
+    list: () => Array.from(messageBackends.keys())
+  };
+  window.DeliveryError = DeliveryError;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EmailJsBackend,
+    WebhookBackend,
+    FormspreeBackend,
+    RelayBackend,
+    LocalBackend,
+    DeliveryError,
+    getMessageBackend,
+    registerMessageBackend
+  };
+}
@@ -0,0 +1,387 @@
+/* ============================================
+   MESSAGE INBOX - MESSAGES ALREADY SENT
+   ============================================
+   - Lists the msg_* entries written by saveToStorage()
+   - Newest first, search by text, name or email
+   - Delivery status from the outbox (message-outbox.js)
+   - Delete single messages
+   - Export as JSON, CSV or plain text
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const INBOX_CONFIG = {
+  storagePrefix: 'msg_',
+  exportName: 'loi-nhan',
+  searchDelay: 150, // ms
+
+  labels: {
+    toggle: '📬 Lời nhắn đã gửi',
+    title: '📬 Lời nhắn đã gửi',
+    search: 'Tìm trong lời nhắn...',
+    empty: 'Bạn chưa gửi lời nhắn nào.',
+    noMatch: 'Không tìm thấy lời nhắn nào.',
+    deleteConfirm: 'Xóa lời nhắn này khỏi máy?',
+    deleted: '🗑️ Đã xóa lời nhắn',
+    exported: '⬇️ Đã tải xuống',
+    status: {
+      queued: '⏳ Đang chờ gửi',
+      sending: '📤 Đang gửi...',
+      sent: '✅ Đã gửi',
+      failed: '❌ Không gửi được',
+      saved: '💾 Chỉ lưu trên máy'
+    }
+  }
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Lowercase without Vietnamese diacritics, so "nho" finds "nhớ"
+function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/gi, 'd')
+    .toLowerCase();
+}
+
+function loadSavedMessages(storage = localStorage, prefix = INBOX_CONFIG.storagePrefix) {
+  const entries = [];
+
+  for (let i = 0; i < storage.length; i++) {
+    const key = storage.key(i);
+    if (!key?.startsWith(prefix)) continue;
+
+    try {
+      const data = JSON.parse(storage.getItem(key));
+      if (!data || typeof data.message !== 'string') continue;
+
+      entries.push({
+        key,
+        id: data.id || key,
+        message: data.message,
+        name: data.name || 'Anonymous',
+        email: data.email || '',
+        timestamp: data.timestamp || new Date(Number(key.slice(prefix.length)) || 0).toISOString()
+      });
+    } catch (e) {
+      console.error('Parse error:', key);
+    }
+  }
+
+  return entries.sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+}
+
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ============================================
+// EXPORT FORMATS
+// ============================================
+
+const INBOX_EXPORTS = {
+  json: {
+    type: 'application/json',
+    extension: 'json',
+    format: entries => JSON.stringify(entries.map(({ key, ...entry }) => entry), null, 2)
+  },
+
+  // BOM so spreadsheet apps read the Vietnamese text as UTF-8
+  csv: {
+    type: 'text/csv;charset=utf-8',
+    extension: 'csv',
+    format: entries => '\uFEFF' + [
+      ['id', 'timestamp', 'name', 'email', 'status', 'message'].join(','),
+      ...entries.map(entry => [entry.id, entry.timestamp, entry.name, entry.email, entry.status, entry.message].map(csvField).join(','))
+    ].join('\r\n')
+  },
+
+  txt: {
+    type: 'text/plain;charset=utf-8',
+    extension: 'txt',
+    format: entries => entries.map(entry => [
+      `${new Date(entry.timestamp).toLocaleString('vi-VN')} - ${entry.name}${entry.email ? ` <${entry.email}>` : ''}`,
+      INBOX_CONFIG.labels.status[entry.status] || entry.status,
+      '',
+      entry.message
+    ].join('\n')).join('\n\n----------\n\n')
+  }
+};
+
+// ============================================
+// INBOX (data)
+// ============================================
+
+class MessageInbox {
+  // getOutbox() returns the MessageOutbox, or null without one
+  constructor(getOutbox = () => null) {
+    this.getOutbox = getOutbox;
+    this.entries = [];
+    this.listeners = new Map();
+  }
+
+  // Read storage again and attach each message's delivery status
+  async refresh() {
+    const outbox = this.getOutbox();
+    const records = outbox?.store ? await outbox.list() : [];
+    const byId = new Map(records.map(record => [record.id, record]));
+
+    this.entries = loadSavedMessages().map(entry => {
+      const record = byId.get(entry.id);
+      return {
+        ...entry,
+        status: record ? record.status : 'saved',
+        error: record?.lastError?.message || null
+      };
+    });
+
+    this.notifyListeners();
+    return this.entries;
+  }
+
+  search(query) {
+    const needle = normalizeSearchText(query).trim();
+    if (!needle) return this.entries;
+
+    return this.entries.filter(entry =>
+      normalizeSearchText(`${entry.message} ${entry.name} ${entry.email}`).includes(needle)
+    );
+  }
+
+  // Removing the outbox record too stops a queued message from being sent
+  async remove(key) {
+    const entry = this.entries.find(item => item.key === key);
+    // A message on its way would be written back by the outbox
+    if (!entry || entry.status === 'sending') return false;
+
+    try {
+      localStorage.removeItem(entry.key);
+    } catch (error) {
+      console.warn('⚠️ Storage error:', error);
+      return false;
+    }
+
+    const outbox = this.getOutbox();
+    if (outbox?.store) await outbox.remove(entry.id);
+
+    await this.refresh();
+    return true;
+  }
+
+  export(format, entries = this.entries) {
+    const exporter = INBOX_EXPORTS[format];
+    if (!exporter) throw new Error(`Unknown export format: ${format}`);
+    return { ...exporter, data: exporter.format(entries) };
+  }
+
+  // Subscribe to list changes: callback(entries)
+  subscribe(callback) {
+    const id = Math.random();
+    this.listeners.set(id, callback);
+    return () => this.listeners.delete(id);
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.entries);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// ============================================
+// INBOX PANEL (UI)
+// ============================================
+
+class MessageInboxPanel {
+  constructor(inbox, container) {
+    this.inbox = inbox;
+    this.container = container;
+    this.labels = INBOX_CONFIG.labels;
+    this.element = null;
+    this.toggle = null;
+    this.searchInput = null;
+    this.list = null;
+    this.status = null;
+    this.query = '';
+    this.searchTimer = null;
+  }
+
+  init() {
+    this.toggle = document.createElement('button');
+    this.toggle.type = 'button';
+    this.toggle.className = 'inbox-toggle';
+    this.toggle.setAttribute('aria-expanded', 'false');
+
+    this.element = document.createElement('section');
+    this.element.className = 'inbox-panel';
+    this.element.id = 'messageInbox';
+    this.element.hidden = true;
+    this.element.innerHTML = `
+      <h4 class="inbox-title">${this.labels.title}</h4>
+      <input type="search" class="inbox-search" aria-label="${this.labels.search}" placeholder="${this.labels.search}">
+      <div class="inbox-actions">
+        <button type="button" class="inbox-btn" data-action="export-json">⬇️ JSON</button>
+        <button type="button" class="inbox-btn" data-action="export-csv">⬇️ CSV</button>
+        <button type="button" class="inbox-btn" data-action="export-txt">⬇️ TXT</button>
+      </div>
+      <ul class="inbox-list"></ul>
+      <p class="inbox-status" aria-live="polite"></p>
+    `;
+    this.toggle.setAttribute('aria-controls', this.element.id);
+    this.container.append(this.toggle, this.element);
+
+    this.searchInput = this.element.querySelector('.inbox-search');
+    this.list = this.element.querySelector('.inbox-list');
+    this.status = this.element.querySelector('.inbox-status');
+
+    this.toggle.addEventListener('click', () => this.setOpen(this.element.hidden));
+    this.searchInput.addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => {
+        this.query = this.searchInput.value;
+        this.renderList();
+      }, INBOX_CONFIG.searchDelay);
+    });
+
+    this.element.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (button) this.handleAction(button.dataset.action, button.dataset.key);
+    });
+
+    // Messages sent from another tab
+    window.addEventListener('storage', (e) => {
+      if (!e.key || e.key.startsWith(INBOX_CONFIG.storagePrefix)) this.inbox.refresh();
+    });
+
+    this.inbox.subscribe(() => this.render());
+    this.inbox.refresh();
+    return this;
+  }
+
+  setOpen(isOpen) {
+    this.element.hidden = !isOpen;
+    this.toggle.setAttribute('aria-expanded', String(isOpen));
+    if (isOpen) this.inbox.refresh();
+  }
+
+  async handleAction(action, key) {
+    switch (action) {
+      case 'delete':
+        if (!confirm(this.labels.deleteConfirm)) return;
+        if (await this.inbox.remove(key)) this.setMessage(this.labels.deleted);
+        break;
+      case 'export-json':
+      case 'export-csv':
+      case 'export-txt':
+        this.download(action.replace('export-', ''));
+        break;
+    }
+  }
+
+  // Exports what the search shows
+  download(format) {
+    const entries = this.inbox.search(this.query);
+    if (entries.length === 0) return;
+
+    const { data, type, extension } = this.inbox.export(format, entries);
+    const blob = new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${INBOX_CONFIG.exportName}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    this.setMessage(`${this.labels.exported} ${entries.length} lời nhắn (${extension.toUpperCase()})`);
+  }
+
+  render() {
+    const count = this.inbox.entries.length;
+    this.toggle.textContent = `${this.labels.toggle} (${count})`;
+    this.toggle.hidden = count === 0;
+    if (count === 0) this.setOpen(false);
+    this.renderList();
+  }
+
+  renderList() {
+    const entries = this.inbox.search(this.query);
+    this.list.replaceChildren(...entries.map(entry => this.renderItem(entry)));
+
+    this.element.querySelectorAll('[data-action^="export"]').forEach(button => {
+      button.disabled = entries.length === 0;
+    });
+
+    if (entries.length === 0) {
+      this.setMessage(this.inbox.entries.length ? this.labels.noMatch : this.labels.empty);
+    } else if (this.status.textContent === this.labels.noMatch || this.status.textContent === this.labels.empty) {
+      this.setMessage('');
+    }
+  }
+
+  renderItem(entry) {
+    const item = document.createElement('li');
+    item.className = `inbox-item ${entry.status}`;
+
+    const meta = document.createElement('div');
+    meta.className = 'inbox-meta';
+
+    const time = document.createElement('time');
+    time.dateTime = entry.timestamp;
+    time.textContent = new Date(entry.timestamp).toLocaleString('vi-VN');
+
+    const from = document.createElement('span');
+    from.className = 'inbox-from';
+    from.textContent = entry.email ? `${entry.name} · ${entry.email}` : entry.name;
+
+    const badge = document.createElement('span');
+    badge.className = 'inbox-badge';
+    badge.textContent = this.labels.status[entry.status] || entry.status;
+    if (entry.error && entry.status !== 'sent') badge.title = entry.error;
+
+    meta.append(time, from, badge);
+
+    const text = document.createElement('p');
+    text.className = 'inbox-text';
+    text.textContent = entry.message;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'inbox-btn inbox-delete';
+    remove.dataset.action = 'delete';
+    remove.dataset.key = entry.key;
+    remove.setAttribute('aria-label', 'Xóa lời nhắn');
+    remove.textContent = '🗑️';
+
+    item.append(meta, text, remove);
+    return item;
+  }
+
+  setMessage(text) {
+    this.status.textContent = text;
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+if (typeof window !== 'undefined') {
+  window.MessageInbox = MessageInbox;
+  window.MessageInboxPanel = MessageInboxPanel;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MessageInbox, loadSavedMessages, normalizeSearchText, INBOX_EXPORTS, INBOX_CONFIG };
+}
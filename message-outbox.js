@@ -0,0 +1,528 @@
+/* ============================================
+   MESSAGE OUTBOX - OFFLINE QUEUE & RETRY
+   ============================================
+   - Every submitted message is stored in IndexedDB first
+   - Status per message: queued -> sending -> sent | saved | failed
+     (saved: kept by the local backend, nothing was sent)
+   - Sent again when the browser comes back online,
+     on the next visit, or after a growing delay
+   - Each message has an id, so it is never queued or
+     sent twice (also across tabs)
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const OUTBOX_CONFIG = {
+  dbName: 'gift_messages',
+  storeName: 'outbox',
+  dbVersion: 1,
+
+  // Background retries after a retryable failure (ms), the last one repeats
+  retryDelays: [30000, 120000, 600000],
+
+  // Another tab sending longer than this is assumed to be gone
+  staleSendingAfter: 60000,
+
+  // Quick retries inside one attempt before the message waits in the outbox
+  inPageRetries: 1,
+
+  labels: {
+    title: '📮 Lời nhắn của bạn',
+    queued: '⏳ Đang chờ gửi',
+    sending: '📤 Đang gửi...',
+    sent: '✅ Đã gửi',
+    saved: '💾 Chỉ lưu trên máy',
+    failed: '❌ Không gửi được',
+    retry: 'Gửi lại',
+    offline: '📴 Đang ngoại tuyến, lời nhắn sẽ tự gửi khi có mạng.'
+  }
+};
+
+function createMessageId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `msg_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// ============================================
+// STORES
+// ============================================
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+class IndexedDbStore {
+  constructor(options = OUTBOX_CONFIG) {
+    this.options = options;
+    this.db = null;
+  }
+
+  async open() {
+    const { dbName, dbVersion, storeName } = this.options;
+    const request = indexedDB.open(dbName, dbVersion);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(storeName)) {
+        db.createObjectStore(storeName, { keyPath: 'id' });
+      }
+    };
+
+    this.db = await promisifyRequest(request);
+    return this;
+  }
+
+  run(mode, action) {
+    const transaction = this.db.transaction(this.options.storeName, mode);
+    return promisifyRequest(action(transaction.objectStore(this.options.storeName)));
+  }
+
+  get(id) {
+    return this.run('readonly', store => store.get(id)).then(record => record || null);
+  }
+
+  getAll() {
+    return this.run('readonly', store => store.getAll());
+  }
+
+  put(record) {
+    return this.run('readwrite', store => store.put(record));
+  }
+
+  delete(id) {
+    return this.run('readwrite', store => store.delete(id));
+  }
+
+  // Read and write in one readwrite transaction. Transactions on the same
+  // store never overlap, so two tabs cannot both claim one message.
+  // change(record) returns the new record, or null to leave it alone.
+  modify(id, change) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.options.storeName, 'readwrite');
+      const store = transaction.objectStore(this.options.storeName);
+      let result = null;
+
+      const request = store.get(id);
+      request.onsuccess = () => {
+        result = request.result ? change(request.result) : null;
+        if (result) store.put(result);
+      };
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+// Without IndexedDB (old browsers, some private modes) the queue lives until reload
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async open() {
+    return this;
+  }
+
+  async get(id) {
+    return this.records.get(id) || null;
+  }
+
+  async getAll() {
+    return Array.from(this.records.values());
+  }
+
+  async put(record) {
+    this.records.set(record.id, record);
+  }
+
+  async delete(id) {
+    this.records.delete(id);
+  }
+
+  async modify(id, change) {
+    const record = this.records.get(id);
+    const result = record ? change(record) : null;
+    if (result) this.records.set(id, result);
+    return result;
+  }
+}
+
+// ============================================
+// OUTBOX
+// ============================================
+
+/**
+ * record = {
+ *   id, data,                  // data = formData given to send()
+ *   status: 'queued' | 'sending' | 'sent' | 'saved' | 'failed',
+ *   attempts, createdAt, updatedAt,
+ *   nextAttemptAt,             // earliest background retry (ms)
+ *   sendingSince,              // set while one tab is sending it
+ *   lastError: { code, message } | null,
+ *   delivery: result | null    // last backend result
+ * }
+ *
+ * send(data) resolves with a delivery result or throws
+ * (a DeliveryError carries the result).
+ */
+class MessageOutbox {
+  constructor(send, options = {}) {
+    this.send = send;
+    this.options = { ...OUTBOX_CONFIG, ...options };
+    this.store = null;
+    this.inFlight = new Set();
+    this.isFlushing = null;
+    this.retryTimer = null;
+    this.listeners = new Map();
+  }
+
+  async init() {
+    try {
+      if (typeof indexedDB === 'undefined') throw new Error('IndexedDB not available');
+      this.store = await new IndexedDbStore(this.options).open();
+    } catch (error) {
+      console.warn('⚠️ Outbox falls back to memory:', error);
+      this.store = await new MemoryStore().open();
+    }
+
+    window.addEventListener('online', () => {
+      console.log('🌐 Back online, sending queued messages');
+      this.flushInBackground({ force: true });
+    });
+    window.addEventListener('offline', () => this.notifyListeners());
+
+    // Messages left over from the last visit
+    this.flushInBackground({ force: true });
+    console.log('📮 Outbox ready');
+    return this;
+  }
+
+  // Store the message, then try to send it once; resolves with its record
+  async enqueue(data) {
+    const id = data.id || createMessageId();
+    const existing = await this.store.get(id);
+    if (existing) {
+      console.log(`📮 Message ${id} is already in the outbox (${existing.status})`);
+      return existing;
+    }
+
+    const now = Date.now();
+    const record = {
+      id,
+      data: { ...data, id },
+      status: 'queued',
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: now,
+      sendingSince: null,
+      lastError: null,
+      delivery: null
+    };
+    await this.store.put(record);
+    this.notifyListeners();
+
+    return this.deliver(id);
+  }
+
+  // Failed messages are only sent again on request
+  async retry(id) {
+    const record = await this.store.get(id);
+    if (!record || ['sent', 'saved', 'sending'].includes(record.status)) return record;
+
+    await this.update(record, { status: 'queued', nextAttemptAt: Date.now() });
+    return this.deliver(id);
+  }
+
+  // Send every queued message that is due; `force` ignores the retry delay
+  flush({ force = false } = {}) {
+    if (this.isFlushing) return this.isFlushing;
+
+    this.isFlushing = (async () => {
+      const records = await this.list();
+      const now = Date.now();
+      const due = records.filter(record => this.isDue(record, now, force));
+
+      for (const record of due) {
+        await this.deliver(record.id);
+      }
+      this.scheduleRetry();
+      return due.length;
+    })().finally(() => {
+      this.isFlushing = null;
+    });
+
+    return this.isFlushing;
+  }
+
+  // From events and timers, where nobody waits for the result
+  flushInBackground(options) {
+    this.flush(options).catch(error => console.error('❌ Outbox flush failed:', error));
+  }
+
+  isDue(record, now, force) {
+    if (record.status === 'sending') {
+      return this.isStale(record, now);
+    }
+    return record.status === 'queued' && (force || record.nextAttemptAt <= now);
+  }
+
+  // Sending for too long: the tab that claimed it is gone
+  isStale(record, now) {
+    return now - (record.sendingSince || 0) > this.options.staleSendingAfter;
+  }
+
+  // A queued message, or one a closed tab left behind, may be sent
+  canClaim(record, now) {
+    return record.status === 'queued' || (record.status === 'sending' && this.isStale(record, now));
+  }
+
+  // One attempt for one message, never two at once for the same id
+  async deliver(id) {
+    if (this.inFlight.has(id)) return this.store.get(id);
+    this.inFlight.add(id);
+
+    try {
+      if (!this.isOnline()) {
+        this.scheduleRetry();
+        return this.store.get(id);
+      }
+
+      // Checked and marked in one step, so another tab cannot claim it too
+      const now = Date.now();
+      let record = await this.store.modify(id, current => this.canClaim(current, now)
+        ? { ...current, status: 'sending', sendingSince: now, attempts: current.attempts + 1, updatedAt: now }
+        : null);
+      if (!record) return this.store.get(id);
+      this.notifyListeners();
+
+      try {
+        const result = await this.send(record.data);
+        const status = result?.backend === 'local' ? 'saved' : 'sent';
+        console.log(`✅ Outbox message ${id} ${status}`);
+        return await this.update(record, {
+          status,
+          sendingSince: null,
+          lastError: null,
+          delivery: result
+        });
+      } catch (error) {
+        const result = error.result || null;
+        const retryable = result ? result.retryable : true;
+        console.warn(`⚠️ Outbox message ${id} not sent (${retryable ? 'will retry' : 'gave up'}):`, error.message);
+
+        record = await this.update(record, {
+          status: retryable ? 'queued' : 'failed',
+          sendingSince: null,
+          nextAttemptAt: Date.now() + this.getRetryDelay(record.attempts),
+          lastError: result?.error || { code: 'error', message: error.message },
+          delivery: result
+        });
+        this.scheduleRetry();
+        return record;
+      }
+    } finally {
+      this.inFlight.delete(id);
+    }
+  }
+
+  getRetryDelay(attempts) {
+    const delays = this.options.retryDelays;
+    return delays[Math.min(attempts, delays.length) - 1] || delays[0];
+  }
+
+  // One timer for the earliest due message, including one another tab
+  // is sending: if that tab closes, the message is picked up once stale
+  async scheduleRetry() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    let pending;
+    try {
+      pending = (await this.list()).filter(record => record.status === 'queued' || record.status === 'sending');
+    } catch (error) {
+      console.error('❌ Outbox retry not scheduled:', error);
+      return;
+    }
+    if (pending.length === 0 || !this.isOnline()) return;
+
+    const next = Math.min(...pending.map(record => this.getNextAttemptAt(record)));
+    this.retryTimer = setTimeout(() => this.flushInBackground(), Math.max(0, next - Date.now()));
+  }
+
+  getNextAttemptAt(record) {
+    if (record.status === 'sending') {
+      return (record.sendingSince || 0) + this.options.staleSendingAfter + 1;
+    }
+    return record.nextAttemptAt;
+  }
+
+  async update(record, changes) {
+    const updated = { ...record, ...changes, updatedAt: Date.now() };
+    await this.store.put(updated);
+    this.notifyListeners();
+    return updated;
+  }
+
+  // ============================================
+  // QUERIES
+  // ============================================
+
+  async list() {
+    const records = await this.store.getAll();
+    return records.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async getCounts() {
+    const counts = { queued: 0, sending: 0, sent: 0, saved: 0, failed: 0 };
+    (await this.list()).forEach(record => {
+      counts[record.status] = (counts[record.status] || 0) + 1;
+    });
+    return counts;
+  }
+
+  async remove(id) {
+    await this.store.delete(id);
+    this.notifyListeners();
+  }
+
+  isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  // Subscribe to outbox changes: callback(records)
+  subscribe(callback) {
+    const id = Math.random();
+    this.listeners.set(id, callback);
+    return () => this.listeners.delete(id);
+  }
+
+  // Called without await, so a failed read is logged here
+  async notifyListeners() {
+    if (this.listeners.size === 0) return;
+
+    let records;
+    try {
+      records = await this.list();
+    } catch (error) {
+      console.error('❌ Outbox not readable:', error);
+      return;
+    }
+    this.listeners.forEach(callback => {
+      try {
+        callback(records);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// ============================================
+// STATUS LIST (DOM)
+// ============================================
+
+class OutboxStatusView {
+  constructor(outbox, container, options = {}) {
+    this.outbox = outbox;
+    this.container = container;
+    this.labels = { ...OUTBOX_CONFIG.labels, ...options.labels };
+    this.element = null;
+  }
+
+  init() {
+    this.element = document.createElement('section');
+    this.element.className = 'outbox-status';
+    this.element.hidden = true;
+    this.element.setAttribute('aria-live', 'polite');
+    this.container.appendChild(this.element);
+
+    this.element.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-retry]');
+      if (button) this.outbox.retry(button.dataset.retry);
+    });
+
+    this.outbox.subscribe(records => this.render(records));
+    this.outbox.list().then(records => this.render(records));
+    return this;
+  }
+
+  render(records) {
+    this.element.hidden = records.length === 0;
+    this.element.replaceChildren();
+
+    const title = document.createElement('h4');
+    title.className = 'outbox-title';
+    title.textContent = this.labels.title;
+    this.element.appendChild(title);
+
+    if (!this.outbox.isOnline()) {
+      const offline = document.createElement('p');
+      offline.className = 'outbox-offline';
+      offline.textContent = this.labels.offline;
+      this.element.appendChild(offline);
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'outbox-list';
+    records.slice().reverse().forEach(record => list.appendChild(this.renderItem(record)));
+    this.element.appendChild(list);
+  }
+
+  renderItem(record) {
+    const item = document.createElement('li');
+    item.className = `outbox-item ${record.status}`;
+
+    const text = document.createElement('span');
+    text.className = 'outbox-text';
+    const message = record.data.message || '';
+    text.textContent = message.length > 60 ? `${message.slice(0, 60)}…` : message;
+
+    const time = document.createElement('time');
+    time.className = 'outbox-time';
+    time.dateTime = new Date(record.createdAt).toISOString();
+    time.textContent = new Date(record.createdAt).toLocaleString('vi-VN');
+
+    const status = document.createElement('span');
+    status.className = 'outbox-badge';
+    status.textContent = this.labels[record.status] || record.status;
+    if (record.lastError && record.status !== 'sent') {
+      status.title = record.lastError.message;
+    }
+
+    item.append(text, time, status);
+
+    if (record.status === 'failed') {
+      const retry = document.createElement('button');
+      retry.type = 'button';
+      retry.className = 'outbox-retry';
+      retry.dataset.retry = record.id;
+      retry.textContent = this.labels.retry;
+      item.appendChild(retry);
+    }
+    return item;
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+if (typeof window !== 'undefined') {
+  window.MessageOutbox = MessageOutbox;
+  window.OutboxStatusView = OutboxStatusView;
+  window.createMessageId = createMessageId;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MessageOutbox, MemoryStore, createMessageId, OUTBOX_CONFIG };
+}
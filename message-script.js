@@ -1,21 +1,18 @@
 /* ============================================
-   MESSAGE SECTION - EMAILJS CONFIGURED
+   MESSAGE SECTION - PLUGGABLE DELIVERY
    ============================================
-   Email: buiminhphu0@gmail.com
+   Recipient & credentials: tools/message-relay-server.js
    Character limit: 2000
    With Chiikawa rain images
+   Delivery backends: message-backends.js
+   Offline queue: message-outbox.js
+   Sent messages panel: message-inbox.js
    ============================================ */
 
 // ============================================
-// CONFIGURATION - YOUR EMAILJS CREDENTIALS
+// CONFIGURATION - DELIVERY BACKEND & CREDENTIALS
 // ============================================
 
-console.log("Kiểm tra EmailJS:", window.emailjs);
-
-if (!window.emailjs) {
-    alert("Lỗi: Thư viện EmailJS chưa được tải! Hãy kiểm tra kết nối mạng hoặc tắt chặn quảng cáo.");
-}
-
 const MESSAGE_CONFIG = {
   // Form limits
   maxChars: 2000,  // ✅ 2000 ký tự
@@ -23,17 +20,36 @@ const MESSAGE_CONFIG = {
   
   // Email settings
   enableEmailSending: true,
-  emailBackend: 'emailjs',
+  emailBackend: 'relay', // 'relay' | 'emailjs' | 'webhook' | 'formspree' | 'local'
+  emailSubject: '💌 Lời nhắn mới từ trang quà tặng',
+
+  // ✅ RELAY - recipient and credentials live on the server only
+  // Without a URL (or with a localhost one on a deployed page) messages stay local
+  relay: {
+    url: '' // e.g. 'http://localhost:8788/api/messages' (tools/message-relay-server.js)
+  },
   
-  // ✅ YOUR EMAILJS CREDENTIALS
+  // Direct EmailJS without the relay: anyone reading the page can use these
   emailJs: {
-    publicKey: 'j-6LlihUH6GNu_ZZC',      // ✅ Your Public Key
-    serviceId: 'service_ctkp9x8',         // ✅ Your Service ID
-    templateId: 'template_wutqkit'        // ✅ Your Template ID
+    publicKey: '',
+    serviceId: '',
+    templateId: '',
+    apiUrl: 'https://api.emailjs.com/api/v1.0/email/send'
+  },
+
+  // JSON POST of { id, to, name, email, message, timestamp, subject }
+  webhook: {
+    url: '',     // e.g. 'http://localhost:8787/webhook' (tools/message-stub-server.js)
+    headers: {}
+  },
+
+  // Formspree or any endpoint that speaks the same JSON
+  formspree: {
+    endpoint: '' // e.g. 'https://formspree.io/f/yourFormId'
   },
   
-  // ✅ EMAIL RECIPIENT
-  recipientEmail: 'buiminhphu0@gmail.com',  // ✅ Your email
+  // Only for the direct backends, the relay ignores it
+  recipientEmail: '',
   
   // ✅ Chiikawa rain images paths
   chikawaImages: [
@@ -48,7 +64,15 @@ const MESSAGE_CONFIG = {
   
   // API settings
   apiTimeout: 5000,
-  maxRetries: 3
+  maxRetries: 3,
+
+  // Draft autosave
+  draftStorageKey: 'message_draft',
+  draftSaveDelay: 500, // ms after the last keystroke
+  draftLabels: {
+    restored: '📝 Đã khôi phục bản nháp lần trước của bạn.',
+    discard: 'Xóa nháp'
+  }
 };
 
 // ============================================
@@ -65,6 +89,8 @@ class FormStateManager {
       isSubmitting: false,
       submitCount: 0,
       emailSent: false,
+      delivery: null,
+      outboxStatus: null,
       timestamp: Date.now()
     };
     this.history = [];
@@ -90,6 +116,8 @@ class FormStateManager {
       isSubmitting: false,
       submitCount: 0,
       emailSent: false,
+      delivery: null,
+      outboxStatus: null,
       timestamp: Date.now()
     };
   }
@@ -170,65 +198,77 @@ class FormValidator {
 }
 
 // ============================================
-// EMAIL SERVICE - EMAILJS
+// EMAIL SERVICE - PLUGGABLE BACKENDS
 // ============================================
 
+// A localhost relay only answers pages opened on the same machine
+function isRelayUrlUsable(url, page = window.location) {
+  if (!url) return false;
+
+  try {
+    const isLocal = host => ['localhost', '127.0.0.1', '[::1]', ''].includes(host);
+    return !isLocal(new URL(url, page.href).hostname) || isLocal(page.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
 class EmailService {
   constructor(config) {
     this.config = config;
   }
 
-  async send(formData, retryCount = 0) {
-    if (!MESSAGE_CONFIG.enableEmailSending) {
-      console.log('📧 Email sending disabled');
-      return { success: true };
-    }
+  // A relay nobody can reach would keep messages queued forever
+  getBackendId() {
+    const { emailBackend, relay } = this.config;
+    if (emailBackend === 'relay' && !isRelayUrlUsable(relay?.url)) return 'local';
+    return emailBackend;
+  }
 
-    try {
-      return await this.sendEmailJS(formData);
-    } catch (error) {
-      if (retryCount < MESSAGE_CONFIG.maxRetries) {
-        console.log(`🔄 Retrying (${retryCount + 1}/${MESSAGE_CONFIG.maxRetries})...`);
-        await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1)));
-        return this.send(formData, retryCount + 1);
-      }
-      throw error;
+  getBackend() {
+    const backend = window.MessageBackends?.get(this.getBackendId());
+    if (!backend) {
+      throw new Error(`Unknown email backend: ${this.config.emailBackend}`);
     }
+    return backend;
   }
 
-  async sendEmailJS(formData) {
-    // Load EmailJS library
-    if (!window.emailjs) {
-      console.log('📧 Loading EmailJS library...');
-      const script = document.createElement('script');
-      script.src = 'https://cdn.jsdelivr.net/npm/@emailjs/browser@3/dist/index.min.js';
-      script.async = true;
-      
-      await new Promise((resolve, reject) => {
-        script.onload = resolve;
-        script.onerror = reject;
-        document.head.appendChild(script);
-      });
+  buildMessage(formData) {
+    return {
+      id: formData.id || null,
+      to: this.config.recipientEmail,
+      name: formData.name || 'Anonymous',
+      email: formData.email || '',
+      message: formData.message,
+      timestamp: formData.timestamp || new Date().toISOString(),
+      subject: this.config.emailSubject
+    };
+  }
+
+  // Resolves with the delivery result, throws a DeliveryError once retries run out
+  async send(formData, retryCount = 0, maxRetries = this.config.maxRetries) {
+    if (!this.config.enableEmailSending) {
+      console.log('📧 Email sending disabled');
+      return { success: true, backend: 'disabled' };
     }
 
-    // Initialize EmailJS
-    emailjs.init(MESSAGE_CONFIG.emailJs.publicKey);
+    const backend = this.getBackend();
+    const result = await backend.send(this.buildMessage(formData), this.config);
 
-    // Send email
-    const response = await emailjs.send(
-      MESSAGE_CONFIG.emailJs.serviceId,
-      MESSAGE_CONFIG.emailJs.templateId,
-      {
-        to_email: MESSAGE_CONFIG.recipientEmail,
-        from_name: formData.name || 'Anonymous',
-        from_email: formData.email || 'no-reply@giftwebsite.com',
-        message: formData.message,
-        timestamp: new Date().toLocaleString('vi-VN')
-      }
-    );
+    if (result.success) {
+      console.log(`✅ Message delivered via ${result.backend}`);
+      return result;
+    }
+
+    console.warn(`⚠️ Delivery failed (${result.backend}, ${result.error.code}): ${result.error.message}`);
 
-    console.log('✅ Email sent successfully!');
-    return { success: true };
+    // Bad credentials or a rejected form will not get better by retrying
+    if (result.retryable && retryCount < maxRetries) {
+      console.log(`🔄 Retrying (${retryCount + 1}/${maxRetries})...`);
+      await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1)));
+      return this.send(formData, retryCount + 1, maxRetries);
+    }
+    throw new DeliveryError(result);
   }
 }
 
@@ -378,6 +418,13 @@ class MessageFormController {
     this.emailService = new EmailService(MESSAGE_CONFIG);
     this.rainEngine = new RainEngine();
 
+    // Few quick retries here, the outbox keeps trying in the background
+    this.outbox = window.MessageOutbox
+      ? new MessageOutbox(data => this.emailService.send(data, 0, this.outbox.options.inPageRetries))
+      : null;
+    this.lastMessageId = null;
+    this.inbox = window.MessageInbox ? new MessageInbox(() => this.outbox) : null;
+
     this.form = null;
     this.messageInput = null;
     this.nameInput = null;
@@ -386,6 +433,8 @@ class MessageFormController {
     this.successMsg = null;
     this.charCount = null;
     this.isSubmitted = false;
+    this.draftTimer = null;
+    this.draftNotice = null;
   }
 
   init() {
@@ -406,10 +455,17 @@ class MessageFormController {
 
     this.rainEngine.init();
     this.setupListeners();
+    this.setupOutbox();
+    this.setupInbox();
+    this.restoreDraft();
     this.playBackgroundMusic();
 
     console.log('✅ Message form ready');
-    console.log('📧 Emails will be sent to: buiminhphu0@gmail.com');
+    const backendId = this.emailService.getBackendId();
+    if (backendId !== MESSAGE_CONFIG.emailBackend) {
+      console.warn('⚠️ No relay URL for this page (MESSAGE_CONFIG.relay.url), messages are kept in this browser');
+    }
+    console.log(`📧 Messages will be sent via: ${backendId}`);
     console.log('🌧️ Rain animation with Chiikawa images enabled');
     return true;
   }
@@ -428,6 +484,154 @@ class MessageFormController {
       e.preventDefault();
       this.submitForm();
     });
+
+    [this.nameInput, this.emailInput].forEach(input => {
+      input?.addEventListener('input', () => this.validateMessage());
+    });
+
+    [this.messageInput, this.nameInput, this.emailInput].forEach(input => {
+      input?.addEventListener('input', () => this.scheduleDraftSave());
+    });
+  }
+
+  setupInbox() {
+    if (!this.inbox) return;
+    new MessageInboxPanel(this.inbox, this.form.parentElement).init();
+  }
+
+  // ============================================
+  // DRAFT AUTOSAVE
+  // ============================================
+
+  scheduleDraftSave() {
+    clearTimeout(this.draftTimer);
+    this.draftTimer = setTimeout(() => this.saveDraft(), MESSAGE_CONFIG.draftSaveDelay);
+  }
+
+  saveDraft() {
+    if (this.isSubmitted) return;
+
+    const draft = {
+      message: this.messageInput.value,
+      name: this.nameInput?.value || '',
+      email: this.emailInput?.value || '',
+      savedAt: Date.now()
+    };
+
+    // Nothing typed, nothing to keep
+    if (!draft.message.trim() && !draft.name.trim() && !draft.email.trim()) {
+      this.clearDraft();
+      return;
+    }
+
+    try {
+      localStorage.setItem(MESSAGE_CONFIG.draftStorageKey, JSON.stringify(draft));
+    } catch (error) {
+      console.warn('⚠️ Storage error:', error);
+    }
+  }
+
+  loadDraft() {
+    try {
+      const draft = JSON.parse(localStorage.getItem(MESSAGE_CONFIG.draftStorageKey) || 'null');
+      return draft && typeof draft.message === 'string' ? draft : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  restoreDraft() {
+    const draft = this.loadDraft();
+    if (!draft) return false;
+
+    this.messageInput.value = draft.message.substring(0, MESSAGE_CONFIG.maxChars);
+    if (this.nameInput) this.nameInput.value = draft.name || '';
+    if (this.emailInput) this.emailInput.value = draft.email || '';
+
+    // Counter, bar and validation as if it was just typed
+    this.onMessageInput({ target: this.messageInput });
+    this.showDraftNotice();
+
+    console.log(`📝 Draft restored (saved ${new Date(draft.savedAt).toLocaleString('vi-VN')})`);
+    return true;
+  }
+
+  discardDraft() {
+    this.clearDraft();
+    this.messageInput.value = '';
+    if (this.nameInput) this.nameInput.value = '';
+    if (this.emailInput) this.emailInput.value = '';
+    this.onMessageInput({ target: this.messageInput });
+    this.messageInput.focus();
+    console.log('🗑️ Draft discarded');
+  }
+
+  clearDraft() {
+    clearTimeout(this.draftTimer);
+    this.draftTimer = null;
+    this.hideDraftNotice();
+
+    try {
+      localStorage.removeItem(MESSAGE_CONFIG.draftStorageKey);
+    } catch (error) {
+      console.warn('⚠️ Storage error:', error);
+    }
+  }
+
+  showDraftNotice() {
+    if (this.draftNotice) return;
+
+    const notice = document.createElement('div');
+    notice.className = 'draft-notice';
+    notice.setAttribute('role', 'status');
+
+    const text = document.createElement('span');
+    text.textContent = MESSAGE_CONFIG.draftLabels.restored;
+
+    const discard = document.createElement('button');
+    discard.type = 'button';
+    discard.className = 'draft-discard';
+    discard.textContent = MESSAGE_CONFIG.draftLabels.discard;
+    discard.addEventListener('click', () => this.discardDraft());
+
+    notice.append(text, discard);
+    this.form.prepend(notice);
+    this.draftNotice = notice;
+  }
+
+  hideDraftNotice() {
+    if (!this.draftNotice) return;
+    this.draftNotice.remove();
+    this.draftNotice = null;
+  }
+
+  setupOutbox() {
+    if (!this.outbox || !MESSAGE_CONFIG.enableEmailSending) {
+      this.outbox = null;
+      return;
+    }
+
+    this.outbox.init().then(() => {
+      new OutboxStatusView(this.outbox, this.form.parentElement).init();
+      this.inbox?.refresh();
+
+      // A queued message sent later still counts for this visit
+      this.outbox.subscribe(records => {
+        this.inbox?.refresh();
+
+        const record = records.find(item => item.id === this.lastMessageId);
+        if (record && record.status !== this.stateManager.state.outboxStatus) {
+          this.stateManager.setState({
+            emailSent: record.status === 'sent',
+            delivery: record.delivery,
+            outboxStatus: record.status
+          });
+        }
+      });
+    }).catch(error => {
+      console.error('❌ Outbox error:', error);
+      this.outbox = null;
+    });
   }
 
   onMessageInput(e) {
@@ -469,9 +673,16 @@ class MessageFormController {
 
     this.messageInput.classList.remove('valid', 'error');
     if (message.length > 0) {
-      this.messageInput.classList.add(isValid ? 'valid' : 'error');
+      this.messageInput.classList.add(this.validator.getErrors().message ? 'error' : 'valid');
     }
 
+    // Name and email are optional, only a wrong value is marked
+    const errors = this.validator.getErrors();
+    this.nameInput?.classList.toggle('error', Boolean(errors.name));
+    this.emailInput?.classList.toggle('error', Boolean(errors.email));
+    if (this.nameInput) this.nameInput.title = errors.name || '';
+    if (this.emailInput) this.emailInput.title = errors.email || '';
+
     this.stateManager.setState({
       message,
       name,
@@ -517,6 +728,7 @@ class MessageFormController {
 
     try {
       const formData = {
+        id: window.createMessageId ? window.createMessageId() : `msg_${Date.now()}`,
         message: state.message.trim(),
         name: state.name.trim() || 'Anonymous',
         email: state.email.trim() || '',
@@ -526,11 +738,13 @@ class MessageFormController {
       this.saveToStorage(formData);
 
       if (MESSAGE_CONFIG.enableEmailSending) {
-        console.log('📧 Sending email to buiminhphu0@gmail.com...');
-        await this.emailService.send(formData);
-        this.stateManager.setState({ emailSent: true });
+        console.log(`📧 Sending message (${MESSAGE_CONFIG.emailBackend})...`);
+        await this.deliver(formData);
       }
 
+      // Saved and on its way, the draft is no longer needed
+      this.clearDraft();
+
       setTimeout(() => {
         this.rainEngine.start();
       }, 500);
@@ -551,11 +765,34 @@ class MessageFormController {
     }
   }
 
+  // Through the outbox when there is one: a failed send is kept and retried, not lost
+  async deliver(formData) {
+    this.lastMessageId = formData.id;
+
+    if (!this.outbox?.store) {
+      const result = await this.emailService.send(formData);
+      this.stateManager.setState({ emailSent: result.backend !== 'local', delivery: result });
+      return;
+    }
+
+    const record = await this.outbox.enqueue(formData);
+    this.stateManager.setState({
+      emailSent: record.status === 'sent',
+      delivery: record.delivery,
+      outboxStatus: record.status
+    });
+
+    if (record.status === 'queued' || record.status === 'failed') {
+      console.log(`📮 Message ${record.id} is ${record.status}, see the outbox list`);
+    }
+  }
+
   saveToStorage(formData) {
     try {
       const key = `msg_${Date.now()}`;
       localStorage.setItem(key, JSON.stringify(formData));
       console.log('✅ Data saved to localStorage');
+      this.inbox?.refresh();
     } catch (error) {
       console.warn('⚠️ Storage error:', error);
     }
@@ -592,9 +829,15 @@ class MessageFormController {
   }
 
   playBackgroundMusic() {
+    if (window.backgroundMusic) {
+      // Keeps a pause the listener chose (background-music.js)
+      window.backgroundMusic.resume();
+      return;
+    }
+
     const bgMusic = document.getElementById('backgroundMusic');
     if (bgMusic && bgMusic.paused) {
-      bgMusic.volume = 0.3;
+      bgMusic.volume = window.soundEffects ? window.soundEffects.getVolume('music') : 0.3;
       bgMusic.play().catch(() => {});
     }
   }
@@ -652,6 +895,7 @@ function clearAllMessages() {
     }
   }
   keys.forEach(key => localStorage.removeItem(key));
+  messageFormController?.inbox?.refresh();
   console.log(`✅ Cleared ${keys.length} messages`);
 }
 
@@ -663,14 +907,16 @@ window.messageDebug = {
   config: () => console.log('MESSAGE_CONFIG:', MESSAGE_CONFIG),
   startRain: () => messageFormController?.rainEngine.start(),
   stopRain: () => messageFormController?.rainEngine.stop(),
-  clearRain: () => messageFormController?.rainEngine.clear()
+  clearRain: () => messageFormController?.rainEngine.clear(),
+  clearDraft: () => messageFormController?.clearDraft(),
+  outbox: () => messageFormController?.outbox?.list(),
+  flushOutbox: () => messageFormController?.outbox?.flush({ force: true })
 };
 
 window.getAllMessages = getAllMessages;
 window.clearAllMessages = clearAllMessages;
 
 console.log('✨ Message script loaded!');
-console.log('✅ EmailJS configured');
-console.log('📧 Recipient: buiminhphu0@gmail.com');
+console.log(`✅ Delivery backend: ${MESSAGE_CONFIG.emailBackend}`);
 console.log('📝 Character limit: 2000');
 console.log('🌧️ Rain animation with Chiikawa images');
\ No newline at end of file
@@ -0,0 +1,392 @@
+/* ============================================
+   MIDI FILE - STANDARD MIDI FILE ENCODER/DECODER
+   ============================================
+   - Writes Type-0 files (one track, note on/off)
+   - Reads Type-0 and Type-1 files (tracks merged)
+   - Tempo map aware (ticks -> milliseconds)
+   - No DOM access: runs in the browser and in Node
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const MIDI_FILE_CONFIG = {
+  ticksPerQuarter: 480,
+  defaultTempo: 500000, // microseconds per quarter note (120 BPM)
+  defaultVelocity: 90,
+  channel: 0
+};
+
+// ============================================
+// BYTE HELPERS
+// ============================================
+
+// Variable-length quantity used for delta times and lengths
+function encodeVarLen(value) {
+  let buffer = value & 0x7f;
+  const bytes = [];
+
+  while ((value >>= 7) > 0) {
+    buffer <<= 8;
+    buffer |= (value & 0x7f) | 0x80;
+  }
+
+  while (true) {
+    bytes.push(buffer & 0xff);
+    if (buffer & 0x80) {
+      buffer >>= 8;
+    } else {
+      break;
+    }
+  }
+
+  return bytes;
+}
+
+// Text events are UTF-8, so names like "Chúc mừng sinh nhật" survive
+function encodeText(text) {
+  return Array.from(new TextEncoder().encode(String(text)));
+}
+
+function uint32(value) {
+  return [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+}
+
+function uint16(value) {
+  return [(value >>> 8) & 0xff, value & 0xff];
+}
+
+class MidiReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  eof() {
+    return this.pos >= this.bytes.length;
+  }
+
+  ensure(count) {
+    if (this.pos + count > this.bytes.length) {
+      throw new Error('Invalid MIDI file: unexpected end of data');
+    }
+  }
+
+  uint8() {
+    this.ensure(1);
+    return this.bytes[this.pos++];
+  }
+
+  uint16() {
+    this.ensure(2);
+    const value = (this.bytes[this.pos] << 8) | this.bytes[this.pos + 1];
+    this.pos += 2;
+    return value;
+  }
+
+  uint32() {
+    this.ensure(4);
+    const value = ((this.bytes[this.pos] << 24) >>> 0) +
+      ((this.bytes[this.pos + 1] << 16) | (this.bytes[this.pos + 2] << 8) | this.bytes[this.pos + 3]);
+    this.pos += 4;
+    return value;
+  }
+
+  varLen() {
+    let value = 0;
+    for (let i = 0; i < 4; i++) {
+      const byte = this.uint8();
+      value = (value << 7) | (byte & 0x7f);
+      if (!(byte & 0x80)) return value;
+    }
+    throw new Error('Invalid MIDI file: variable-length value too long');
+  }
+
+  // Text event: UTF-8, or Latin-1 from files that predate it
+  text(length) {
+    this.ensure(length);
+    const bytes = this.bytes.subarray(this.pos, this.pos + length);
+    try {
+      const text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+      this.pos += length;
+      return text;
+    } catch (error) {
+      return this.string(length);
+    }
+  }
+
+  string(length) {
+    this.ensure(length);
+    let text = '';
+    for (let i = 0; i < length; i++) {
+      text += String.fromCharCode(this.bytes[this.pos + i]);
+    }
+    this.pos += length;
+    return text;
+  }
+
+  skip(length) {
+    this.ensure(length);
+    this.pos += length;
+  }
+}
+
+// ============================================
+// ENCODER
+// ============================================
+
+/**
+ * Encode notes as a Type-0 Standard MIDI File.
+ * Events use MIDI note numbers and milliseconds:
+ * { midi, time, duration, velocity }
+ */
+function encodeMidiFile(song, options = {}) {
+  const {
+    ticksPerQuarter = MIDI_FILE_CONFIG.ticksPerQuarter,
+    tempo = MIDI_FILE_CONFIG.defaultTempo,
+    channel = MIDI_FILE_CONFIG.channel
+  } = options;
+
+  const msToTicks = (ms) => Math.max(0, Math.round((ms * 1000 * ticksPerQuarter) / tempo));
+  const clamp7 = (value) => Math.max(0, Math.min(127, Math.round(value)));
+
+  const messages = [];
+  (song.events || []).forEach(event => {
+    const midi = clamp7(event.midi);
+    const velocity = Math.max(1, clamp7(event.velocity ?? MIDI_FILE_CONFIG.defaultVelocity));
+    const start = msToTicks(event.time);
+    const end = Math.max(start + 1, msToTicks(event.time + event.duration));
+
+    messages.push({ tick: start, order: 1, data: [0x90 | channel, midi, velocity] });
+    messages.push({ tick: end, order: 0, data: [0x80 | channel, midi, 0] });
+  });
+
+  // Releases go before presses on the same tick so repeated notes retrigger
+  messages.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+  const track = [];
+  if (song.name) {
+    const name = encodeText(song.name);
+    track.push(0x00, 0xff, 0x03, ...encodeVarLen(name.length), ...name);
+  }
+  track.push(0x00, 0xff, 0x51, 0x03, (tempo >> 16) & 0xff, (tempo >> 8) & 0xff, tempo & 0xff);
+
+  let lastTick = 0;
+  messages.forEach(message => {
+    track.push(...encodeVarLen(message.tick - lastTick), ...message.data);
+    lastTick = message.tick;
+  });
+  track.push(0x00, 0xff, 0x2f, 0x00);
+
+  const header = [
+    ...encodeText('MThd'), ...uint32(6),
+    ...uint16(0), ...uint16(1), ...uint16(ticksPerQuarter)
+  ];
+  const trackHeader = [...encodeText('MTrk'), ...uint32(track.length)];
+
+  return Uint8Array.from([...header, ...trackHeader, ...track]);
+}
+
+// ============================================
+// DECODER
+// ============================================
+
+function readTrack(reader, length) {
+  const end = reader.pos + length;
+  const events = [];
+  let tick = 0;
+  let runningStatus = null;
+
+  while (reader.pos < end) {
+    tick += reader.varLen();
+    let status = reader.uint8();
+
+    if (status === 0xff) {
+      const type = reader.uint8();
+      const size = reader.varLen();
+      if (type === 0x51 && size === 3) {
+        const tempo = (reader.uint8() << 16) | (reader.uint8() << 8) | reader.uint8();
+        events.push({ tick, type: 'tempo', tempo });
+      } else if (type === 0x03) {
+        events.push({ tick, type: 'name', text: reader.text(size) });
+      } else if (type === 0x2f) {
+        reader.skip(size);
+        break;
+      } else {
+        reader.skip(size);
+      }
+      continue;
+    }
+
+    if (status === 0xf0 || status === 0xf7) {
+      reader.skip(reader.varLen());
+      continue;
+    }
+
+    // Running status: a data byte reuses the previous channel status
+    let firstData;
+    if (status < 0x80) {
+      if (runningStatus === null) {
+        throw new Error('Invalid MIDI file: running status without a status byte');
+      }
+      firstData = status;
+      status = runningStatus;
+    } else {
+      runningStatus = status;
+      firstData = reader.uint8();
+    }
+
+    const kind = status & 0xf0;
+    const channel = status & 0x0f;
+    const secondData = (kind === 0xc0 || kind === 0xd0) ? null : reader.uint8();
+
+    if (kind === 0x90 && secondData > 0) {
+      events.push({ tick, type: 'on', channel, midi: firstData, velocity: secondData });
+    } else if (kind === 0x80 || kind === 0x90) {
+      events.push({ tick, type: 'off', channel, midi: firstData });
+    }
+  }
+
+  reader.pos = end;
+  return events;
+}
+
+/**
+ * Decode a Standard MIDI File into notes with millisecond timing.
+ * Returns { format, name, events: [{ midi, time, duration, velocity, channel }] }
+ */
+function decodeMidiFile(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const reader = new MidiReader(bytes);
+
+  if (reader.string(4) !== 'MThd') {
+    throw new Error('Invalid MIDI file: missing MThd header');
+  }
+
+  const headerLength = reader.uint32();
+  const format = reader.uint16();
+  const trackCount = reader.uint16();
+  const division = reader.uint16();
+  reader.skip(headerLength - 6);
+
+  if (format > 2) {
+    throw new Error(`Invalid MIDI file: unsupported format ${format}`);
+  }
+
+  const tracks = [];
+  while (!reader.eof() && tracks.length < trackCount) {
+    const chunkType = reader.string(4);
+    const length = reader.uint32();
+    if (chunkType === 'MTrk') {
+      tracks.push(readTrack(reader, length));
+    } else {
+      reader.skip(length);
+    }
+  }
+
+  if (tracks.length === 0) {
+    throw new Error('Invalid MIDI file: no tracks');
+  }
+
+  // Tempo changes can live on any track, they apply to all of them
+  const all = tracks.flat().sort((a, b) => a.tick - b.tick);
+  const tempos = all.filter(event => event.type === 'tempo');
+
+  let tickToMs;
+  if (division & 0x8000) {
+    // SMPTE timing: frames per second x ticks per frame
+    const fps = 256 - (division >> 8);
+    const ticksPerFrame = division & 0xff;
+    tickToMs = (tick) => (tick * 1000) / (fps * ticksPerFrame);
+  } else {
+    const segments = [{ tick: 0, ms: 0, tempo: MIDI_FILE_CONFIG.defaultTempo }];
+    tempos.forEach(event => {
+      const last = segments[segments.length - 1];
+      const ms = last.ms + ((event.tick - last.tick) * last.tempo) / (division * 1000);
+      if (event.tick === last.tick) {
+        last.tempo = event.tempo;
+      } else {
+        segments.push({ tick: event.tick, ms, tempo: event.tempo });
+      }
+    });
+
+    tickToMs = (tick) => {
+      let segment = segments[0];
+      for (const candidate of segments) {
+        if (candidate.tick > tick) break;
+        segment = candidate;
+      }
+      return segment.ms + ((tick - segment.tick) * segment.tempo) / (division * 1000);
+    };
+  }
+
+  // Pair note-ons with the next note-off of the same channel and key
+  const open = new Map();
+  const notes = [];
+  let lastTick = 0;
+
+  all.forEach(event => {
+    lastTick = Math.max(lastTick, event.tick);
+    if (event.type !== 'on' && event.type !== 'off') return;
+
+    const key = `${event.channel}:${event.midi}`;
+    if (event.type === 'on') {
+      if (!open.has(key)) open.set(key, []);
+      open.get(key).push(event);
+      return;
+    }
+
+    const start = open.get(key)?.shift();
+    if (start) notes.push({ start, endTick: event.tick });
+  });
+
+  // Notes never released end with the file
+  open.forEach(starts => starts.forEach(start => notes.push({ start, endTick: lastTick })));
+
+  const events = notes
+    .map(({ start, endTick }) => {
+      const time = tickToMs(start.tick);
+      return {
+        midi: start.midi,
+        time: Math.round(time),
+        duration: Math.max(1, Math.round(tickToMs(endTick) - time)),
+        velocity: start.velocity,
+        channel: start.channel
+      };
+    })
+    .sort((a, b) => a.time - b.time || a.midi - b.midi);
+
+  const nameEvent = all.find(event => event.type === 'name');
+
+  return {
+    format,
+    name: nameEvent ? nameEvent.text : '',
+    events
+  };
+}
+
+// Quick check used to route imported files
+function isMidiFile(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  return bytes.length >= 4 && bytes[0] === 0x4d && bytes[1] === 0x54 && bytes[2] === 0x68 && bytes[3] === 0x64;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+const MidiFile = {
+  encode: encodeMidiFile,
+  decode: decodeMidiFile,
+  isMidiFile,
+  config: MIDI_FILE_CONFIG
+};
+
+if (typeof window !== 'undefined') {
+  window.MidiFile = MidiFile;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MidiFile;
+}
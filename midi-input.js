@@ -0,0 +1,330 @@
+/* ============================================
+   MIDI INPUT - USB KEYBOARDS FOR THE PIANO
+   ============================================
+   - Web MIDI note on/off -> activateKey/deactivateKey
+   - Velocity drives note volume
+   - Device picker with hot-plug support
+   - Sustain pedal (CC64)
+   - Silent no-op when Web MIDI is unavailable
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const MIDI_INPUT_CONFIG = {
+  storageKey: 'piano_midi_device',
+  allDevices: 'all',
+  sustainController: 64,
+  sustainThreshold: 64,
+  // Damp the sample when a MIDI key is released (mouse/touch let it ring)
+  dampOnRelease: true
+};
+
+// ============================================
+// MIDI INPUT (WEB MIDI -> KEY HANDLER)
+// ============================================
+
+class PianoMidiInput {
+  constructor(keyHandler, audioEngine, options = {}) {
+    this.keyHandler = keyHandler;
+    this.audioEngine = audioEngine;
+
+    // Injectable for tests: a function returning a Promise<MIDIAccess>
+    this.requestAccess = options.requestMIDIAccess ||
+      (typeof navigator !== 'undefined' && navigator.requestMIDIAccess
+        ? () => navigator.requestMIDIAccess({ sysex: false })
+        : null);
+
+    // MIDI number -> note name, from piano-script.js unless injected (Node)
+    this.midiToNote = options.midiToNote || (typeof midiToNote === 'function' ? midiToNote : null);
+    if (!this.midiToNote) {
+      throw new Error('PianoMidiInput needs a midiToNote function');
+    }
+
+    this.access = null;
+    this.isAvailable = false;
+    this.selectedId = this.loadSelection();
+    this.sustain = false;
+    this.sustainedSources = new Set();
+    this.listeners = new Map();
+  }
+
+  async init() {
+    if (!this.requestAccess) {
+      return false;
+    }
+
+    try {
+      this.access = await this.requestAccess();
+    } catch (error) {
+      // Permission denied or insecure context, the piano works without MIDI
+      console.log('🎹 MIDI input unavailable:', error?.message || error);
+      return false;
+    }
+
+    this.isAvailable = true;
+    this.access.onstatechange = (e) => this.onStateChange(e);
+    this.attachInputs();
+
+    console.log(`✅ MIDI input ready (${this.getDevices().length} device(s))`);
+    return true;
+  }
+
+  // Subscribe to device list / selection changes
+  subscribe(callback) {
+    const id = Math.random();
+    this.listeners.set(id, callback);
+    return () => this.listeners.delete(id);
+  }
+
+  notifyListeners() {
+    const devices = this.getDevices();
+    this.listeners.forEach(callback => {
+      try {
+        callback(devices, this.selectedId);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+
+  getDevices() {
+    if (!this.access) return [];
+
+    const devices = [];
+    this.access.inputs.forEach(input => {
+      if (input.state !== 'disconnected') {
+        devices.push({ id: input.id, name: input.name || input.id, manufacturer: input.manufacturer || '' });
+      }
+    });
+    return devices;
+  }
+
+  // Listen only to the selected device (or all of them)
+  attachInputs() {
+    if (!this.access) return;
+
+    this.access.inputs.forEach(input => {
+      const selected = this.selectedId === MIDI_INPUT_CONFIG.allDevices || this.selectedId === input.id;
+      input.onmidimessage = selected ? (e) => this.onMessage(input, e.data) : null;
+    });
+
+    this.notifyListeners();
+  }
+
+  selectDevice(id) {
+    const previous = this.selectedId;
+    this.selectedId = id || MIDI_INPUT_CONFIG.allDevices;
+    this.saveSelection();
+
+    if (previous !== this.selectedId) {
+      this.releaseAll();
+    }
+    this.attachInputs();
+  }
+
+  onStateChange(e) {
+    const port = e?.port;
+    if (port && port.type === 'input' && port.state === 'disconnected') {
+      this.releaseInput(port.id);
+      console.log(`🎹 MIDI device disconnected: ${port.name || port.id}`);
+    } else if (port && port.type === 'input' && port.state === 'connected') {
+      console.log(`🎹 MIDI device connected: ${port.name || port.id}`);
+    }
+
+    // Newly plugged devices need their handler attached
+    this.attachInputs();
+  }
+
+  onMessage(input, data) {
+    if (!data || data.length < 2) return;
+
+    const [status, data1, data2 = 0] = data;
+    const kind = status & 0xf0;
+    const channel = status & 0x0f;
+    const source = `midi:${input.id}:${channel}:${data1}`;
+
+    if (kind === 0x90 && data2 > 0) {
+      this.noteOn(source, data1, data2);
+    } else if (kind === 0x80 || kind === 0x90) {
+      this.noteOff(source);
+    } else if (kind === 0xb0 && data1 === MIDI_INPUT_CONFIG.sustainController) {
+      this.setSustain(data2 >= MIDI_INPUT_CONFIG.sustainThreshold);
+    }
+  }
+
+  noteOn(source, midi, velocity) {
+    // Re-striking a sustained key starts a fresh note
+    if (this.sustainedSources.delete(source)) {
+      this.keyHandler.releaseSource(source);
+    }
+
+    this.keyHandler.pressSource(source, this.midiToNote(midi), {
+      volume: Math.max(0, Math.min(1, velocity / 127))
+    });
+  }
+
+  noteOff(source) {
+    if (this.sustain) {
+      if (this.keyHandler.heldSources.has(source)) {
+        this.sustainedSources.add(source);
+      }
+      return;
+    }
+    this.release(source);
+  }
+
+  setSustain(isDown) {
+    if (this.sustain === isDown) return;
+    this.sustain = isDown;
+
+    if (!isDown) {
+      this.sustainedSources.forEach(source => this.release(source));
+      this.sustainedSources.clear();
+    }
+  }
+
+  release(source) {
+    const note = this.keyHandler.releaseSource(source);
+    if (note && MIDI_INPUT_CONFIG.dampOnRelease && !this.isNoteHeld(note)) {
+      this.audioEngine.stopNote(note);
+    }
+  }
+
+  // Another source (mouse, second device) may still hold the same note
+  isNoteHeld(note) {
+    for (const held of this.keyHandler.heldSources.values()) {
+      if (held === note) return true;
+    }
+    return false;
+  }
+
+  releaseInput(inputId) {
+    const prefix = `midi:${inputId}:`;
+    Array.from(this.keyHandler.heldSources.keys())
+      .filter(source => source.startsWith(prefix))
+      .forEach(source => {
+        this.sustainedSources.delete(source);
+        this.release(source);
+      });
+  }
+
+  releaseAll() {
+    Array.from(this.keyHandler.heldSources.keys())
+      .filter(source => source.startsWith('midi:'))
+      .forEach(source => this.release(source));
+    this.sustainedSources.clear();
+    this.sustain = false;
+  }
+
+  loadSelection() {
+    try {
+      return localStorage.getItem(MIDI_INPUT_CONFIG.storageKey) || MIDI_INPUT_CONFIG.allDevices;
+    } catch (error) {
+      return MIDI_INPUT_CONFIG.allDevices;
+    }
+  }
+
+  saveSelection() {
+    try {
+      localStorage.setItem(MIDI_INPUT_CONFIG.storageKey, this.selectedId);
+    } catch (error) {
+      console.warn('⚠️ Storage error:', error);
+    }
+  }
+
+  destroy() {
+    this.releaseAll();
+    if (this.access) {
+      this.access.onstatechange = null;
+      this.access.inputs.forEach(input => {
+        input.onmidimessage = null;
+      });
+    }
+  }
+}
+
+// ============================================
+// DEVICE PICKER (UI)
+// ============================================
+
+class PianoMidiPanel {
+  constructor(midiInput) {
+    this.midiInput = midiInput;
+    this.container = null;
+    this.select = null;
+  }
+
+  init() {
+    const keys = document.querySelector('.piano-keys');
+    if (!keys) return false;
+
+    this.container = document.createElement('div');
+    this.container.className = 'piano-midi-input';
+    this.container.innerHTML = `
+      <label class="midi-label">
+        🎹 MIDI
+        <select class="midi-select" aria-label="Chọn bàn phím MIDI"></select>
+      </label>
+    `;
+    keys.parentNode.insertBefore(this.container, keys);
+
+    this.select = this.container.querySelector('.midi-select');
+    this.select.addEventListener('change', () => this.midiInput.selectDevice(this.select.value));
+
+    this.midiInput.subscribe((devices, selectedId) => this.render(devices, selectedId));
+    this.render(this.midiInput.getDevices(), this.midiInput.selectedId);
+    return true;
+  }
+
+  render(devices, selectedId) {
+    this.select.innerHTML = '';
+
+    const all = document.createElement('option');
+    all.value = MIDI_INPUT_CONFIG.allDevices;
+    all.textContent = devices.length ? 'Tất cả thiết bị' : 'Chưa kết nối thiết bị';
+    this.select.appendChild(all);
+
+    devices.forEach(device => {
+      const option = document.createElement('option');
+      option.value = device.id;
+      option.textContent = device.name;
+      this.select.appendChild(option);
+    });
+
+    // A remembered device that is unplugged right now still shows as "all"
+    this.select.value = devices.some(device => device.id === selectedId)
+      ? selectedId
+      : MIDI_INPUT_CONFIG.allDevices;
+    this.select.disabled = devices.length === 0;
+  }
+}
+
+// ============================================
+// GLOBAL EXPORTS
+// ============================================
+
+if (typeof window !== 'undefined') {
+  // Picked up by PianoController.init()
+  window.initPianoMidiInput = (controller) => {
+    const midiInput = new PianoMidiInput(controller.keyHandler, controller.audioEngine);
+
+    midiInput.init().then(available => {
+      // No picker at all when the browser has no Web MIDI
+      if (available) {
+        new PianoMidiPanel(midiInput).init();
+      }
+    });
+
+    return midiInput;
+  };
+
+  window.PianoMidiInput = PianoMidiInput;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PianoMidiInput, MIDI_INPUT_CONFIG };
+}
+
+console.log('✨ MIDI input script loaded!');
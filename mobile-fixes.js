@@ -283,7 +283,8 @@ function setupMobileAudio() {
     // Allow audio to play without user interaction on iOS
     document.addEventListener('touchstart', () => {
       audioElements.forEach(audio => {
-        if (audio.paused) {
+        // Music taken over by background-music.js starts itself
+        if (audio.paused && !audio.dataset.managed) {
           audio.play().catch(err => {
             console.log('Audio autoplay failed:', err);
           });
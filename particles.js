@@ -490,6 +490,8 @@ function initParticles() {
 
   particleEngine = new ParticleEngine();
   particleEngine.init();
+  // Exported here: at load time the engine does not exist yet
+  window.particleEngine = particleEngine;
   return particleEngine;
 }
 
@@ -501,7 +503,6 @@ if (document.readyState === 'loading') {
 }
 
 // Global exports
-window.particleEngine = particleEngine;
 window.spawnParticles = (x, y, count, options) => {
   if (particleEngine) {
     particleEngine.spawnBurst(x, y, count, options);
@@ -0,0 +1,687 @@
+/* ============================================
+   PIANO METRONOME & LOOPER
+   ============================================
+   - Metronome with BPM, time signature, accented downbeat
+   - Visual pulse on the piano keys
+   - Looper: records N bars, plays them back in a loop
+   - Overdub layers on top of a running loop
+   - Everything scheduled on the AudioContext clock
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const METRONOME_CONFIG = {
+  bpm: 100,
+  minBpm: 40,
+  maxBpm: 240,
+  beatsPerBar: 4,
+  timeSignatures: [2, 3, 4, 6],
+
+  // Scheduler: wake up every `lookahead` ms, schedule `scheduleAhead` s ahead
+  lookahead: 25,
+  scheduleAhead: 0.1,
+  startDelay: 0.05,
+
+  click: {
+    accentFrequency: 1760,
+    frequency: 1175,
+    accentVolume: 0.5,
+    volume: 0.25,
+    length: 0.05
+  },
+  pulseDuration: 120, // ms
+
+  looper: {
+    bars: 2,
+    barOptions: [1, 2, 4],
+    // Notes this early (in beats) before the loop start snap onto beat 1
+    earlyTolerance: 0.25
+  }
+};
+
+// ============================================
+// METRONOME (AUDIO-CLOCK TRANSPORT)
+// ============================================
+
+/**
+ * Positions are counted in beats since start. A beat maps to audio time
+ * through an anchor that moves on tempo changes, so already scheduled
+ * beats never shift.
+ */
+class PianoMetronome {
+  constructor(audioEngine) {
+    this.audioEngine = audioEngine;
+    this.bpm = METRONOME_CONFIG.bpm;
+    this.beatsPerBar = METRONOME_CONFIG.beatsPerBar;
+    this.isRunning = false;
+
+    this.anchorBeat = 0;
+    this.anchorTime = 0;
+    this.scheduledBeat = 0;
+    this.timer = null;
+    this.schedulers = new Set();
+    this.listeners = new Map();
+  }
+
+  get context() {
+    return this.audioEngine.audioContext;
+  }
+
+  getBeatDuration() {
+    return 60 / this.bpm;
+  }
+
+  timeOfBeat(beat) {
+    return this.anchorTime + (beat - this.anchorBeat) * this.getBeatDuration();
+  }
+
+  beatAt(time) {
+    return this.anchorBeat + (time - this.anchorTime) / this.getBeatDuration();
+  }
+
+  // First downbeat at or after the given beat position
+  nextBarBeat(beat) {
+    return Math.ceil(beat / this.beatsPerBar - 1e-9) * this.beatsPerBar;
+  }
+
+  start() {
+    if (this.isRunning) return true;
+    if (!this.context) {
+      console.warn('⚠️ Audio engine not initialized');
+      return false;
+    }
+
+    this.audioEngine.resumeAudioContext();
+    this.anchorBeat = 0;
+    this.anchorTime = this.context.currentTime + METRONOME_CONFIG.startDelay;
+    this.scheduledBeat = 0;
+    this.isRunning = true;
+
+    this.tick();
+    this.timer = setInterval(() => this.tick(), METRONOME_CONFIG.lookahead);
+
+    console.log(`⏱️ Metronome started (${this.bpm} BPM, ${this.beatsPerBar}/4)`);
+    this.notifyListeners();
+    return true;
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.isRunning = false;
+
+    console.log('⏱️ Metronome stopped');
+    this.notifyListeners();
+  }
+
+  setBpm(bpm) {
+    const value = Math.round(Math.max(METRONOME_CONFIG.minBpm, Math.min(METRONOME_CONFIG.maxBpm, Number(bpm) || this.bpm)));
+
+    // Re-anchor at the scheduling cursor so the tempo changes from there on
+    if (this.isRunning) {
+      this.anchorTime = this.timeOfBeat(this.scheduledBeat);
+      this.anchorBeat = this.scheduledBeat;
+    }
+
+    this.bpm = value;
+    this.notifyListeners();
+    return value;
+  }
+
+  setBeatsPerBar(beats) {
+    if (!METRONOME_CONFIG.timeSignatures.includes(Number(beats))) return false;
+    this.beatsPerBar = Number(beats);
+    this.notifyListeners();
+    return true;
+  }
+
+  // Register a callback(fromBeat, toBeat) for every scheduling window
+  addScheduler(callback) {
+    this.schedulers.add(callback);
+    return () => this.schedulers.delete(callback);
+  }
+
+  // Schedule everything that falls inside the next window
+  tick() {
+    const fromBeat = this.scheduledBeat;
+    const toBeat = this.beatAt(this.context.currentTime + METRONOME_CONFIG.scheduleAhead);
+    if (toBeat <= fromBeat) return;
+
+    for (let beat = Math.ceil(fromBeat); beat < toBeat; beat++) {
+      this.scheduleClick(beat);
+    }
+
+    this.schedulers.forEach(callback => {
+      try {
+        callback(fromBeat, toBeat);
+      } catch (error) {
+        console.error('Scheduler error:', error);
+      }
+    });
+
+    this.scheduledBeat = toBeat;
+  }
+
+  scheduleClick(beat) {
+    const ctx = this.context;
+    const when = this.timeOfBeat(beat);
+    const beatInBar = ((beat % this.beatsPerBar) + this.beatsPerBar) % this.beatsPerBar;
+    const isDownbeat = beatInBar === 0;
+    const { click } = METRONOME_CONFIG;
+
+    const oscillator = ctx.createOscillator();
+    oscillator.frequency.value = isDownbeat ? click.accentFrequency : click.frequency;
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(isDownbeat ? click.accentVolume : click.volume, when);
+    gain.gain.exponentialRampToValueAtTime(0.0001, when + click.length);
+
+    oscillator.connect(gain);
+    gain.connect(this.audioEngine.masterGain);
+    oscillator.start(when);
+    oscillator.stop(when + click.length + 0.01);
+    oscillator.onended = () => gain.disconnect();
+
+    // The pulse is only visual, a timer is precise enough for it
+    const delay = Math.max(0, (when - ctx.currentTime) * 1000);
+    setTimeout(() => this.pulse(beatInBar, isDownbeat), delay);
+  }
+
+  pulse(beatInBar, isDownbeat) {
+    if (!this.isRunning) return;
+
+    const keys = document.querySelector('.piano-keys');
+    if (keys) {
+      keys.classList.remove('metronome-pulse', 'metronome-downbeat');
+      // Force reflow so back-to-back beats restart the animation
+      void keys.offsetWidth;
+      keys.classList.add(isDownbeat ? 'metronome-downbeat' : 'metronome-pulse');
+      setTimeout(() => {
+        keys.classList.remove('metronome-pulse', 'metronome-downbeat');
+      }, METRONOME_CONFIG.pulseDuration);
+    }
+
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.getStatus(), beatInBar);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+
+  // Subscribe to status changes and beats (beatInBar is null outside a beat)
+  subscribe(callback) {
+    const id = Math.random();
+    this.listeners.set(id, callback);
+    return () => this.listeners.delete(id);
+  }
+
+  notifyListeners() {
+    const status = this.getStatus();
+    this.listeners.forEach(callback => {
+      try {
+        callback(status, null);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      bpm: this.bpm,
+      beatsPerBar: this.beatsPerBar
+    };
+  }
+}
+
+// ============================================
+// LOOPER (N BARS ON THE METRONOME GRID)
+// ============================================
+
+class PianoLooper {
+  constructor(controller, metronome) {
+    this.keyHandler = controller.keyHandler;
+    this.stateManager = controller.stateManager;
+    this.audioEngine = controller.audioEngine;
+    this.metronome = metronome;
+
+    this.bars = METRONOME_CONFIG.looper.bars;
+    // idle -> armed (waiting for the downbeat) -> recording -> looping
+    this.state = 'idle';
+    this.isOverdubbing = false;
+    this.startBeat = 0;
+    this.lengthBeats = 0;
+    this.events = [];
+    this.openNotes = new Map();
+    this.previousActiveKeys = new Set();
+    this.timers = new Set();
+    this.unsubscribe = null;
+    this.removeScheduler = null;
+    this.listeners = new Map();
+  }
+
+  init() {
+    // Only live presses reach activeKeys, loop playback goes straight to the engine
+    this.unsubscribe = this.stateManager.subscribe((changes, state) => {
+      if ('activeKeys' in changes) {
+        this.onActiveKeysChange(new Set(state.activeKeys), state.lastNoteVolume);
+      }
+    });
+    this.removeScheduler = this.metronome.addScheduler((fromBeat, toBeat) => this.schedule(fromBeat, toBeat));
+
+    // Stopping the metronome stops the loop with it
+    this.metronome.subscribe((status) => {
+      if (!status.isRunning && this.state !== 'idle') {
+        this.stop();
+      }
+    });
+    return true;
+  }
+
+  // Subscribe to looper status changes
+  subscribe(callback) {
+    const id = Math.random();
+    this.listeners.set(id, callback);
+    return () => this.listeners.delete(id);
+  }
+
+  notifyListeners() {
+    const status = this.getStatus();
+    this.listeners.forEach(callback => {
+      try {
+        callback(status);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      isOverdubbing: this.isOverdubbing,
+      bars: this.bars,
+      eventCount: this.events.length
+    };
+  }
+
+  setBars(bars) {
+    if (this.state !== 'idle' || !METRONOME_CONFIG.looper.barOptions.includes(Number(bars))) {
+      return false;
+    }
+    this.bars = Number(bars);
+    this.notifyListeners();
+    return true;
+  }
+
+  // Arm recording from the next downbeat, starting the metronome if needed
+  record() {
+    if (this.state !== 'idle') return false;
+
+    const wasRunning = this.metronome.isRunning;
+    if (!this.metronome.start()) return false;
+
+    const now = this.metronome.beatAt(this.audioEngine.audioContext.currentTime);
+    // A fresh metronome gives one bar of count-in
+    this.startBeat = wasRunning
+      ? this.metronome.nextBarBeat(now)
+      : this.metronome.beatsPerBar;
+    this.lengthBeats = this.bars * this.metronome.beatsPerBar;
+    this.events = [];
+    this.openNotes.clear();
+    this.state = 'armed';
+
+    console.log(`🔁 Looper armed (${this.bars} bar(s) from beat ${this.startBeat})`);
+    this.notifyListeners();
+    return true;
+  }
+
+  toggleOverdub() {
+    if (this.state !== 'looping') return false;
+
+    this.isOverdubbing = !this.isOverdubbing;
+    if (!this.isOverdubbing) {
+      this.closeOpenNotes();
+    }
+    this.notifyListeners();
+    return this.isOverdubbing;
+  }
+
+  stop() {
+    this.clearTimers();
+    this.state = 'idle';
+    this.isOverdubbing = false;
+    this.openNotes.clear();
+    this.notifyListeners();
+  }
+
+  clear() {
+    this.stop();
+    this.events = [];
+    this.notifyListeners();
+    console.log('🗑️ Loop cleared');
+  }
+
+  // Loop position (0 .. lengthBeats) of an absolute beat
+  toLoopOffset(beat) {
+    const offset = (beat - this.startBeat) % this.lengthBeats;
+    return offset < 0 ? offset + this.lengthBeats : offset;
+  }
+
+  isCapturing(beat) {
+    if (this.state === 'idle') return false;
+    if (this.isOverdubbing) return true;
+
+    // Looping starts one scheduling window early, the first pass still records
+    return beat >= this.startBeat - METRONOME_CONFIG.looper.earlyTolerance &&
+      beat < this.startBeat + this.lengthBeats;
+  }
+
+  // Diff active keys to find note-on and note-off moments
+  onActiveKeysChange(activeKeys, volume) {
+    const previous = this.previousActiveKeys;
+    this.previousActiveKeys = activeKeys;
+
+    if (this.state === 'idle' || !this.audioEngine.audioContext) return;
+    const beat = this.metronome.beatAt(this.audioEngine.audioContext.currentTime);
+
+    activeKeys.forEach(note => {
+      if (!previous.has(note) && this.isCapturing(beat)) {
+        this.noteOn(note, beat, volume);
+      }
+    });
+    previous.forEach(note => {
+      if (!activeKeys.has(note)) this.noteOff(note, beat);
+    });
+  }
+
+  noteOn(note, beat, volume = PIANO_CONFIG.audioVolume) {
+    const event = {
+      note,
+      offset: beat < this.startBeat ? 0 : this.toLoopOffset(beat),
+      length: 0,
+      volume,
+      heldFrom: Math.max(beat, this.startBeat)
+    };
+    this.events.push(event);
+    this.openNotes.set(note, event);
+    this.notifyListeners();
+  }
+
+  noteOff(note, beat) {
+    const event = this.openNotes.get(note);
+    if (!event) return;
+
+    // Held notes wrap at the loop end
+    event.length = Math.min(this.lengthBeats, Math.max(0, beat - event.heldFrom));
+    delete event.heldFrom;
+    this.openNotes.delete(note);
+  }
+
+  closeOpenNotes() {
+    const beat = this.metronome.beatAt(this.audioEngine.audioContext.currentTime);
+    Array.from(this.openNotes.keys()).forEach(note => this.noteOff(note, beat));
+  }
+
+  // Metronome scheduler: play every loop note inside [fromBeat, toBeat)
+  schedule(fromBeat, toBeat) {
+    if (this.state === 'armed' && toBeat > this.startBeat) {
+      this.state = 'recording';
+      this.notifyListeners();
+    }
+
+    const loopEnd = this.startBeat + this.lengthBeats;
+    if (this.state === 'recording' && toBeat > loopEnd) {
+      this.state = 'looping';
+      console.log(`🔁 Looping ${this.events.length} note(s)`);
+      this.notifyListeners();
+    }
+
+    if (this.state !== 'looping' || this.events.length === 0) return;
+
+    const from = Math.max(fromBeat, loopEnd);
+    if (toBeat <= from) return;
+
+    const passStart = from - this.toLoopOffset(from);
+    this.events.forEach(event => {
+      if (event.heldFrom !== undefined) return; // still being held
+
+      // A window can straddle the loop boundary
+      for (let pass = passStart; pass < toBeat; pass += this.lengthBeats) {
+        const beat = pass + event.offset;
+        if (beat >= from && beat < toBeat) {
+          this.playEvent(event, beat);
+        }
+      }
+    });
+  }
+
+  playEvent(event, beat) {
+    const when = this.metronome.timeOfBeat(beat);
+    const duration = Math.max(
+      PIANO_CONFIG.minNoteDuration,
+      event.length * this.metronome.getBeatDuration() * 1000
+    );
+
+    this.audioEngine.playNote(event.note, { volume: event.volume, when, duration });
+    this.lightKey(event.note, when, duration);
+  }
+
+  // Light the key while the looped note sounds
+  lightKey(note, when, duration) {
+    const keyElement = this.keyHandler.getKeyElement(note);
+    if (!keyElement) return;
+
+    const delay = Math.max(0, (when - this.audioEngine.audioContext.currentTime) * 1000);
+    const on = setTimeout(() => {
+      this.timers.delete(on);
+      keyElement.classList.add('loop-active');
+
+      const off = setTimeout(() => {
+        this.timers.delete(off);
+        keyElement.classList.remove('loop-active');
+      }, duration);
+      this.timers.add(off);
+    }, delay);
+    this.timers.add(on);
+  }
+
+  clearTimers() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    document.querySelectorAll('.piano-key.loop-active').forEach(key => {
+      key.classList.remove('loop-active');
+    });
+  }
+
+  destroy() {
+    this.stop();
+    if (this.unsubscribe) this.unsubscribe();
+    if (this.removeScheduler) this.removeScheduler();
+  }
+}
+
+// ============================================
+// METRONOME PANEL (UI)
+// ============================================
+
+class PianoMetronomePanel {
+  constructor(metronome, looper) {
+    this.metronome = metronome;
+    this.looper = looper;
+    this.container = null;
+    this.buttons = {};
+    this.bpmInput = null;
+    this.signatureSelect = null;
+    this.barsSelect = null;
+    this.dots = null;
+    this.status = null;
+  }
+
+  init() {
+    const keys = document.querySelector('.piano-keys');
+    if (!keys) {
+      console.warn('⚠️ Piano keys not found, metronome panel skipped');
+      return false;
+    }
+
+    this.container = document.createElement('div');
+    this.container.className = 'piano-metronome';
+    this.container.innerHTML = `
+      <div class="metronome-controls">
+        <button type="button" class="metronome-btn" data-action="toggle">⏱️ Nhịp</button>
+        <label class="metronome-label">
+          BPM
+          <input type="number" class="metronome-bpm" min="${METRONOME_CONFIG.minBpm}" max="${METRONOME_CONFIG.maxBpm}" step="1" aria-label="Tốc độ (BPM)">
+        </label>
+        <select class="metronome-select metronome-signature" aria-label="Số chỉ nhịp"></select>
+        <span class="metronome-dots" aria-hidden="true"></span>
+      </div>
+      <div class="metronome-controls">
+        <button type="button" class="metronome-btn" data-action="loop">🔁 Loop</button>
+        <select class="metronome-select metronome-bars" aria-label="Số ô nhịp của loop"></select>
+        <button type="button" class="metronome-btn" data-action="overdub">➕ Chồng</button>
+        <button type="button" class="metronome-btn" data-action="clear" aria-label="Xóa loop">🗑️</button>
+      </div>
+      <p class="metronome-status" aria-live="polite"></p>
+    `;
+    keys.parentNode.insertBefore(this.container, keys);
+
+    this.container.querySelectorAll('[data-action]').forEach(button => {
+      this.buttons[button.dataset.action] = button;
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.handleAction(button.dataset.action);
+      });
+    });
+
+    this.bpmInput = this.container.querySelector('.metronome-bpm');
+    this.signatureSelect = this.container.querySelector('.metronome-signature');
+    this.barsSelect = this.container.querySelector('.metronome-bars');
+    this.dots = this.container.querySelector('.metronome-dots');
+    this.status = this.container.querySelector('.metronome-status');
+
+    METRONOME_CONFIG.timeSignatures.forEach(beats => {
+      this.signatureSelect.appendChild(new Option(`${beats}/4`, beats));
+    });
+    METRONOME_CONFIG.looper.barOptions.forEach(bars => {
+      this.barsSelect.appendChild(new Option(`${bars} ô nhịp`, bars));
+    });
+
+    this.bpmInput.addEventListener('change', () => {
+      this.bpmInput.value = this.metronome.setBpm(this.bpmInput.value);
+    });
+    this.signatureSelect.addEventListener('change', () => {
+      this.metronome.setBeatsPerBar(this.signatureSelect.value);
+    });
+    this.barsSelect.addEventListener('change', () => {
+      this.looper.setBars(this.barsSelect.value);
+    });
+
+    this.metronome.subscribe((status, beatInBar) => this.render(beatInBar));
+    this.looper.subscribe(() => this.render(null));
+
+    this.render(null);
+    console.log('✅ Metronome panel initialized');
+    return true;
+  }
+
+  handleAction(action) {
+    switch (action) {
+      case 'toggle':
+        if (this.metronome.isRunning) {
+          this.metronome.stop();
+        } else {
+          this.metronome.start();
+        }
+        break;
+      case 'loop':
+        if (this.looper.state === 'idle') {
+          this.looper.record();
+        } else {
+          this.looper.stop();
+        }
+        break;
+      case 'overdub':
+        this.looper.toggleOverdub();
+        break;
+      case 'clear':
+        this.looper.clear();
+        break;
+    }
+  }
+
+  render(beatInBar) {
+    const { isRunning, bpm, beatsPerBar } = this.metronome.getStatus();
+    const { state, isOverdubbing, bars, eventCount } = this.looper.getStatus();
+
+    // Only the beat dots change on every beat
+    if (this.dots.children.length !== beatsPerBar) {
+      this.dots.innerHTML = '<span class="metronome-dot"></span>'.repeat(beatsPerBar);
+    }
+    Array.from(this.dots.children).forEach((dot, i) => {
+      dot.classList.toggle('active', isRunning && i === beatInBar);
+      dot.classList.toggle('downbeat', i === 0);
+    });
+    if (beatInBar !== null) return;
+
+    this.container.classList.toggle('running', isRunning);
+    this.container.classList.toggle('recording', state === 'recording' || isOverdubbing);
+    this.buttons.toggle.textContent = isRunning ? '⏹️ Nhịp' : '⏱️ Nhịp';
+    this.buttons.loop.textContent = state === 'idle' ? '🔁 Loop' : '⏹️ Loop';
+    this.buttons.overdub.textContent = isOverdubbing ? '⏹️ Chồng' : '➕ Chồng';
+    this.buttons.overdub.disabled = state !== 'looping';
+    this.buttons.clear.disabled = eventCount === 0 && state === 'idle';
+
+    if (document.activeElement !== this.bpmInput) {
+      this.bpmInput.value = bpm;
+    }
+    this.signatureSelect.value = beatsPerBar;
+    this.signatureSelect.disabled = state !== 'idle';
+    this.barsSelect.value = bars;
+    this.barsSelect.disabled = state !== 'idle';
+
+    if (state === 'armed') {
+      this.status.textContent = '⏳ Chuẩn bị... bắt đầu ở phách đầu tiên';
+    } else if (state === 'recording') {
+      this.status.textContent = `🔴 Đang ghi loop... ${eventCount} nốt`;
+    } else if (state === 'looping') {
+      this.status.textContent = isOverdubbing
+        ? `🔴 Đang chồng thêm... ${eventCount} nốt`
+        : `🔁 Đang lặp ${bars} ô nhịp · ${eventCount} nốt`;
+    } else if (isRunning) {
+      this.status.textContent = `⏱️ ${bpm} BPM · ${beatsPerBar}/4`;
+    } else {
+      this.status.textContent = 'Bấm 🔁 để ghi một đoạn lặp';
+    }
+  }
+}
+
+// ============================================
+// GLOBAL EXPORTS
+// ============================================
+
+// Picked up by PianoController.init()
+window.initPianoMetronome = (controller) => {
+  const metronome = new PianoMetronome(controller.audioEngine);
+  const looper = new PianoLooper(controller, metronome);
+  looper.init();
+
+  new PianoMetronomePanel(metronome, looper).init();
+
+  return { metronome, looper };
+};
+
+window.metronomeDebug = {
+  getStatus: () => window.pianoController?.metronome?.getStatus(),
+  getLoop: () => window.pianoController?.looper?.events
+};
+
+console.log('✨ Piano metronome script loaded!');
@@ -0,0 +1,638 @@
+/* ============================================
+   PIANO RECORDER - RECORD, REPLAY & SHARE
+   ============================================
+   - Captures the notes in the audio engine's playbackHistory,
+     key releases from the piano state give their length
+   - Replays takes with original timing, lighting the keys
+     without pressing them (no unlock progress)
+   - Saves takes to localStorage
+   - JSON export / import
+   - Standard MIDI File export / import (midi-file.js)
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const RECORDER_CONFIG = {
+  storageKey: 'piano_takes',
+  maxSavedTakes: 20,
+  maxTakeDuration: 5 * 60 * 1000, // 5 minutes
+  formatVersion: 1
+};
+
+// ============================================
+// TAKE FORMAT
+// ============================================
+
+// Validate and clean a take coming from storage or an imported file
+function normalizeTake(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.events)) {
+    throw new Error('Invalid take: missing events');
+  }
+
+  const events = data.events
+    .map(event => {
+      const parsed = parseNote(event?.note);
+      const time = Number(event?.time);
+      const duration = Number(event?.duration);
+      if (!parsed || !Number.isFinite(time) || time < 0) return null;
+
+      const take = {
+        note: parsed.name,
+        time: Math.round(time),
+        duration: Math.max(PIANO_CONFIG.minNoteDuration, Number.isFinite(duration) ? Math.round(duration) : 0)
+      };
+      if (Number.isFinite(event?.volume)) {
+        take.volume = Math.max(0, Math.min(1, event.volume));
+      }
+      return take;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time);
+
+  if (events.length === 0) {
+    throw new Error('Invalid take: no playable notes');
+  }
+
+  const duration = events.reduce((end, event) => Math.max(end, event.time + event.duration), 0);
+
+  return {
+    version: RECORDER_CONFIG.formatVersion,
+    id: typeof data.id === 'string' ? data.id : `take_${Date.now()}`,
+    name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Giai điệu không tên',
+    createdAt: typeof data.createdAt === 'string' ? data.createdAt : new Date().toISOString(),
+    duration,
+    events
+  };
+}
+
+// ============================================
+// TAKE STORAGE (LOCALSTORAGE)
+// ============================================
+
+class PianoTakeStorage {
+  constructor(storageKey = RECORDER_CONFIG.storageKey) {
+    this.storageKey = storageKey;
+  }
+
+  getAll() {
+    try {
+      const raw = localStorage.getItem(this.storageKey);
+      if (!raw) return [];
+
+      const takes = JSON.parse(raw);
+      if (!Array.isArray(takes)) return [];
+
+      return takes.reduce((valid, take) => {
+        try {
+          valid.push(normalizeTake(take));
+        } catch (error) {
+          console.warn('⚠️ Skipping broken take:', error.message);
+        }
+        return valid;
+      }, []);
+    } catch (error) {
+      console.warn('⚠️ Storage error:', error);
+      return [];
+    }
+  }
+
+  get(id) {
+    return this.getAll().find(take => take.id === id) || null;
+  }
+
+  save(take) {
+    const takes = this.getAll().filter(existing => existing.id !== take.id);
+    takes.unshift(take);
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(takes.slice(0, RECORDER_CONFIG.maxSavedTakes)));
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Storage error:', error);
+      return false;
+    }
+  }
+
+  remove(id) {
+    const takes = this.getAll().filter(take => take.id !== id);
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(takes));
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Storage error:', error);
+      return false;
+    }
+  }
+}
+
+// ============================================
+// RECORDER (CAPTURE & PLAYBACK)
+// ============================================
+
+class PianoRecorder {
+  constructor(controller) {
+    this.audioEngine = controller.audioEngine;
+    this.keyHandler = controller.keyHandler;
+    this.stateManager = controller.stateManager;
+    this.storage = new PianoTakeStorage();
+
+    this.isRecording = false;
+    this.isPlaying = false;
+    this.recordStart = 0;
+    this.historyStart = 0;
+    this.releases = [];
+    this.previousActiveKeys = new Set();
+    this.currentTake = null;
+    this.timers = [];
+    this.replayVoices = new Set();
+    this.litKeys = new Map(); // key element -> { note, count } lit by the replay
+    this.unsubscribe = null;
+    this.listeners = new Map();
+  }
+
+  init() {
+    // Key releases go through activeKeys
+    this.unsubscribe = this.stateManager.subscribe((changes, state) => {
+      if ('activeKeys' in changes) {
+        this.onActiveKeysChange(new Set(state.activeKeys));
+      }
+    });
+    return true;
+  }
+
+  // Subscribe to recorder status changes
+  subscribe(callback) {
+    const id = Math.random();
+    this.listeners.set(id, callback);
+    return () => this.listeners.delete(id);
+  }
+
+  notifyListeners() {
+    const status = this.getStatus();
+    this.listeners.forEach(callback => {
+      try {
+        callback(status);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+
+  getStatus() {
+    return {
+      isRecording: this.isRecording,
+      isPlaying: this.isPlaying,
+      eventCount: this.isRecording ? this.getRecordedNotes().length : (this.currentTake?.events.length || 0),
+      currentTake: this.currentTake
+    };
+  }
+
+  // Diff active keys to find the moments keys were released
+  onActiveKeysChange(activeKeys) {
+    const previous = this.previousActiveKeys;
+    this.previousActiveKeys = activeKeys;
+
+    if (!this.isRecording) return;
+
+    const now = Date.now();
+    if (now - this.recordStart > RECORDER_CONFIG.maxTakeDuration) {
+      this.stopRecording();
+      return;
+    }
+
+    previous.forEach(note => {
+      if (!activeKeys.has(note)) this.releases.push({ note, time: now });
+    });
+    this.notifyListeners();
+  }
+
+  // Everything the engine played since recording started: keys, MIDI, the looper
+  getRecordedNotes() {
+    return this.audioEngine.playbackHistory
+      .slice(this.historyStart)
+      .filter(entry => entry.timestamp >= this.recordStart);
+  }
+
+  // A note lasts until its key was released, a note without a key
+  // (the looper) as long as it was played for
+  collectEvents(now) {
+    const releases = this.releases.slice();
+
+    return this.getRecordedNotes().map(entry => {
+      const index = releases.findIndex(release => release.note === entry.note && release.time >= entry.timestamp);
+      let end;
+      if (index >= 0) {
+        end = releases.splice(index, 1)[0].time;
+      } else if (this.previousActiveKeys.has(entry.note)) {
+        end = now; // still held
+      } else {
+        end = entry.timestamp + (entry.duration || 0);
+      }
+
+      return {
+        note: entry.note,
+        time: entry.timestamp - this.recordStart,
+        duration: end - entry.timestamp,
+        volume: entry.volume
+      };
+    });
+  }
+
+  startRecording() {
+    if (this.isRecording) return false;
+    this.stopPlayback();
+
+    this.isRecording = true;
+    this.recordStart = Date.now();
+    this.historyStart = this.audioEngine.playbackHistory.length;
+    this.releases = [];
+    this.notifyListeners();
+
+    console.log('⏺️ Recording started');
+    return true;
+  }
+
+  stopRecording() {
+    if (!this.isRecording) return null;
+
+    const events = this.collectEvents(Date.now());
+    this.isRecording = false;
+
+    try {
+      this.currentTake = normalizeTake({
+        name: `Giai điệu ${new Date().toLocaleString('vi-VN')}`,
+        events
+      });
+      console.log(`⏹️ Recording stopped (${this.currentTake.events.length} notes)`);
+    } catch (error) {
+      console.log('⏹️ Recording stopped (empty take discarded)');
+    }
+
+    this.releases = [];
+    this.notifyListeners();
+    return this.currentTake;
+  }
+
+  // Replay a take straight through the audio engine. Keys light up and
+  // sparkle, but nothing is pressed: no unlock progress, no piano state
+  play(take = this.currentTake) {
+    if (!take || this.isRecording) return false;
+    this.stopPlayback();
+
+    this.currentTake = take;
+    this.isPlaying = true;
+    this.notifyListeners();
+
+    take.events.forEach(event => {
+      this.timers.push(setTimeout(() => this.playEvent(event), event.time));
+    });
+
+    this.timers.push(setTimeout(() => {
+      this.isPlaying = false;
+      this.timers = [];
+      this.notifyListeners();
+    }, take.duration + PIANO_CONFIG.animationDuration));
+
+    console.log(`▶️ Playing "${take.name}"`);
+    return true;
+  }
+
+  // Each note is its own voice, so a repeated note never cuts off the one before
+  async playEvent(event) {
+    const voice = await this.audioEngine.playNote(event.note, { volume: event.volume, duration: event.duration });
+    if (voice) {
+      this.replayVoices.add(voice);
+      this.timers.push(setTimeout(() => this.replayVoices.delete(voice), event.duration + PIANO_CONFIG.releaseTime));
+    }
+    this.lightKey(event.note, event.duration);
+  }
+
+  lightKey(note, duration) {
+    const keyElement = this.keyHandler.getKeyElement(note);
+    if (!keyElement) return;
+
+    const lit = this.litKeys.get(keyElement) || { note, count: 0 };
+    lit.count++;
+    this.litKeys.set(keyElement, lit);
+    keyElement.classList.add('active');
+    this.keyHandler.spawnKeyEffects(keyElement, parseNote(note).pitchClass.includes('#'));
+
+    this.timers.push(setTimeout(() => this.unlightKey(keyElement), duration));
+  }
+
+  // Off after the last replayed note on it, unless the user holds the key
+  unlightKey(keyElement) {
+    const lit = this.litKeys.get(keyElement);
+    if (!lit || --lit.count > 0) return;
+
+    this.litKeys.delete(keyElement);
+    if (!this.keyHandler.litElements.has(lit.note)) {
+      keyElement.classList.remove('active');
+    }
+  }
+
+  // Only the replay's own notes stop, keys the user holds keep sounding
+  stopPlayback() {
+    if (!this.isPlaying) return;
+
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+    this.replayVoices.forEach(voice => this.audioEngine.releaseVoice(voice));
+    this.replayVoices.clear();
+    this.litKeys.forEach((lit, keyElement) => {
+      lit.count = 1;
+      this.unlightKey(keyElement);
+    });
+    this.isPlaying = false;
+    this.notifyListeners();
+  }
+
+  saveCurrent() {
+    if (!this.currentTake) return false;
+    return this.storage.save(this.currentTake);
+  }
+
+  load(id) {
+    const take = this.storage.get(id);
+    if (take) {
+      this.currentTake = take;
+      this.notifyListeners();
+    }
+    return take;
+  }
+
+  remove(id) {
+    const removed = this.storage.remove(id);
+    if (removed && this.currentTake?.id === id) {
+      this.currentTake = null;
+    }
+    this.notifyListeners();
+    return removed;
+  }
+
+  exportJSON(take = this.currentTake) {
+    if (!take) return null;
+    return JSON.stringify(take, null, 2);
+  }
+
+  importJSON(text) {
+    return this.setImportedTake(normalizeTake(JSON.parse(text)));
+  }
+
+  // Type-0 Standard MIDI File with velocity from the recorded volume
+  exportMidi(take = this.currentTake) {
+    if (!take || !window.MidiFile) return null;
+
+    return window.MidiFile.encode({
+      name: take.name,
+      events: take.events.map(event => ({
+        midi: noteToMidi(event.note),
+        time: event.time,
+        duration: event.duration,
+        velocity: Math.round((event.volume ?? PIANO_CONFIG.audioVolume) * 127)
+      }))
+    });
+  }
+
+  importMidi(bytes, fileName = '') {
+    if (!window.MidiFile) {
+      throw new Error('MIDI support not loaded');
+    }
+
+    const song = window.MidiFile.decode(bytes);
+    return this.setImportedTake(normalizeTake({
+      name: song.name || fileName.replace(/\.midi?$/i, ''),
+      events: song.events.map(event => ({
+        note: midiToNote(event.midi),
+        time: event.time,
+        duration: event.duration,
+        volume: event.velocity / 127
+      }))
+    }));
+  }
+
+  setImportedTake(take) {
+    // Imported takes always get a fresh id so they never overwrite a saved one
+    take.id = `take_${Date.now()}`;
+    this.currentTake = take;
+    this.notifyListeners();
+    return take;
+  }
+
+  destroy() {
+    this.stopPlayback();
+    if (this.unsubscribe) this.unsubscribe();
+  }
+}
+
+// ============================================
+// RECORDER PANEL (UI)
+// ============================================
+
+class PianoRecorderPanel {
+  constructor(recorder) {
+    this.recorder = recorder;
+    this.container = null;
+    this.buttons = {};
+    this.select = null;
+    this.status = null;
+    this.fileInput = null;
+  }
+
+  init() {
+    const keys = document.querySelector('.piano-keys');
+    if (!keys) {
+      console.warn('⚠️ Piano keys not found, recorder panel skipped');
+      return false;
+    }
+
+    this.container = document.createElement('div');
+    this.container.className = 'piano-recorder';
+    this.container.innerHTML = `
+      <div class="recorder-buttons">
+        <button type="button" class="recorder-btn" data-action="record">⏺️ Ghi</button>
+        <button type="button" class="recorder-btn" data-action="play">▶️ Phát</button>
+        <button type="button" class="recorder-btn" data-action="save">💾 Lưu</button>
+        <button type="button" class="recorder-btn" data-action="export">⬇️ JSON</button>
+        <button type="button" class="recorder-btn" data-action="export-midi">⬇️ MIDI</button>
+        <button type="button" class="recorder-btn" data-action="import">⬆️ Nhập</button>
+      </div>
+      <div class="recorder-takes">
+        <select class="recorder-select" aria-label="Bản thu đã lưu"></select>
+        <button type="button" class="recorder-btn" data-action="delete" aria-label="Xóa bản thu">🗑️</button>
+      </div>
+      <p class="recorder-status" aria-live="polite"></p>
+      <input type="file" class="recorder-file" accept=".json,.mid,.midi,application/json,audio/midi" hidden>
+    `;
+    keys.parentNode.insertBefore(this.container, keys.nextSibling);
+
+    this.container.querySelectorAll('[data-action]').forEach(button => {
+      this.buttons[button.dataset.action] = button;
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.handleAction(button.dataset.action);
+      });
+    });
+
+    this.select = this.container.querySelector('.recorder-select');
+    this.status = this.container.querySelector('.recorder-status');
+    this.fileInput = this.container.querySelector('.recorder-file');
+
+    this.select.addEventListener('change', () => {
+      if (this.select.value) this.recorder.load(this.select.value);
+    });
+    this.fileInput.addEventListener('change', () => this.importFile());
+
+    this.recorder.subscribe(() => this.render());
+
+    this.renderTakes();
+    this.render();
+    console.log('✅ Recorder panel initialized');
+    return true;
+  }
+
+  handleAction(action) {
+    switch (action) {
+      case 'record':
+        if (this.recorder.isRecording) {
+          this.recorder.stopRecording();
+        } else {
+          this.recorder.startRecording();
+        }
+        break;
+      case 'play':
+        if (this.recorder.isPlaying) {
+          this.recorder.stopPlayback();
+        } else {
+          this.recorder.play();
+        }
+        break;
+      case 'save':
+        if (this.recorder.saveCurrent()) {
+          this.renderTakes();
+          this.setMessage('💾 Đã lưu bản thu!');
+        }
+        break;
+      case 'export':
+        this.download(this.recorder.exportJSON(), 'application/json', 'json');
+        break;
+      case 'export-midi':
+        this.download(this.recorder.exportMidi(), 'audio/midi', 'mid');
+        break;
+      case 'import':
+        this.fileInput.click();
+        break;
+      case 'delete':
+        if (this.select.value && this.recorder.remove(this.select.value)) {
+          this.renderTakes();
+          this.setMessage('🗑️ Đã xóa bản thu');
+        }
+        break;
+    }
+  }
+
+  download(data, type, extension) {
+    if (!data) return;
+
+    const blob = new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `piano-take-${Date.now()}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async importFile() {
+    const file = this.fileInput.files[0];
+    this.fileInput.value = '';
+    if (!file) return;
+
+    try {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      const take = window.MidiFile && window.MidiFile.isMidiFile(bytes)
+        ? this.recorder.importMidi(bytes, file.name)
+        : this.recorder.importJSON(new TextDecoder().decode(bytes));
+      this.setMessage(`⬆️ Đã nhập "${take.name}"`);
+    } catch (error) {
+      console.warn('⚠️ Import failed:', error);
+      this.setMessage('❌ File không hợp lệ');
+    }
+  }
+
+  renderTakes() {
+    const takes = this.recorder.storage.getAll();
+    this.select.innerHTML = '';
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = takes.length ? '🎵 Chọn bản thu đã lưu' : '🎵 Chưa có bản thu';
+    this.select.appendChild(placeholder);
+
+    takes.forEach(take => {
+      const option = document.createElement('option');
+      option.value = take.id;
+      option.textContent = take.name;
+      this.select.appendChild(option);
+    });
+
+    this.select.value = this.recorder.currentTake && takes.some(t => t.id === this.recorder.currentTake.id)
+      ? this.recorder.currentTake.id
+      : '';
+  }
+
+  render() {
+    const { isRecording, isPlaying, eventCount, currentTake } = this.recorder.getStatus();
+
+    this.container.classList.toggle('recording', isRecording);
+    this.buttons.record.textContent = isRecording ? '⏹️ Dừng' : '⏺️ Ghi';
+    this.buttons.play.textContent = isPlaying ? '⏹️ Dừng' : '▶️ Phát';
+    this.buttons.play.disabled = isRecording || !currentTake;
+    this.buttons.save.disabled = isRecording || !currentTake;
+    this.buttons.export.disabled = isRecording || !currentTake;
+    this.buttons['export-midi'].disabled = isRecording || !currentTake || !window.MidiFile;
+    this.buttons.import.disabled = isRecording;
+    this.buttons.delete.disabled = isRecording;
+
+    if (isRecording) {
+      this.status.textContent = `🔴 Đang ghi... ${eventCount} nốt`;
+    } else if (isPlaying) {
+      this.status.textContent = `🎶 Đang phát "${currentTake.name}"`;
+    } else if (currentTake) {
+      this.status.textContent = `🎵 ${currentTake.name} · ${eventCount} nốt`;
+    } else {
+      this.status.textContent = 'Bấm ⏺️ để ghi lại giai điệu của bạn';
+    }
+  }
+
+  setMessage(text) {
+    this.status.textContent = text;
+  }
+}
+
+// ============================================
+// GLOBAL EXPORTS
+// ============================================
+
+// Picked up by PianoController.init()
+window.initPianoRecorder = (controller) => {
+  const recorder = new PianoRecorder(controller);
+  recorder.init();
+
+  const panel = new PianoRecorderPanel(recorder);
+  panel.init();
+
+  return recorder;
+};
+
+window.recorderDebug = {
+  getStatus: () => window.pianoController?.recorder?.getStatus(),
+  getTakes: () => new PianoTakeStorage().getAll(),
+  clearTakes: () => localStorage.removeItem(RECORDER_CONFIG.storageKey)
+};
+
+console.log('✨ Piano recorder script loaded!');
@@ -19,8 +19,33 @@ const PIANO_CONFIG = {
   
   // Interaction settings
   requiredKeysForUnlock: 3,
+  
+  // Unlock puzzle: 'melody' (play unlockMelody), 'chord' (hold unlockChord)
+  // or 'uniqueKeys' (any N different keys)
+  unlockMode: 'melody',
+  unlockChord: 'C',
+  unlockMelody: {
+    name: 'Happy Birthday',
+    notes: ['G4', 'G4', 'A4', 'G4', 'C5', 'B4'],
+    rhythm: [3, 1, 4, 4, 4, 8], // relative note lengths, null = ignore timing
+    rhythmTolerance: 0.4,
+    matchOctave: false,
+    maxGap: 3000,
+    hintAfterFailures: 3
+  },
+  // Progress line texts, {chord} is replaced with the chord name
+  messages: {
+    unlocked: '✨ Chúc bạn một ngày thật vui vẻ nhé! ✨',
+    chordPrompt: '🎹 Hãy bấm cùng lúc hợp âm {chord}',
+    uniqueKeysPrompt: '🚗 Bíp Bíp 🚗'
+  },
   minNoteDuration: 100,
-  maxConcurrentNotes: 12,
+  maxConcurrentNotes: 32,
+  instrument: 'samples', // or a PianoSynth voice: 'sine', 'musicBox', 'marimba', 'chiptune'
+  
+  // Voice envelope (ms)
+  attackTime: 5,
+  releaseTime: 250,
   
   // Visual feedback
   activationDelay: 100,
@@ -43,7 +68,15 @@ const PIANO_CONFIG = {
     }
   },
   
-  // Accessibility
+  // Octaves (samples are recorded in sampleOctave, others are pitch-shifted)
+  baseOctave: 4,
+  sampleOctave: 4,
+  minOctave: 2,
+  maxOctave: 6,
+  octaveDownKey: 'z',
+  octaveUpKey: 'x',
+  
+  // Accessibility (keys map to pitch classes in the current octave)
   keyboardMappings: {
     'a': 'C',
     'q': 'C#',
@@ -59,7 +92,7 @@ const PIANO_CONFIG = {
     'j': 'B'
   },
   
-  // Note to file mapping
+  // Pitch class to sample file mapping
   noteFiles: {
     'C': 'audio/piano-C.mp3',
     'C#': 'audio/piano-Cs.mp3',
@@ -77,46 +110,105 @@ const PIANO_CONFIG = {
 };
 
 // ============================================
-// 2. AUDIO ENGINE
+// 2. NOTE UTILITIES
+// ============================================
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Parse "C", "F#5" or "Bb3" into pitch class, octave and MIDI number
+function parseNote(note, defaultOctave = PIANO_CONFIG.baseOctave) {
+  const match = /^([A-Ga-g])([#b]?)(-?\d+)?$/.exec(String(note ?? '').trim());
+  if (!match) return null;
+
+  let semitone = NOTE_NAMES.indexOf(match[1].toUpperCase());
+  if (match[2] === '#') semitone += 1;
+  if (match[2] === 'b') semitone -= 1;
+
+  let octave = match[3] !== undefined ? parseInt(match[3], 10) : defaultOctave;
+
+  // Cb and B# cross the octave boundary
+  if (semitone < 0) {
+    semitone += 12;
+    octave -= 1;
+  } else if (semitone > 11) {
+    semitone -= 12;
+    octave += 1;
+  }
+
+  const pitchClass = NOTE_NAMES[semitone];
+  return {
+    pitchClass,
+    octave,
+    midi: (octave + 1) * 12 + semitone,
+    name: `${pitchClass}${octave}`
+  };
+}
+
+// MIDI number (60 = C4) to note name
+function midiToNote(midi) {
+  return `${NOTE_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
+}
+
+// Note name to MIDI number, null if it cannot be parsed
+function noteToMidi(note) {
+  const parsed = parseNote(note);
+  return parsed ? parsed.midi : null;
+}
+
+// Move a note by a number of semitones
+function transposeNote(note, semitones) {
+  const midi = noteToMidi(note);
+  return midi === null ? null : midiToNote(midi + semitones);
+}
+
+// Keyboard shortcuts must not fire while typing in the message form
+function isEditableTarget(target) {
+  if (!target) return false;
+  const tag = target.tagName;
+  return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target.isContentEditable;
+}
+
+// ============================================
+// 3. AUDIO ENGINE (WEB AUDIO SAMPLER + SYNTH)
 // ============================================
 
 class PianoAudioEngine {
   constructor() {
-    this.audioElements = new Map();
+    this.buffers = new Map();
+    this.voices = new Map();
     this.activeNotes = new Set();
     this.audioContext = null;
+    this.masterGain = null;
     this.isInitialized = false;
-    this.preloadedAudios = new Map();
     this.playbackHistory = [];
+    // 'samples' or one of the PianoSynth voices
+    this.instrument = window.PianoSynth?.loadSavedInstrument() || PIANO_CONFIG.instrument;
+    this.samplesLoaded = null;
   }
 
   // Initialize audio engine
   async init() {
     try {
-      // Preload all audio files
-      for (const [note, filePath] of Object.entries(PIANO_CONFIG.noteFiles)) {
-        const audio = new Audio();
-        audio.src = filePath;
-        audio.preload = 'auto';
-        audio.volume = PIANO_CONFIG.audioVolume;
-        
-        // Add event listeners
-        audio.addEventListener('ended', () => this.onAudioEnded(note));
-        audio.addEventListener('error', (e) => this.onAudioError(note, e));
-        
-        this.audioElements.set(note, audio);
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) {
+        throw new Error('Web Audio API not available');
       }
 
-      // Try to create audio context for advanced features
-      try {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        console.log('🎵 Web Audio API initialized');
-      } catch (error) {
-        console.warn('⚠️ Web Audio API not available:', error.message);
+      // One context for the page, shared with sound-effects.js when it is loaded
+      this.audioContext = window.soundEffects?.getAudioContext() || new AudioContextClass();
+      this.masterGain = this.audioContext.createGain();
+      // Piano volume and mute come from the shared sound settings
+      this.masterGain.gain.value = window.soundEffects ? window.soundEffects.getVolume('piano') : 1;
+      this.masterGain.connect(this.audioContext.destination);
+      console.log('🎵 Web Audio API initialized');
+
+      // Synth voices need no downloads, samples are fetched on first use
+      if (this.instrument === 'samples') {
+        await this.loadSamples();
       }
 
       this.isInitialized = true;
-      console.log('✅ Audio engine initialized');
+      console.log(`✅ Audio engine initialized (${this.instrument}, ${this.buffers.size} samples)`);
       return true;
     } catch (error) {
       console.error('❌ Audio engine initialization failed:', error);
@@ -124,12 +216,69 @@ class PianoAudioEngine {
     }
   }
 
-  // Play note
+  // Decode all samples in parallel, a failed note must not block the others
+  loadSamples() {
+    if (!this.samplesLoaded) {
+      this.samplesLoaded = Promise.all(
+        Object.entries(PIANO_CONFIG.noteFiles).map(([note, filePath]) =>
+          this.loadSample(note, filePath)
+        )
+      );
+    }
+    return this.samplesLoaded;
+  }
+
+  // Switch between the MP3 samples and a synth voice
+  setInstrument(id) {
+    const isSynth = window.PianoSynth?.hasVoice(id);
+    if (id !== 'samples' && !isSynth) {
+      console.warn(`⚠️ Unknown instrument: ${id}`);
+      return false;
+    }
+
+    this.instrument = id;
+    if (id === 'samples' && this.audioContext) {
+      this.loadSamples();
+    }
+    console.log(`🎼 Instrument: ${id}`);
+    return true;
+  }
+
+  // Fetch and decode one sample into an AudioBuffer
+  async loadSample(note, filePath) {
+    try {
+      const response = await fetch(filePath);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const data = await response.arrayBuffer();
+      const buffer = await this.decodeAudioData(data);
+      this.buffers.set(note, buffer);
+      return buffer;
+    } catch (error) {
+      this.onAudioError(note, error);
+      return null;
+    }
+  }
+
+  // decodeAudioData is callback-only on older Safari
+  decodeAudioData(data) {
+    return new Promise((resolve, reject) => {
+      const result = this.audioContext.decodeAudioData(data, resolve, reject);
+      if (result && typeof result.then === 'function') {
+        result.then(resolve, reject);
+      }
+    });
+  }
+
+  // Play note, resolves with its voice (false when it could not play)
   async playNote(note, options = {}) {
     const {
       volume = PIANO_CONFIG.audioVolume,
       startTime = 0,
-      duration = null
+      duration = null,
+      when = null // audio-clock time to start at, for sequenced playback
     } = options;
 
     if (!this.isInitialized) {
@@ -137,65 +286,157 @@ class PianoAudioEngine {
       return false;
     }
 
-    if (this.activeNotes.size >= PIANO_CONFIG.maxConcurrentNotes) {
-      console.warn('⚠️ Maximum concurrent notes reached');
+    const parsed = parseNote(note);
+    // Notes whose sample failed to load fall back to the synth
+    const buffer = parsed && this.instrument === 'samples'
+      ? this.buffers.get(parsed.pitchClass)
+      : null;
+    if (!parsed || (!buffer && !window.PianoSynth)) {
+      console.error(`Note not found: ${note}`);
       return false;
     }
+    note = parsed.name;
 
     try {
-      const audio = this.audioElements.get(note);
-      if (!audio) {
-        console.error(`Note not found: ${note}`);
+      this.resumeAudioContext();
+
+      // Steal the oldest voice instead of refusing the new note
+      if (this.getVoiceCount() >= PIANO_CONFIG.maxConcurrentNotes) {
+        this.stealOldestVoice();
+      }
+
+      const ctx = this.audioContext;
+      const now = Math.max(ctx.currentTime, when ?? 0);
+      const peak = Math.max(0, Math.min(1, volume));
+      const attack = PIANO_CONFIG.attackTime / 1000;
+
+      const gain = ctx.createGain();
+      gain.gain.setValueAtTime(0, now);
+      gain.gain.linearRampToValueAtTime(peak, now + attack);
+      gain.connect(this.masterGain);
+
+      let sources;
+      if (buffer) {
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        // Pitch-shift the sample into the requested octave
+        source.playbackRate.value = Math.pow(2, parsed.octave - PIANO_CONFIG.sampleOctave);
+        source.connect(gain);
+        source.start(now, Math.max(0, startTime));
+        sources = [source];
+      } else {
+        const voiceId = window.PianoSynth.hasVoice(this.instrument)
+          ? this.instrument
+          : window.PianoSynth.fallbackVoice;
+        sources = window.PianoSynth.createVoice(ctx, gain, parsed.midi, now, voiceId);
+      }
+
+      // Every partial above Nyquist: nothing sounds, and no source would end the voice
+      if (sources.length === 0) {
+        gain.disconnect();
         return false;
       }
 
-      // Set up audio
-      audio.currentTime = startTime;
-      audio.volume = Math.max(0, Math.min(1, volume));
-      
-      // Track playback
+      const voice = { note, sources, gain, peak, startedAt: now, released: false, pending: sources.length };
+      // A voice ends once every one of its sources has stopped
+      sources.forEach(source => {
+        source.onended = () => {
+          voice.pending--;
+          if (voice.pending === 0) this.onVoiceEnded(voice);
+        };
+      });
+
+      if (!this.voices.has(note)) {
+        this.voices.set(note, new Set());
+      }
+      this.voices.get(note).add(voice);
       this.activeNotes.add(note);
+
+      if (duration) {
+        this.releaseVoice(voice, now + duration / 1000);
+      }
+
+      // Track playback (durations in ms), the recorder reads it
       this.playbackHistory.push({
         note,
         timestamp: Date.now(),
         volume,
-        duration: duration || audio.duration
+        duration: duration || (buffer ? buffer.duration * 1000 : null)
       });
 
-      // Play audio
-      const playPromise = audio.play();
-      if (playPromise !== undefined) {
-        await playPromise.catch(error => {
-          console.warn(`Play error for ${note}:`, error.message);
-          this.activeNotes.delete(note);
-        });
-      }
-
-      return true;
+      return voice;
     } catch (error) {
       console.error(`Error playing note ${note}:`, error);
-      this.activeNotes.delete(note);
       return false;
     }
   }
 
+  // Fade a voice out from `when` (context time) and stop it afterwards
+  releaseVoice(voice, when = null) {
+    if (voice.released) return;
+    voice.released = true;
+
+    const ctx = this.audioContext;
+    const start = Math.max(when ?? ctx.currentTime, ctx.currentTime);
+    const release = PIANO_CONFIG.releaseTime / 1000;
+    const param = voice.gain.gain;
+
+    try {
+      param.cancelScheduledValues(start);
+      // Hold the envelope level so the ramp starts where the voice is
+      param.setValueAtTime(when === null ? param.value : voice.peak, start);
+      param.linearRampToValueAtTime(0, start + release);
+      voice.sources.forEach(source => source.stop(start + release + 0.01));
+    } catch (error) {
+      // Source already stopped
+      this.onVoiceEnded(voice);
+    }
+  }
+
+  // Release the voice that has been sounding the longest
+  stealOldestVoice() {
+    let oldest = null;
+    this.voices.forEach(set => {
+      set.forEach(voice => {
+        if (!voice.released && (!oldest || voice.startedAt < oldest.startedAt)) {
+          oldest = voice;
+        }
+      });
+    });
+
+    if (oldest) {
+      this.releaseVoice(oldest);
+    }
+  }
+
+  // Count voices that are still sounding
+  getVoiceCount() {
+    let count = 0;
+    this.voices.forEach(set => {
+      set.forEach(voice => {
+        if (!voice.released) count++;
+      });
+    });
+    return count;
+  }
+
   // Stop note
   stopNote(note) {
-    const audio = this.audioElements.get(note);
-    if (audio) {
-      audio.pause();
-      audio.currentTime = 0;
-      this.activeNotes.delete(note);
-      return true;
+    note = parseNote(note)?.name;
+    const set = this.voices.get(note);
+    if (!set || set.size === 0) {
+      return false;
     }
-    return false;
+
+    set.forEach(voice => this.releaseVoice(voice));
+    this.activeNotes.delete(note);
+    return true;
   }
 
   // Stop all notes
   stopAll() {
-    this.audioElements.forEach(audio => {
-      audio.pause();
-      audio.currentTime = 0;
+    this.voices.forEach(set => {
+      set.forEach(voice => this.releaseVoice(voice));
     });
     this.activeNotes.clear();
   }
@@ -203,12 +444,27 @@ class PianoAudioEngine {
   // Set volume
   setVolume(volume) {
     const vol = Math.max(0, Math.min(1, volume));
-    this.audioElements.forEach(audio => {
-      audio.volume = vol;
-    });
+    if (this.masterGain) {
+      this.masterGain.gain.setValueAtTime(vol, this.audioContext.currentTime);
+    }
     return vol;
   }
 
+  // Voice ended callback
+  onVoiceEnded(voice) {
+    voice.sources.forEach(source => source.disconnect());
+    voice.gain.disconnect();
+
+    const set = this.voices.get(voice.note);
+    if (set) {
+      set.delete(voice);
+      if (set.size === 0) {
+        this.voices.delete(voice.note);
+        this.onAudioEnded(voice.note);
+      }
+    }
+  }
+
   // Audio ended callback
   onAudioEnded(note) {
     this.activeNotes.delete(note);
@@ -217,6 +473,9 @@ class PianoAudioEngine {
   // Audio error callback
   onAudioError(note, error) {
     console.error(`Audio error for note ${note}:`, error);
+    if (window.PianoSynth) {
+      console.warn(`⚠️ ${note} will use the synth voice instead`);
+    }
     this.activeNotes.delete(note);
   }
 
@@ -231,7 +490,7 @@ class PianoAudioEngine {
 }
 
 // ============================================
-// 3. PIANO STATE MANAGER
+// 4. PIANO STATE MANAGER
 // ============================================
 
 class PianoStateManager {
@@ -245,10 +504,58 @@ class PianoStateManager {
       activeKeys: new Set(),
       isAnimating: false,
       sessionStart: Date.now(),
-      lastNoteTime: null
+      lastNoteTime: null,
+      lastNoteVolume: PIANO_CONFIG.audioVolume,
+      octave: PIANO_CONFIG.baseOctave,
+      melody: null,
+      chordMatched: false
     };
     
     this.listeners = new Map();
+    this.melodyMatcher = this.createMelodyMatcher();
+  }
+
+  // Melody puzzle matcher, null when unlocking by unique keys
+  createMelodyMatcher() {
+    if (PIANO_CONFIG.unlockMode !== 'melody') return null;
+
+    if (!window.MelodyMatcher) {
+      console.warn('⚠️ Melody matcher not loaded, unlocking by unique keys');
+      return null;
+    }
+
+    const melody = PIANO_CONFIG.unlockMelody;
+    try {
+      return new window.MelodyMatcher({ ...melody, notes: melody.notes.map(noteToMidi) });
+    } catch (error) {
+      console.error('❌ Invalid unlock melody:', error);
+      return null;
+    }
+  }
+
+  // Chord puzzle is only possible with the chord detector loaded
+  isChordUnlock() {
+    return PIANO_CONFIG.unlockMode === 'chord' && Boolean(window.ChordDetector);
+  }
+
+  // Feed a played note to the unlock puzzle
+  trackUnlockNote(note, time = Date.now()) {
+    if (this.state.isUnlocked) return;
+
+    if (this.isChordUnlock()) {
+      const chord = window.ChordDetector.detectChord(Array.from(this.state.activeKeys));
+      if (chord && chord.type === 'chord' && window.ChordDetector.chordNamesEqual(chord.name, PIANO_CONFIG.unlockChord)) {
+        this.setState({ chordMatched: true });
+      }
+      return;
+    }
+
+    if (!this.melodyMatcher) return;
+
+    const midi = noteToMidi(note);
+    if (midi === null) return;
+
+    this.setState({ melody: this.melodyMatcher.push(midi, time) });
   }
 
   // Get state
@@ -306,9 +613,37 @@ class PianoStateManager {
 
   // Get progress
   getProgress() {
+    if (this.isChordUnlock()) {
+      const matched = this.state.chordMatched ? 1 : 0;
+      return {
+        mode: 'chord',
+        pressed: matched,
+        required: 1,
+        percentage: matched * 100,
+        isComplete: Boolean(matched),
+        chord: PIANO_CONFIG.unlockChord
+      };
+    }
+
+    if (this.melodyMatcher) {
+      const { matched, total, failures, isComplete, nextNote } = this.melodyMatcher.getStatus();
+      const hintLevel = Math.floor(failures / PIANO_CONFIG.unlockMelody.hintAfterFailures);
+      return {
+        mode: 'melody',
+        pressed: matched,
+        required: total,
+        percentage: (matched / total) * 100,
+        isComplete,
+        failures,
+        hintLevel,
+        nextNote: nextNote === null ? null : midiToNote(nextNote)
+      };
+    }
+
     const required = PIANO_CONFIG.requiredKeysForUnlock;
     const pressed = this.state.uniqueKeys.size;
     return {
+      mode: 'uniqueKeys',
       pressed,
       required,
       percentage: (pressed / required) * 100,
@@ -327,13 +662,20 @@ class PianoStateManager {
       activeKeys: new Set(),
       isAnimating: false,
       sessionStart: Date.now(),
-      lastNoteTime: null
+      lastNoteTime: null,
+      lastNoteVolume: PIANO_CONFIG.audioVolume,
+      octave: PIANO_CONFIG.baseOctave,
+      melody: null,
+      chordMatched: false
     };
+    if (this.melodyMatcher) {
+      this.melodyMatcher.reset();
+    }
   }
 }
 
 // ============================================
-// 4. PIANO KEY HANDLER (WITH PARTICLES & HAPTICS)
+// 5. PIANO KEY HANDLER (WITH PARTICLES & HAPTICS)
 // ============================================
 
 class PianoKeyHandler {
@@ -341,6 +683,8 @@ class PianoKeyHandler {
     this.audioEngine = audioEngine;
     this.stateManager = stateManager;
     this.keyElements = new Map();
+    this.litElements = new Map();
+    this.heldSources = new Map();
     this.touchIdentifiers = new Map();
   }
 
@@ -349,110 +693,187 @@ class PianoKeyHandler {
     const keys = document.querySelectorAll('.piano-key');
     
     keys.forEach(keyElement => {
-      const note = keyElement.dataset.note;
-      if (!note) return;
+      // Keys without an octave belong to the base octave
+      const parsed = parseNote(keyElement.dataset.note, PIANO_CONFIG.baseOctave);
+      if (!parsed) return;
 
-      this.keyElements.set(note, keyElement);
+      const keyNote = parsed.name;
+      this.keyElements.set(keyNote, keyElement);
 
       // Mouse events
-      keyElement.addEventListener('mousedown', (e) => this.handleKeyDown(e, note));
-      keyElement.addEventListener('mouseup', (e) => this.handleKeyUp(e, note));
-      keyElement.addEventListener('mouseleave', (e) => this.handleKeyUp(e, note));
-      keyElement.addEventListener('mouseenter', (e) => this.handleMouseEnter(e, note));
+      keyElement.addEventListener('mousedown', (e) => this.handleKeyDown(e, keyNote));
+      keyElement.addEventListener('mouseup', (e) => this.handleKeyUp(e, keyNote));
+      keyElement.addEventListener('mouseleave', (e) => this.handleKeyUp(e, keyNote));
+      keyElement.addEventListener('mouseenter', (e) => this.handleMouseEnter(e, keyNote));
 
       // Touch events
-      keyElement.addEventListener('touchstart', (e) => this.handleTouchStart(e, note), false);
-      keyElement.addEventListener('touchend', (e) => this.handleTouchEnd(e, note), false);
-      keyElement.addEventListener('touchmove', (e) => this.handleTouchMove(e, note), false);
+      keyElement.addEventListener('touchstart', (e) => this.handleTouchStart(e, keyNote), false);
+      keyElement.addEventListener('touchend', (e) => this.handleTouchEnd(e, keyNote), false);
+      keyElement.addEventListener('touchmove', (e) => this.handleTouchMove(e, keyNote), false);
 
       // Keyboard events
-      keyElement.addEventListener('keydown', (e) => this.handleKeyboardDown(e, note));
-      keyElement.addEventListener('keyup', (e) => this.handleKeyboardUp(e, note));
+      keyElement.addEventListener('keydown', (e) => this.handleKeyboardDown(e, keyNote));
+      keyElement.addEventListener('keyup', (e) => this.handleKeyboardUp(e, keyNote));
 
       // Accessibility
       keyElement.setAttribute('role', 'button');
       keyElement.setAttribute('tabindex', '0');
-      keyElement.setAttribute('aria-label', `Phím ${note}`);
     });
 
+    this.updateKeyLabels();
+    this.updateProgress();
+
     // Global keyboard support
     document.addEventListener('keydown', (e) => this.handleGlobalKeydown(e));
+    document.addEventListener('keyup', (e) => this.handleGlobalKeyup(e));
 
     console.log('✅ Piano keys initialized with particles & haptics');
   }
 
-  // Handle key down
-  async handleKeyDown(e, note) {
-    e.preventDefault();
-    
-    if (this.stateManager.state.activeKeys.has(note)) {
-      return;
+  // Octaves between the current position and the layout octave
+  getOctaveOffset() {
+    return this.stateManager.state.octave - PIANO_CONFIG.baseOctave;
+  }
+
+  // Note an on-screen key plays at the current octave
+  resolveKeyNote(keyNote) {
+    return transposeNote(keyNote, this.getOctaveOffset() * 12);
+  }
+
+  // On-screen key showing a note at the current octave (if visible)
+  getKeyElement(note) {
+    const keyNote = transposeNote(note, -this.getOctaveOffset() * 12);
+    return this.keyElements.get(keyNote) || null;
+  }
+
+  // Shift the keyboard by whole octaves
+  shiftOctave(delta) {
+    return this.setOctave(this.stateManager.state.octave + delta);
+  }
+
+  // Move the keyboard to an octave within the configured range
+  setOctave(octave) {
+    const clamped = Math.max(PIANO_CONFIG.minOctave, Math.min(PIANO_CONFIG.maxOctave, octave));
+    if (clamped !== this.stateManager.state.octave) {
+      this.stateManager.setState({ octave: clamped });
+      this.updateKeyLabels();
+      this.updateHint(this.stateManager.getProgress());
     }
+    return clamped;
+  }
+
+  // Keep screen reader labels in sync with the octave
+  updateKeyLabels() {
+    this.keyElements.forEach((keyElement, keyNote) => {
+      keyElement.setAttribute('aria-label', `Phím ${this.resolveKeyNote(keyNote)}`);
+    });
+  }
 
-    await this.activateKey(note);
+  // Start a note for an input source, remembering it for the release
+  pressSource(source, note, options = {}) {
+    if (this.heldSources.has(source)) return;
+    this.heldSources.set(source, note);
+    return this.activateKey(note, options);
+  }
+
+  // Release whatever note an input source started
+  releaseSource(source) {
+    const note = this.heldSources.get(source);
+    if (!note) return null;
+    this.heldSources.delete(source);
+    this.deactivateKey(note);
+    return note;
+  }
+
+  // Handle key down
+  async handleKeyDown(e, keyNote) {
+    e.preventDefault();
+    await this.pressSource(keyNote, this.resolveKeyNote(keyNote));
   }
 
   // Handle key up
-  handleKeyUp(e, note) {
+  handleKeyUp(e, keyNote) {
     e.preventDefault();
-    this.deactivateKey(note);
+    this.releaseSource(keyNote);
   }
 
   // Handle mouse enter (for slide effect)
-  handleMouseEnter(e, note) {
+  handleMouseEnter(e, keyNote) {
     if (e.buttons === 1) {
-      this.handleKeyDown(e, note);
+      this.handleKeyDown(e, keyNote);
     }
   }
 
   // Handle touch start
-  handleTouchStart(e, note) {
+  handleTouchStart(e, keyNote) {
     e.preventDefault();
     
     const touch = e.touches[0];
-    this.touchIdentifiers.set(note, touch.identifier);
-    this.activateKey(note);
+    this.touchIdentifiers.set(keyNote, touch.identifier);
+    this.pressSource(keyNote, this.resolveKeyNote(keyNote));
   }
 
   // Handle touch end
-  handleTouchEnd(e, note) {
+  handleTouchEnd(e, keyNote) {
     e.preventDefault();
     
-    if (this.touchIdentifiers.has(note)) {
-      this.touchIdentifiers.delete(note);
+    if (this.touchIdentifiers.has(keyNote)) {
+      this.touchIdentifiers.delete(keyNote);
     }
-    this.deactivateKey(note);
+    this.releaseSource(keyNote);
   }
 
   // Handle touch move
-  handleTouchMove(e, note) {
+  handleTouchMove(e, keyNote) {
     e.preventDefault();
   }
 
   // Handle keyboard down
-  handleKeyboardDown(e, note) {
+  handleKeyboardDown(e, keyNote) {
     if (e.repeat) return;
-    this.activateKey(note);
+    this.pressSource(keyNote, this.resolveKeyNote(keyNote));
   }
 
   // Handle keyboard up
-  handleKeyboardUp(e, note) {
-    this.deactivateKey(note);
+  handleKeyboardUp(e, keyNote) {
+    this.releaseSource(keyNote);
   }
 
   // Handle global keyboard
   handleGlobalKeydown(e) {
-    const note = PIANO_CONFIG.keyboardMappings[e.key.toLowerCase()];
-    if (note) {
+    if (isEditableTarget(e.target)) return;
+
+    const key = e.key.toLowerCase();
+
+    if (key === PIANO_CONFIG.octaveDownKey || key === PIANO_CONFIG.octaveUpKey) {
       e.preventDefault();
-      this.activateKey(note);
+      if (!e.repeat) {
+        this.shiftOctave(key === PIANO_CONFIG.octaveUpKey ? 1 : -1);
+      }
+      return;
     }
+
+    const pitchClass = PIANO_CONFIG.keyboardMappings[key];
+    if (pitchClass) {
+      e.preventDefault();
+      this.pressSource(`key:${key}`, `${pitchClass}${this.stateManager.state.octave}`);
+    }
+  }
+
+  // Handle global keyboard release
+  handleGlobalKeyup(e) {
+    this.releaseSource(`key:${e.key.toLowerCase()}`);
   }
 
   // 🆕 UPGRADED: Activate key with particles & haptics
-  async activateKey(note) {
-    const keyElement = this.keyElements.get(note);
-    if (!keyElement) return;
+  async activateKey(note, options = {}) {
+    const parsed = parseNote(note, this.stateManager.state.octave);
+    if (!parsed) return;
+    note = parsed.name;
+
+    // Notes outside the visible octave still sound, just without key visuals
+    const keyElement = this.getKeyElement(note);
+    const isBlack = parsed.pitchClass.includes('#');
 
     // Add to active keys
     const previousActiveKeys = new Set(this.stateManager.state.activeKeys);
@@ -462,7 +883,8 @@ class PianoKeyHandler {
     this.stateManager.setState({
       activeKeys: newActiveKeys,
       keysPressed: this.stateManager.state.keysPressed + 1,
-      lastNoteTime: Date.now()
+      lastNoteTime: Date.now(),
+      lastNoteVolume: options.volume ?? PIANO_CONFIG.audioVolume
     });
 
     // Add unique key
@@ -476,48 +898,29 @@ class PianoKeyHandler {
       });
     }
 
-    // Visual feedback
-    keyElement.classList.add('active');
-    
-    // 🆕 NEW: Spawn particles when key pressed
-    if (window.particleEngine) {
-      const rect = keyElement.getBoundingClientRect();
-      const x = rect.left + rect.width / 2;
-      const y = rect.top + rect.height / 2;
-      
-      const isBlack = keyElement.classList.contains('black');
-      const particleConfig = isBlack ? PIANO_CONFIG.particles.black : PIANO_CONFIG.particles.white;
-      
-      window.particleEngine.spawnBurst(x, y, particleConfig.count, {
-        color: particleConfig.color,
-        size: particleConfig.size,
-        lifetime: particleConfig.lifetime
-      });
+    if (keyElement) {
+      // Visual feedback
+      keyElement.classList.add('active');
+      this.litElements.set(note, keyElement);
+      this.spawnKeyEffects(keyElement, isBlack);
     }
     
     // 🆕 NEW: Haptic feedback
     if (window.hapticController) {
-      const isBlack = keyElement.classList.contains('black');
       window.hapticController.pianoKeyPress(isBlack);
     }
     
-    // 🆕 NEW: Create ripple effect
-    if (window.createRipple) {
-      const rect = keyElement.getBoundingClientRect();
-      const x = rect.left + rect.width / 2;
-      const y = rect.top + rect.height / 2;
-      const color = keyElement.classList.contains('black') ? 'green' : 'blue';
-      window.createRipple(x, y, color);
-    }
-    
     // Play sound
-    await this.audioEngine.playNote(note);
+    await this.audioEngine.playNote(note, { volume: options.volume });
 
     // Play click sound
     if (window.playClickSound) {
       window.playClickSound();
     }
 
+    // Unlock puzzle
+    this.stateManager.trackUnlockNote(note);
+
     // Update progress
     this.updateProgress();
 
@@ -528,15 +931,44 @@ class PianoKeyHandler {
     }
   }
 
+  // Particles and ripple over a key (also used by the recorder's replay)
+  spawnKeyEffects(keyElement, isBlack) {
+    const rect = keyElement.getBoundingClientRect();
+    const x = rect.left + rect.width / 2;
+    const y = rect.top + rect.height / 2;
+
+    // 🆕 NEW: Spawn particles when key pressed
+    if (window.particleEngine) {
+      const particleConfig = isBlack ? PIANO_CONFIG.particles.black : PIANO_CONFIG.particles.white;
+
+      window.particleEngine.spawnBurst(x, y, particleConfig.count, {
+        color: particleConfig.color,
+        size: particleConfig.size,
+        lifetime: particleConfig.lifetime
+      });
+    }
+
+    // 🆕 NEW: Create ripple effect
+    if (window.createRipple) {
+      window.createRipple(x, y, isBlack ? 'green' : 'blue');
+    }
+  }
+
   // Deactivate key
   deactivateKey(note) {
-    const keyElement = this.keyElements.get(note);
-    if (!keyElement) return;
+    const parsed = parseNote(note, this.stateManager.state.octave);
+    if (!parsed) return;
+    note = parsed.name;
 
     const activeKeys = new Set(this.stateManager.state.activeKeys);
     activeKeys.delete(note);
     this.stateManager.setState({ activeKeys });
 
+    // The element lit on press, even if the octave has moved since
+    const keyElement = this.litElements.get(note);
+    if (!keyElement) return;
+    this.litElements.delete(note);
+
     // Remove visual feedback after animation
     setTimeout(() => {
       keyElement.classList.remove('active');
@@ -550,20 +982,63 @@ class PianoKeyHandler {
 
     const progress = this.stateManager.getProgress();
     const remaining = progress.required - progress.pressed;
+    const { messages } = PIANO_CONFIG;
 
     if (this.stateManager.state.isUnlocked) {
-      progressText.textContent = '✨ Chúc bạn một ngày thật vui vẻ nhé! ✨';
+      progressText.textContent = messages.unlocked;
+    } else if (progress.mode === 'melody') {
+      progressText.textContent = this.getMelodyProgressText(progress);
+    } else if (progress.mode === 'chord') {
+      progressText.textContent = messages.chordPrompt.replace('{chord}', progress.chord);
     } else if (remaining > 0) {
-      progressText.textContent = `🚗 Bíp Bíp 🚗`;
+      progressText.textContent = messages.uniqueKeysPrompt;
     } else {
-      progressText.textContent = '✨ Chúc bạn một ngày thật vui vẻ nhé! ✨';
+      progressText.textContent = messages.unlocked;
     }
+
+    this.updateHint(progress);
+  }
+
+  // "🎵 Happy Birthday ●●○○○○" plus a hint after repeated mistakes
+  getMelodyProgressText(progress) {
+    const dots = '●'.repeat(progress.pressed) + '○'.repeat(progress.required - progress.pressed);
+    let text = `🎵 ${PIANO_CONFIG.unlockMelody.name} ${dots}`;
+
+    if (progress.hintLevel > 0 && progress.nextNote) {
+      const next = PIANO_CONFIG.unlockMelody.matchOctave
+        ? progress.nextNote
+        : parseNote(progress.nextNote).pitchClass;
+      text += ` · 💡 Nốt tiếp theo: ${next}`;
+    }
+    return text;
+  }
+
+  // From the second hint level on, the next key glows
+  updateHint(progress) {
+    this.keyElements.forEach(keyElement => keyElement.classList.remove('hint'));
+
+    if (this.stateManager.state.isUnlocked || progress.mode !== 'melody') return;
+    if (progress.hintLevel < 2 || !progress.nextNote) return;
+
+    const next = parseNote(progress.nextNote);
+    this.keyElements.forEach((keyElement, keyNote) => {
+      const shown = parseNote(this.resolveKeyNote(keyNote));
+      const isNext = PIANO_CONFIG.unlockMelody.matchOctave
+        ? shown.name === next.name
+        : shown.pitchClass === next.pitchClass;
+      keyElement.classList.toggle('hint', isNext);
+    });
   }
 
   // Unlock piano
   unlockPiano() {
     this.stateManager.setState({ isUnlocked: true });
 
+    // Remembered, so the gift section stays reachable after a reload
+    if (window.sectionRouter) {
+      window.sectionRouter.complete('piano');
+    }
+
     const button = document.getElementById('btnPianoNext');
     if (button) {
       button.disabled = false;
@@ -595,7 +1070,66 @@ class PianoKeyHandler {
 }
 
 // ============================================
-// 5. PIANO NEXT BUTTON
+// 6. PIANO OCTAVE CONTROLS
+// ============================================
+
+class PianoOctaveControls {
+  constructor(keyHandler, stateManager) {
+    this.keyHandler = keyHandler;
+    this.stateManager = stateManager;
+    this.container = null;
+    this.label = null;
+    this.downButton = null;
+    this.upButton = null;
+  }
+
+  // Initialize controls above the keys
+  init() {
+    const keys = document.querySelector('.piano-keys');
+    if (!keys) {
+      console.warn('⚠️ Piano keys not found, octave controls skipped');
+      return false;
+    }
+
+    this.container = document.createElement('div');
+    this.container.className = 'piano-octave-controls';
+    this.container.innerHTML = `
+      <button type="button" class="octave-btn" data-shift="-1" aria-label="Hạ một quãng tám (${PIANO_CONFIG.octaveDownKey.toUpperCase()})">−</button>
+      <span class="octave-label" aria-live="polite"></span>
+      <button type="button" class="octave-btn" data-shift="1" aria-label="Tăng một quãng tám (${PIANO_CONFIG.octaveUpKey.toUpperCase()})">+</button>
+    `;
+    keys.parentNode.insertBefore(this.container, keys);
+
+    this.label = this.container.querySelector('.octave-label');
+    [this.downButton, this.upButton] = this.container.querySelectorAll('.octave-btn');
+
+    this.container.querySelectorAll('.octave-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.keyHandler.shiftOctave(parseInt(button.dataset.shift, 10));
+      });
+    });
+
+    this.stateManager.subscribe((changes) => {
+      if ('octave' in changes) this.render();
+    });
+
+    this.render();
+    console.log('✅ Octave controls initialized');
+    return true;
+  }
+
+  // Show the current octave and disable buttons at the range ends
+  render() {
+    const octave = this.stateManager.state.octave;
+    this.label.textContent = `🎼 C${octave} – B${octave}`;
+    this.downButton.disabled = octave <= PIANO_CONFIG.minOctave;
+    this.upButton.disabled = octave >= PIANO_CONFIG.maxOctave;
+  }
+}
+
+// ============================================
+// 7. PIANO NEXT BUTTON
 // ============================================
 
 class PianoNextButton {
@@ -646,7 +1180,7 @@ class PianoNextButton {
 }
 
 // ============================================
-// 6. PIANO CONTROLLER
+// 8. PIANO CONTROLLER
 // ============================================
 
 class PianoController {
@@ -654,7 +1188,15 @@ class PianoController {
     this.audioEngine = new PianoAudioEngine();
     this.stateManager = new PianoStateManager();
     this.keyHandler = new PianoKeyHandler(this.audioEngine, this.stateManager);
+    this.octaveControls = new PianoOctaveControls(this.keyHandler, this.stateManager);
     this.nextButton = new PianoNextButton(this.stateManager);
+    this.recorder = null;
+    this.midiInput = null;
+    this.tutorial = null;
+    this.chordDisplay = null;
+    this.instrumentPicker = null;
+    this.metronome = null;
+    this.looper = null;
     this.isInitialized = false;
   }
 
@@ -671,10 +1213,33 @@ class PianoController {
 
       // Initialize key handlers
       this.keyHandler.init();
+      this.octaveControls.init();
 
       // Initialize next button
       this.nextButton.init();
 
+      // Optional add-ons loaded from their own scripts
+      if (window.initPianoRecorder) {
+        this.recorder = window.initPianoRecorder(this);
+      }
+      if (window.initPianoMidiInput) {
+        this.midiInput = window.initPianoMidiInput(this);
+      }
+      if (window.initPianoTutorial) {
+        this.tutorial = window.initPianoTutorial(this);
+      }
+      if (window.initPianoChordDisplay) {
+        this.chordDisplay = window.initPianoChordDisplay(this);
+      }
+      if (window.initPianoInstrumentPicker) {
+        this.instrumentPicker = window.initPianoInstrumentPicker(this);
+      }
+      if (window.initPianoMetronome) {
+        const { metronome, looper } = window.initPianoMetronome(this);
+        this.metronome = metronome;
+        this.looper = looper;
+      }
+
       // Play background music
       this.playBackgroundMusic();
 
@@ -689,9 +1254,15 @@ class PianoController {
 
   // Play background music
   playBackgroundMusic() {
+    if (window.backgroundMusic) {
+      // Keeps a pause the listener chose (background-music.js)
+      window.backgroundMusic.resume();
+      return;
+    }
+
     const bgMusic = document.getElementById('backgroundMusic');
     if (bgMusic && bgMusic.paused) {
-      bgMusic.volume = 0.3;
+      bgMusic.volume = window.soundEffects ? window.soundEffects.getVolume('music') : 0.3;
       bgMusic.play().catch(err => console.log('BG music error:', err));
     }
   }
@@ -708,9 +1279,29 @@ class PianoController {
 
   // Reset piano
   reset() {
+    if (this.recorder) {
+      this.recorder.stopPlayback();
+    }
+    if (this.tutorial) {
+      this.tutorial.stop();
+    }
+    if (this.metronome) {
+      this.metronome.stop();
+    }
+    if (this.looper) {
+      this.looper.clear();
+    }
     this.audioEngine.stopAll();
     this.stateManager.reset();
     
+    this.keyHandler.heldSources.clear();
+    this.keyHandler.litElements.clear();
+    this.keyHandler.updateKeyLabels();
+    this.keyHandler.updateProgress();
+    if (this.octaveControls.label) {
+      this.octaveControls.render();
+    }
+
     // Remove active class from all keys
     document.querySelectorAll('.piano-key.active').forEach(key => {
       key.classList.remove('active');
@@ -734,7 +1325,7 @@ class PianoController {
 }
 
 // ============================================
-// 7. GLOBAL INSTANCE & EXPORTS
+// 9. GLOBAL INSTANCE & EXPORTS
 // ============================================
 
 let pianoController;
@@ -743,6 +1334,7 @@ function initPianoSection() {
   console.log('🎵 Initializing piano section...');
   
   pianoController = new PianoController();
+  window.pianoController = pianoController;
   pianoController.init().then(success => {
     if (success) {
       console.log('✅ Piano section ready (v3.0 with particles & haptics)');
@@ -763,6 +1355,7 @@ window.pianoDebug = {
   reset: () => pianoController?.reset(),
   stopAll: () => pianoController?.stopAll(),
   playNote: (note) => pianoController?.audioEngine.playNote(note),
+  setOctave: (octave) => pianoController?.keyHandler.setOctave(octave),
   setVolume: (vol) => pianoController?.audioEngine.setVolume(vol)
 };
 
@@ -0,0 +1,193 @@
+/* ============================================
+   PIANO SYNTH - BUILT-IN OSCILLATOR VOICES
+   ============================================
+   - Sine piano, music box, marimba, 8-bit
+   - Plays through the same Web Audio voice chain
+   - Fallback for notes whose MP3 failed to load
+   - Instrument picker remembered across visits
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const SYNTH_CONFIG = {
+  storageKey: 'piano_instrument',
+  fallbackVoice: 'sine',
+
+  // Each partial: frequency ratio, waveform, level, decay (s) and
+  // optional sustain level held until release
+  voices: {
+    sine: {
+      label: '🎹 Piano êm',
+      partials: [
+        { ratio: 1, type: 'sine', gain: 1, decay: 1.8 },
+        { ratio: 2, type: 'sine', gain: 0.3, decay: 1.2 },
+        { ratio: 3, type: 'sine', gain: 0.1, decay: 0.8 }
+      ]
+    },
+    musicBox: {
+      label: '🎁 Hộp nhạc',
+      partials: [
+        { ratio: 1, type: 'sine', gain: 0.8, decay: 1.4 },
+        { ratio: 2, type: 'triangle', gain: 0.15, decay: 0.9 },
+        { ratio: 4, type: 'sine', gain: 0.25, decay: 0.6 },
+        { ratio: 6.2, type: 'sine', gain: 0.06, decay: 0.15 }
+      ]
+    },
+    marimba: {
+      label: '🪵 Marimba',
+      partials: [
+        { ratio: 1, type: 'sine', gain: 1, decay: 0.7 },
+        { ratio: 4, type: 'sine', gain: 0.35, decay: 0.12 },
+        { ratio: 10, type: 'sine', gain: 0.08, decay: 0.04 }
+      ]
+    },
+    chiptune: {
+      label: '👾 8-bit',
+      partials: [
+        { ratio: 1, type: 'square', gain: 0.35, decay: 0.9, sustain: 0.6 }
+      ]
+    }
+  }
+};
+
+// ============================================
+// VOICE FACTORY
+// ============================================
+
+function midiToFrequency(midi) {
+  return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * Start the oscillators for one note, all routed into `destination`
+ * (the engine's per-voice envelope gain). Returns the started sources.
+ */
+function createSynthVoice(ctx, destination, midi, when, voiceId = SYNTH_CONFIG.fallbackVoice) {
+  const voice = SYNTH_CONFIG.voices[voiceId] || SYNTH_CONFIG.voices[SYNTH_CONFIG.fallbackVoice];
+  const frequency = midiToFrequency(midi);
+  const nyquist = ctx.sampleRate / 2;
+
+  const sources = [];
+  voice.partials.forEach(partial => {
+    const partialFrequency = frequency * partial.ratio;
+    if (partialFrequency >= nyquist) return;
+
+    const oscillator = ctx.createOscillator();
+    oscillator.type = partial.type;
+    oscillator.frequency.setValueAtTime(partialFrequency, when);
+
+    const level = ctx.createGain();
+    const floor = partial.gain * (partial.sustain || 0);
+    level.gain.setValueAtTime(partial.gain, when);
+    if (floor > 0) {
+      level.gain.setTargetAtTime(floor, when, partial.decay / 3);
+    } else {
+      level.gain.exponentialRampToValueAtTime(0.0001, when + partial.decay);
+    }
+
+    oscillator.connect(level);
+    level.connect(destination);
+    oscillator.start(when);
+
+    // Decaying partials stop on their own, sustained ones wait for the release
+    if (floor === 0) {
+      oscillator.stop(when + partial.decay + 0.05);
+    }
+
+    oscillator.addEventListener('ended', () => level.disconnect());
+    sources.push(oscillator);
+  });
+
+  return sources;
+}
+
+function getSynthVoices() {
+  return Object.entries(SYNTH_CONFIG.voices).map(([id, voice]) => ({ id, label: voice.label }));
+}
+
+// ============================================
+// INSTRUMENT PICKER (UI)
+// ============================================
+
+class PianoInstrumentPicker {
+  constructor(audioEngine) {
+    this.audioEngine = audioEngine;
+    this.container = null;
+    this.select = null;
+  }
+
+  init() {
+    const keys = document.querySelector('.piano-keys');
+    if (!keys) return false;
+
+    this.container = document.createElement('div');
+    this.container.className = 'piano-instrument';
+    this.container.innerHTML = `
+      <label class="instrument-label">
+        🎼 Âm sắc
+        <select class="instrument-select" aria-label="Chọn âm sắc"></select>
+      </label>
+    `;
+    keys.parentNode.insertBefore(this.container, keys);
+
+    this.select = this.container.querySelector('.instrument-select');
+    const options = [{ id: 'samples', label: '🎹 Piano thu âm' }, ...getSynthVoices()];
+    options.forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      this.select.appendChild(option);
+    });
+
+    this.select.value = this.audioEngine.instrument;
+    this.select.addEventListener('change', () => {
+      this.audioEngine.setInstrument(this.select.value);
+      this.save(this.select.value);
+    });
+    return true;
+  }
+
+  save(id) {
+    try {
+      localStorage.setItem(SYNTH_CONFIG.storageKey, id);
+    } catch (error) {
+      console.warn('⚠️ Storage error:', error);
+    }
+  }
+}
+
+// 'samples', a synth voice, or null when nothing (valid) was saved
+function loadSavedInstrument() {
+  let saved;
+  try {
+    saved = localStorage.getItem(SYNTH_CONFIG.storageKey);
+  } catch (error) {
+    return null;
+  }
+  if (saved === 'samples' || Object.prototype.hasOwnProperty.call(SYNTH_CONFIG.voices, saved)) {
+    return saved;
+  }
+  return null;
+}
+
+// ============================================
+// GLOBAL EXPORTS
+// ============================================
+
+window.PianoSynth = {
+  createVoice: createSynthVoice,
+  getVoices: getSynthVoices,
+  hasVoice: (id) => Object.prototype.hasOwnProperty.call(SYNTH_CONFIG.voices, id),
+  fallbackVoice: SYNTH_CONFIG.fallbackVoice,
+  loadSavedInstrument
+};
+
+// Picked up by PianoController.init()
+window.initPianoInstrumentPicker = (controller) => {
+  const picker = new PianoInstrumentPicker(controller.audioEngine);
+  return picker.init() ? picker : null;
+};
+
+console.log('✨ Piano synth script loaded!');
@@ -0,0 +1,648 @@
+/* ============================================
+   PIANO TUTORIAL - LEARN THE SONG
+   ============================================
+   - Song definitions (notes + beats, chords allowed)
+   - Falling-note lane above the keys
+   - "Wait" mode: pauses until the right key(s)
+   - "Score" mode: timed, perfect/good/miss judging
+   - Accuracy and timing stats at the end
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const TUTORIAL_CONFIG = {
+  leadTime: 2500,        // ms a note takes to fall to the keys (score mode)
+  startDelay: 1500,      // ms before the first note reaches the keys
+  perfectWindow: 120,    // ms
+  goodWindow: 250,       // ms
+  waitVisibleSteps: 5,   // upcoming steps shown in wait mode
+  matchOctave: false,    // false = any octave of the right note counts
+
+  songs: [
+    {
+      id: 'twinkle',
+      name: 'Twinkle Twinkle Little Star',
+      bpm: 100,
+      notes: [
+        ['C4', 1], ['C4', 1], ['G4', 1], ['G4', 1], ['A4', 1], ['A4', 1], ['G4', 2],
+        ['F4', 1], ['F4', 1], ['E4', 1], ['E4', 1], ['D4', 1], ['D4', 1], [['C4', 'E4', 'G4'], 2]
+      ]
+    },
+    {
+      id: 'happy-birthday',
+      name: 'Happy Birthday',
+      bpm: 90,
+      notes: [
+        ['G4', 0.75], ['G4', 0.25], ['A4', 1], ['G4', 1], ['C5', 1], ['B4', 2],
+        ['G4', 0.75], ['G4', 0.25], ['A4', 1], ['G4', 1], ['D5', 1], ['C5', 2]
+      ]
+    },
+    {
+      id: 'ode-to-joy',
+      name: 'Ode to Joy',
+      bpm: 110,
+      notes: [
+        ['E4', 1], ['E4', 1], ['F4', 1], ['G4', 1], ['G4', 1], ['F4', 1], ['E4', 1], ['D4', 1],
+        ['C4', 1], ['C4', 1], ['D4', 1], ['E4', 1], ['E4', 1.5], ['D4', 0.5], ['D4', 2]
+      ]
+    }
+  ]
+};
+
+// ============================================
+// SONG FORMAT
+// ============================================
+
+// [note | [notes], beats] pairs -> steps with millisecond timing
+function buildTutorialSteps(song) {
+  if (!song || !Array.isArray(song.notes) || song.notes.length === 0) {
+    throw new Error('Song needs at least one note');
+  }
+
+  const beatMs = 60000 / (song.bpm || 100);
+  let time = 0;
+
+  return song.notes.map(([notes, beats = 1], index) => {
+    const names = (Array.isArray(notes) ? notes : [notes]).map(note => {
+      const parsed = parseNote(note);
+      if (!parsed) throw new Error(`Invalid note "${note}" in step ${index + 1}`);
+      return parsed.name;
+    });
+
+    const step = {
+      index,
+      notes: names,
+      time,
+      duration: beats * beatMs,
+      pressed: new Set(),
+      result: null,       // 'perfect' | 'good' | 'miss'
+      offsets: []         // ms early (-) or late (+) per note, score mode
+    };
+    time += beats * beatMs;
+    return step;
+  });
+}
+
+function tutorialNotesMatch(expected, played) {
+  if (TUTORIAL_CONFIG.matchOctave) return expected === played;
+  return parseNote(expected)?.pitchClass === parseNote(played)?.pitchClass;
+}
+
+// ============================================
+// FALLING-NOTE LANE
+// ============================================
+
+class TutorialLane {
+  constructor(keyHandler) {
+    this.keyHandler = keyHandler;
+    this.element = null;
+    this.blocks = new Map();
+  }
+
+  init(keys) {
+    this.element = document.createElement('div');
+    this.element.className = 'tutorial-lane hidden';
+    this.element.setAttribute('aria-hidden', 'true');
+    keys.parentNode.insertBefore(this.element, keys);
+  }
+
+  show() {
+    this.element.classList.remove('hidden');
+  }
+
+  hide() {
+    this.element.classList.add('hidden');
+    this.clear();
+  }
+
+  clear() {
+    this.blocks.forEach(block => block.remove());
+    this.blocks.clear();
+  }
+
+  // Horizontal position of the key playing `note`, relative to the lane
+  getKeyPosition(note) {
+    const keyElement = this.findKeyElement(note);
+    if (!keyElement) return null;
+
+    const laneRect = this.element.getBoundingClientRect();
+    const keyRect = keyElement.getBoundingClientRect();
+    return {
+      left: keyRect.left - laneRect.left,
+      width: keyRect.width,
+      isBlack: keyElement.classList.contains('black')
+    };
+  }
+
+  findKeyElement(note) {
+    const exact = this.keyHandler.getKeyElement(note);
+    if (exact || TUTORIAL_CONFIG.matchOctave) return exact;
+
+    for (const [keyNote, keyElement] of this.keyHandler.keyElements) {
+      if (tutorialNotesMatch(note, this.keyHandler.resolveKeyNote(keyNote))) {
+        return keyElement;
+      }
+    }
+    return null;
+  }
+
+  // progress: 0 = top of the lane, 1 = touching the keys
+  place(step, note, progress, heightRatio) {
+    const id = `${step.index}:${note}`;
+    let block = this.blocks.get(id);
+
+    if (!block) {
+      const position = this.getKeyPosition(note);
+      if (!position) return;
+
+      block = document.createElement('div');
+      block.className = `falling-note${position.isBlack ? ' black' : ''}`;
+      block.style.left = `${position.left}px`;
+      block.style.width = `${position.width}px`;
+      block.textContent = parseNote(note).pitchClass;
+      this.element.appendChild(block);
+      this.blocks.set(id, block);
+    }
+
+    const laneHeight = this.element.clientHeight;
+    const height = Math.max(18, heightRatio * laneHeight);
+    block.style.height = `${height}px`;
+    block.style.transform = `translateY(${progress * laneHeight - height}px)`;
+    block.classList.toggle('hit', step.result === 'perfect' || step.result === 'good');
+    block.classList.toggle('missed', step.result === 'miss');
+  }
+
+  remove(step) {
+    step.notes.forEach(note => {
+      const id = `${step.index}:${note}`;
+      this.blocks.get(id)?.remove();
+      this.blocks.delete(id);
+    });
+  }
+}
+
+// ============================================
+// TUTORIAL (WAIT & SCORE MODES)
+// ============================================
+
+class PianoTutorial {
+  constructor(controller) {
+    this.controller = controller;
+    this.keyHandler = controller.keyHandler;
+    this.stateManager = controller.stateManager;
+    this.lane = new TutorialLane(this.keyHandler);
+
+    this.song = null;
+    this.steps = [];
+    this.mode = 'wait';
+    this.isRunning = false;
+    this.currentIndex = 0;
+    this.stepShownAt = 0;
+    this.startTime = 0;
+    this.wrongPresses = 0;
+    this.reactionTimes = [];
+    this.statsAtStart = null;
+    this.previousActiveKeys = new Set();
+    this.animationId = null;
+    this.listeners = new Map();
+  }
+
+  init() {
+    const keys = document.querySelector('.piano-keys');
+    if (!keys) return false;
+
+    this.lane.init(keys);
+    this.stateManager.subscribe((changes, state) => {
+      if ('activeKeys' in changes) {
+        this.onActiveKeysChange(new Set(state.activeKeys));
+      }
+    });
+    return true;
+  }
+
+  subscribe(callback) {
+    const id = Math.random();
+    this.listeners.set(id, callback);
+    return () => this.listeners.delete(id);
+  }
+
+  notifyListeners(event, data = {}) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+
+  load(song) {
+    this.stop();
+    this.song = song;
+    this.steps = buildTutorialSteps(song);
+    return this.steps.length;
+  }
+
+  start(mode = 'wait') {
+    if (!this.song) return false;
+    this.stop();
+
+    this.steps = buildTutorialSteps(this.song);
+    this.mode = mode;
+    this.isRunning = true;
+    this.currentIndex = 0;
+    this.wrongPresses = 0;
+    this.reactionTimes = [];
+    this.statsAtStart = this.controller.getStatistics();
+    this.startTime = performance.now() + TUTORIAL_CONFIG.startDelay;
+    this.stepShownAt = performance.now();
+
+    this.lane.show();
+    this.highlightNext();
+    this.notifyListeners('start', { song: this.song, mode });
+    this.animate();
+
+    console.log(`🎓 Tutorial started: ${this.song.name} (${mode})`);
+    return true;
+  }
+
+  stop() {
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+    this.clearHighlights();
+    this.lane.hide();
+    this.notifyListeners('stop');
+  }
+
+  onActiveKeysChange(activeKeys) {
+    const previous = this.previousActiveKeys;
+    this.previousActiveKeys = activeKeys;
+    if (!this.isRunning) return;
+
+    const now = performance.now();
+    activeKeys.forEach(note => {
+      if (!previous.has(note)) {
+        if (this.mode === 'wait') {
+          this.handleWaitPress(note, now);
+        } else {
+          this.handleScorePress(note, now);
+        }
+      }
+    });
+  }
+
+  // Wait mode: the song only moves on when every note of the step is down
+  handleWaitPress(note, now) {
+    const step = this.steps[this.currentIndex];
+    const expected = step.notes.find(name => tutorialNotesMatch(name, note));
+
+    if (!expected) {
+      this.wrongPresses++;
+      this.notifyListeners('wrong', { note });
+      return;
+    }
+
+    step.pressed.add(expected);
+    if (step.pressed.size < step.notes.length) return;
+
+    step.result = 'perfect';
+    this.reactionTimes.push(now - this.stepShownAt);
+    this.lane.remove(step);
+    this.advance(now);
+  }
+
+  // Score mode: match the press to the closest open note within the window
+  handleScorePress(note, now) {
+    const songTime = now - this.startTime;
+    let best = null;
+
+    for (const step of this.steps) {
+      if (step.time - songTime > TUTORIAL_CONFIG.goodWindow) break;
+      if (step.result === 'miss') continue;
+
+      const expected = step.notes.find(name => !step.pressed.has(name) && tutorialNotesMatch(name, note));
+      if (!expected) continue;
+
+      const offset = songTime - step.time;
+      if (Math.abs(offset) <= TUTORIAL_CONFIG.goodWindow && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+        best = { step, expected, offset };
+      }
+    }
+
+    if (!best) {
+      this.wrongPresses++;
+      this.notifyListeners('wrong', { note });
+      return;
+    }
+
+    const { step, expected, offset } = best;
+    step.pressed.add(expected);
+    step.offsets.push(offset);
+
+    if (step.pressed.size === step.notes.length) {
+      const worst = Math.max(...step.offsets.map(Math.abs));
+      step.result = worst <= TUTORIAL_CONFIG.perfectWindow ? 'perfect' : 'good';
+      this.notifyListeners('hit', { step, result: step.result, offset });
+    }
+  }
+
+  advance(now) {
+    this.currentIndex++;
+    this.stepShownAt = now;
+
+    if (this.currentIndex >= this.steps.length) {
+      this.finish();
+    } else {
+      this.highlightNext();
+      this.notifyListeners('progress', { index: this.currentIndex, total: this.steps.length });
+    }
+  }
+
+  animate() {
+    this.animationId = requestAnimationFrame(() => this.animate());
+    if (!this.isRunning) return;
+
+    if (this.mode === 'wait') {
+      this.renderWaitLane();
+    } else {
+      this.updateScore(performance.now());
+    }
+  }
+
+  // Upcoming steps stacked above the keys, the current one resting on them
+  renderWaitLane() {
+    const visible = TUTORIAL_CONFIG.waitVisibleSteps;
+    const rowRatio = 1 / visible;
+
+    for (let i = this.currentIndex; i < Math.min(this.steps.length, this.currentIndex + visible); i++) {
+      const step = this.steps[i];
+      const progress = 1 - (i - this.currentIndex) * rowRatio;
+      step.notes
+        .filter(note => !step.pressed.has(note))
+        .forEach(note => this.lane.place(step, note, progress, rowRatio * 0.8));
+    }
+  }
+
+  updateScore(now) {
+    const songTime = now - this.startTime;
+    const lead = TUTORIAL_CONFIG.leadTime;
+
+    this.steps.forEach(step => {
+      // Too late to be hit
+      if (!step.result && songTime - step.time > TUTORIAL_CONFIG.goodWindow) {
+        step.result = step.pressed.size > 0 ? 'good' : 'miss';
+        if (step.result === 'miss') this.notifyListeners('miss', { step });
+      }
+
+      const untilHit = step.time - songTime;
+      if (untilHit > lead || untilHit < -step.duration - TUTORIAL_CONFIG.goodWindow) {
+        this.lane.remove(step);
+        return;
+      }
+
+      step.notes.forEach(note => {
+        this.lane.place(step, note, 1 - untilHit / lead, step.duration / lead);
+      });
+    });
+
+    // Keys glow for whatever is about to land
+    const upcoming = this.steps.find(step => !step.result);
+    const index = upcoming ? upcoming.index : this.steps.length;
+    if (index !== this.currentIndex) {
+      this.currentIndex = index;
+      this.highlightNext();
+    }
+
+    const last = this.steps[this.steps.length - 1];
+    if (songTime > last.time + last.duration + TUTORIAL_CONFIG.goodWindow) {
+      this.finish();
+    }
+  }
+
+  highlightNext() {
+    this.clearHighlights();
+    const step = this.steps[this.currentIndex];
+    if (!step) return;
+
+    step.notes.forEach(note => {
+      this.lane.findKeyElement(note)?.classList.add('tutorial-next');
+    });
+  }
+
+  clearHighlights() {
+    this.keyHandler.keyElements.forEach(keyElement => keyElement.classList.remove('tutorial-next'));
+  }
+
+  getResults() {
+    const total = this.steps.length;
+    const count = (result) => this.steps.filter(step => step.result === result).length;
+    const perfect = count('perfect');
+    const good = count('good');
+    const miss = total - perfect - good;
+    const offsets = this.steps.flatMap(step => step.offsets);
+    const average = (values) => values.length
+      ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+      : null;
+
+    const stats = this.controller.getStatistics();
+
+    // Wait mode never misses a step, so wrong keys are what costs accuracy
+    const accuracy = this.mode === 'wait'
+      ? (perfect / Math.max(1, perfect + this.wrongPresses)) * 100
+      : ((perfect + good * 0.5) / total) * 100;
+
+    return {
+      song: this.song.name,
+      mode: this.mode,
+      total,
+      perfect,
+      good,
+      miss,
+      wrongPresses: this.wrongPresses,
+      accuracy: Math.round(accuracy),
+      averageOffset: average(offsets),
+      averageReaction: average(this.reactionTimes),
+      notesPlayed: stats.totalNotesPlayed - (this.statsAtStart?.totalNotesPlayed || 0)
+    };
+  }
+
+  finish() {
+    const results = this.getResults();
+    this.stop();
+    this.notifyListeners('finish', results);
+    console.log('🎓 Tutorial finished:', results);
+
+    if (window.particleEngine && results.accuracy >= 80) {
+      window.particleEngine.spawnExplosion(window.innerWidth / 2, window.innerHeight / 2, 30, { speed: 5 });
+    }
+  }
+}
+
+// ============================================
+// TUTORIAL PANEL (UI)
+// ============================================
+
+class PianoTutorialPanel {
+  constructor(tutorial) {
+    this.tutorial = tutorial;
+    this.container = null;
+    this.songSelect = null;
+    this.modeSelect = null;
+    this.startButton = null;
+    this.status = null;
+    this.results = null;
+  }
+
+  init() {
+    const keys = document.querySelector('.piano-keys');
+    if (!keys) return false;
+
+    this.container = document.createElement('div');
+    this.container.className = 'piano-tutorial';
+    this.container.innerHTML = `
+      <div class="tutorial-controls">
+        <select class="tutorial-select" aria-label="Chọn bài hát"></select>
+        <select class="tutorial-select" aria-label="Chế độ học">
+          <option value="wait">🐢 Chờ từng nốt</option>
+          <option value="score">⏱️ Chấm điểm</option>
+        </select>
+        <button type="button" class="recorder-btn tutorial-start">🎓 Học bài</button>
+      </div>
+      <p class="tutorial-status" aria-live="polite"></p>
+      <div class="tutorial-results hidden" role="status"></div>
+    `;
+    keys.parentNode.insertBefore(this.container, keys.nextSibling);
+
+    [this.songSelect, this.modeSelect] = this.container.querySelectorAll('.tutorial-select');
+    this.startButton = this.container.querySelector('.tutorial-start');
+    this.status = this.container.querySelector('.tutorial-status');
+    this.results = this.container.querySelector('.tutorial-results');
+
+    TUTORIAL_CONFIG.songs.forEach(song => {
+      const option = document.createElement('option');
+      option.value = song.id;
+      option.textContent = `🎵 ${song.name}`;
+      this.songSelect.appendChild(option);
+    });
+
+    this.startButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.toggle();
+    });
+
+    this.tutorial.subscribe((event, data) => this.onTutorialEvent(event, data));
+    return true;
+  }
+
+  toggle() {
+    if (this.tutorial.isRunning) {
+      this.tutorial.stop();
+      return;
+    }
+
+    const song = TUTORIAL_CONFIG.songs.find(candidate => candidate.id === this.songSelect.value);
+    if (!song) return;
+
+    try {
+      this.tutorial.load(song);
+      this.tutorial.start(this.modeSelect.value);
+    } catch (error) {
+      console.error('❌ Tutorial error:', error);
+      this.status.textContent = '❌ Bài hát không hợp lệ';
+    }
+  }
+
+  onTutorialEvent(event, data) {
+    switch (event) {
+      case 'start':
+        this.results.classList.add('hidden');
+        this.startButton.textContent = '⏹️ Dừng';
+        this.songSelect.disabled = true;
+        this.modeSelect.disabled = true;
+        this.status.textContent = data.mode === 'wait'
+          ? '👀 Bấm các phím đang sáng nhé!'
+          : '🎶 Bấm đúng lúc nốt nhạc chạm phím!';
+        break;
+      case 'progress':
+        this.status.textContent = `🎵 ${data.index}/${data.total}`;
+        break;
+      case 'hit':
+        this.status.textContent = data.result === 'perfect' ? '🌟 Tuyệt vời!' : '👍 Tốt!';
+        break;
+      case 'miss':
+        this.status.textContent = '💨 Lỡ mất rồi...';
+        break;
+      case 'wrong':
+        this.status.textContent = '🙈 Chưa đúng phím';
+        break;
+      case 'stop':
+        this.startButton.textContent = '🎓 Học bài';
+        this.songSelect.disabled = false;
+        this.modeSelect.disabled = false;
+        this.status.textContent = '';
+        break;
+      case 'finish':
+        this.showResults(data);
+        break;
+    }
+  }
+
+  showResults(results) {
+    const rows = [
+      ['🎯 Độ chính xác', `${results.accuracy}%`],
+      ['🌟 Hoàn hảo', results.perfect],
+      ['👍 Tốt', results.good],
+      ['💨 Lỡ', results.miss],
+      ['🙈 Bấm nhầm', results.wrongPresses]
+    ];
+    if (results.averageOffset !== null) {
+      const direction = results.averageOffset > 0 ? 'trễ' : 'sớm';
+      rows.push(['⏱️ Lệch nhịp TB', `${Math.abs(results.averageOffset)}ms ${direction}`]);
+    }
+    if (results.averageReaction !== null) {
+      rows.push(['⚡ Phản xạ TB', `${results.averageReaction}ms`]);
+    }
+
+    this.results.innerHTML = `
+      <h4 class="tutorial-results-title">${results.song}</h4>
+      <dl>${rows.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}</dl>
+    `;
+    this.results.classList.remove('hidden');
+    this.status.textContent = results.accuracy >= 80 ? '🎉 Giỏi quá!' : '💪 Thử lại nhé!';
+  }
+}
+
+// ============================================
+// GLOBAL EXPORTS
+// ============================================
+
+// Picked up by PianoController.init()
+window.initPianoTutorial = (controller) => {
+  const tutorial = new PianoTutorial(controller);
+  if (!tutorial.init()) return null;
+
+  new PianoTutorialPanel(tutorial).init();
+  return tutorial;
+};
+
+window.tutorialDebug = {
+  songs: () => TUTORIAL_CONFIG.songs.map(song => song.id),
+  start: (id, mode) => {
+    const tutorial = window.pianoController?.tutorial;
+    const song = TUTORIAL_CONFIG.songs.find(candidate => candidate.id === id);
+    if (!tutorial || !song) return false;
+    tutorial.load(song);
+    return tutorial.start(mode);
+  },
+  stop: () => window.pianoController?.tutorial?.stop(),
+  results: () => window.pianoController?.tutorial?.getResults()
+};
+
+console.log('✨ Piano tutorial script loaded!');
@@ -0,0 +1,396 @@
+/* ============================================
+   SECTION ROUTER - NAVIGATION BETWEEN SECTIONS
+   ============================================
+   - Intro (envelope & letter) -> piano -> gift -> message
+   - Enter / leave hooks, sections initialized on first visit
+   - Animated transitions between .section elements
+   - Deep links: ?section=gift or #gift (manifest shortcuts)
+   - Browser back / forward via the History API
+   - Guards: a section opens only after the ones before it
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const ROUTER_CONFIG = {
+  storageKey: 'section_progress',
+  queryParam: 'section',
+  defaultSection: 'intro',
+  elementPrefix: 'section-',
+  transitionDuration: 400 // ms, matches the .section transition
+};
+
+// ============================================
+// SECTION ROUTER
+// ============================================
+
+class SectionRouter {
+  constructor() {
+    this.sections = new Map();
+    this.aliases = new Map();
+    this.current = null;
+    this.isTransitioning = false;
+    this.pending = null;
+    this.completed = this.loadProgress();
+    this.listeners = new Map();
+    this.isStarted = false;
+  }
+
+  /**
+   * options = {
+   *   aliases: ['letter'],       // other names accepted in links
+   *   onInit: () => {},          // first time the section is entered
+   *   onEnter: (from) => {},
+   *   onLeave: (to) => {},
+   *   isComplete: () => true     // extra condition for leaving forward
+   * }
+   * Sections are ordered by registration.
+   */
+  register(id, options = {}) {
+    this.sections.set(id, {
+      id,
+      index: this.sections.size,
+      onInit: options.onInit || null,
+      onEnter: options.onEnter || null,
+      onLeave: options.onLeave || null,
+      isComplete: options.isComplete || null,
+      isInitialized: false
+    });
+    (options.aliases || []).forEach(alias => this.aliases.set(alias, id));
+    return this;
+  }
+
+  resolve(name) {
+    const key = String(name || '').trim().toLowerCase();
+    if (this.sections.has(key)) return key;
+    return this.aliases.get(key) || null;
+  }
+
+  getElement(id) {
+    return document.getElementById(`${ROUTER_CONFIG.elementPrefix}${id}`);
+  }
+
+  // Subscribe to section changes
+  subscribe(callback) {
+    const id = Math.random();
+    this.listeners.set(id, callback);
+    return () => this.listeners.delete(id);
+  }
+
+  notifyListeners(from) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.current, from);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+
+  // ============================================
+  // GUARDS & PROGRESS
+  // ============================================
+
+  isSectionComplete(id) {
+    return this.completed.has(id);
+  }
+
+  // Mark a section done, e.g. when the piano unlocks
+  complete(id) {
+    const section = this.sections.get(this.resolve(id));
+    if (!section || this.completed.has(section.id)) return false;
+    if (section.isComplete && !section.isComplete()) return false;
+
+    this.completed.add(section.id);
+    this.saveProgress();
+    console.log(`✅ Section completed: ${section.id}`);
+    return true;
+  }
+
+  canEnter(id) {
+    return this.getFirstLockedBefore(id) === null;
+  }
+
+  // First earlier section that still has to be finished
+  getFirstLockedBefore(id) {
+    const target = this.sections.get(id);
+    for (const section of this.sections.values()) {
+      if (section.index >= target.index) break;
+      if (!this.isSectionComplete(section.id)) return section.id;
+    }
+    return null;
+  }
+
+  loadProgress() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(ROUTER_CONFIG.storageKey) || '[]');
+      return new Set(Array.isArray(saved) ? saved : []);
+    } catch (error) {
+      return new Set();
+    }
+  }
+
+  saveProgress() {
+    try {
+      localStorage.setItem(ROUTER_CONFIG.storageKey, JSON.stringify(Array.from(this.completed)));
+    } catch (error) {
+      console.warn('⚠️ Storage error:', error);
+    }
+  }
+
+  resetProgress() {
+    this.completed.clear();
+    this.saveProgress();
+  }
+
+  // ============================================
+  // NAVIGATION
+  // ============================================
+
+  /**
+   * Go to a section. options.history: 'push' (default), 'replace' or 'none'.
+   * In-app navigation forward also completes the section being left.
+   */
+  async go(name, options = {}) {
+    const { history = 'push' } = options;
+    let id = this.resolve(name);
+
+    if (!id) {
+      console.warn(`⚠️ Unknown section: ${name}`);
+      return false;
+    }
+
+    // Queue the latest request while a transition is running
+    if (this.isTransitioning) {
+      this.pending = { name: id, options };
+      return false;
+    }
+
+    const from = this.current;
+    if (from && history === 'push' && this.sections.get(id).index > this.sections.get(from).index) {
+      this.complete(from);
+    }
+
+    const locked = this.getFirstLockedBefore(id);
+    if (locked) {
+      console.log(`🔒 Section "${id}" is locked, redirecting to "${locked}"`);
+      id = locked;
+    }
+
+    if (!this.getElement(id)) {
+      console.warn(`⚠️ Section element not found: #${ROUTER_CONFIG.elementPrefix}${id}`);
+      return false;
+    }
+
+    // A guard redirect never leaves the blocked section in the address bar
+    const historyMode = id !== this.resolve(name) && history === 'none' ? 'replace' : history;
+    this.updateHistory(id, historyMode);
+
+    if (id === from) return true;
+
+    this.isTransitioning = true;
+    try {
+      await this.transition(from, id);
+    } finally {
+      this.isTransitioning = false;
+    }
+
+    if (this.pending) {
+      const { name: next, options: nextOptions } = this.pending;
+      this.pending = null;
+      return this.go(next, nextOptions);
+    }
+    return true;
+  }
+
+  async transition(from, to) {
+    const fromSection = from ? this.sections.get(from) : null;
+    const toSection = this.sections.get(to);
+
+    if (fromSection?.onLeave) {
+      this.runHook(fromSection.onLeave, to, `${from} leave`);
+    }
+
+    const duration = this.getTransitionDuration();
+    const fromElement = from ? this.getElement(from) : null;
+    const toElement = this.getElement(to);
+
+    if (fromElement) {
+      fromElement.classList.add('section-leave');
+      await this.wait(duration);
+      fromElement.classList.remove('active', 'section-leave');
+      fromElement.classList.add('hidden');
+      fromElement.setAttribute('aria-hidden', 'true');
+    }
+
+    // Hide every other section, so a deep link starts from a clean page
+    this.sections.forEach((section, id) => {
+      const element = this.getElement(id);
+      if (element && id !== to) {
+        element.classList.add('hidden');
+        element.classList.remove('active');
+        element.setAttribute('aria-hidden', 'true');
+      }
+    });
+
+    toElement.classList.add('section-enter');
+    toElement.classList.remove('hidden');
+    toElement.classList.add('active');
+    toElement.removeAttribute('aria-hidden');
+    // Next frame: let the enter state render before animating out of it
+    await this.wait(16);
+    toElement.classList.remove('section-enter');
+    window.scrollTo(0, 0);
+
+    this.current = to;
+
+    if (!toSection.isInitialized) {
+      toSection.isInitialized = true;
+      if (toSection.onInit) this.runHook(toSection.onInit, from, `${to} init`);
+    }
+    if (toSection.onEnter) {
+      this.runHook(toSection.onEnter, from, `${to} enter`);
+    }
+
+    console.log(`🧭 Section: ${from || '-'} → ${to}`);
+    this.notifyListeners(from);
+  }
+
+  runHook(hook, argument, label) {
+    try {
+      hook(argument);
+    } catch (error) {
+      console.error(`❌ Section hook failed (${label}):`, error);
+    }
+  }
+
+  getTransitionDuration() {
+    const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    return reduceMotion ? 0 : ROUTER_CONFIG.transitionDuration;
+  }
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // ============================================
+  // URL & HISTORY
+  // ============================================
+
+  // ?section=gift wins over #gift
+  readLocation() {
+    const params = new URLSearchParams(window.location.search);
+    const fromQuery = this.resolve(params.get(ROUTER_CONFIG.queryParam));
+    if (fromQuery) return fromQuery;
+
+    return this.resolve(window.location.hash.replace(/^#/, ''));
+  }
+
+  // A #gift deep link moves to ?section=, any other hash (#content=...) stays
+  buildUrl(id) {
+    const url = new URL(window.location.href);
+    url.searchParams.set(ROUTER_CONFIG.queryParam, id);
+    if (this.resolve(url.hash.replace(/^#/, ''))) url.hash = '';
+    return url.toString();
+  }
+
+  updateHistory(id, mode) {
+    if (mode === 'none' || !window.history?.pushState) return;
+
+    const state = { section: id };
+    if (mode === 'replace') {
+      window.history.replaceState(state, '', this.buildUrl(id));
+    } else if (window.history.state?.section !== id) {
+      window.history.pushState(state, '', this.buildUrl(id));
+    }
+  }
+
+  onPopState(e) {
+    const id = e.state?.section || this.readLocation() || ROUTER_CONFIG.defaultSection;
+    this.go(id, { history: 'none' });
+  }
+
+  start() {
+    if (this.isStarted) return;
+    this.isStarted = true;
+
+    window.addEventListener('popstate', (e) => this.onPopState(e));
+    window.addEventListener('hashchange', () => {
+      const id = this.resolve(window.location.hash.replace(/^#/, ''));
+      if (id) this.go(id, { history: 'replace' });
+    });
+
+    const initial = this.readLocation() || ROUTER_CONFIG.defaultSection;
+    this.go(initial, { history: 'replace' });
+    console.log(`✅ Section router started (${this.sections.size} sections)`);
+  }
+}
+
+// ============================================
+// DEFAULT SECTIONS
+// ============================================
+
+function registerDefaultSections(router) {
+  router
+    .register('intro', { aliases: ['envelope', 'letter'] })
+    .register('piano', {
+      onInit: () => window.initPianoSection && window.initPianoSection(),
+      onLeave: () => {
+        // Nothing keeps playing over the next section
+        window.pianoController?.audioEngine.stopAll();
+        window.pianoController?.metronome?.stop();
+        window.pianoController?.recorder?.stopPlayback();
+      },
+      isComplete: () => window.pianoController?.stateManager.state.isUnlocked ?? false
+    })
+    .register('gift', {
+      onInit: () => window.initGiftSection && window.initGiftSection(),
+      isComplete: () => window.giftController?.isOpened ?? false
+    })
+    .register('message', {
+      onInit: () => window.initMessageSection && window.initMessageSection()
+    });
+
+  return router;
+}
+
+// ============================================
+// GLOBAL INSTANCE & EXPORTS
+// ============================================
+
+if (typeof window !== 'undefined') {
+  const sectionRouter = registerDefaultSections(new SectionRouter());
+
+  // Auto-start, after the per-recipient content is in place
+  function startSectionRouter() {
+    const ready = window.contentConfig ? window.contentConfig.ready : Promise.resolve();
+    ready.then(() => sectionRouter.start());
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', startSectionRouter);
+  } else {
+    startSectionRouter();
+  }
+
+  window.sectionRouter = sectionRouter;
+  window.transitionToSection = (name) => sectionRouter.go(name);
+
+  window.routerDebug = {
+    current: () => sectionRouter.current,
+    progress: () => Array.from(sectionRouter.completed),
+    unlockAll: () => {
+      sectionRouter.sections.forEach((section, id) => sectionRouter.completed.add(id));
+      sectionRouter.saveProgress();
+    },
+    resetProgress: () => sectionRouter.resetProgress(),
+    go: (name) => sectionRouter.go(name, { history: 'replace' })
+  };
+
+  console.log('✨ Section router script loaded!');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ROUTER_CONFIG, SectionRouter, registerDefaultSections };
+}
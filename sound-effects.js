@@ -0,0 +1,472 @@
+/* ============================================
+   SOUND EFFECTS - UI CUES, VOLUMES & MUTE
+   ============================================
+   - Preloaded named cues (click, unlock, ...)
+   - Volume per category: UI, piano, music
+   - Background music ducks under effects
+   - Global mute remembered across visits
+   - One AudioContext for the page, created on the
+     first user gesture and shared with the piano
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const SOUND_CONFIG = {
+  storageKey: 'sound_settings',
+  musicElementIds: ['backgroundMusic', 'bgMusic'],
+
+  volumes: {
+    ui: 0.6,
+    piano: 1,
+    music: 0.3
+  },
+
+  // Music level while a ducking cue plays, and the fade time (ms)
+  duckLevel: 0.3,
+  duckFade: 150,
+
+  // Cues come from a file (`src`) or are synthesized from `tones`
+  cues: {
+    click: {
+      src: 'audio/click-sound.mp3',
+      category: 'ui',
+      volume: 0.4,
+      throttle: 30
+    },
+    unlock: {
+      category: 'ui',
+      volume: 0.6,
+      duck: true,
+      tones: [
+        { frequency: 523.25, at: 0, length: 0.18 },
+        { frequency: 659.25, at: 0.1, length: 0.18 },
+        { frequency: 783.99, at: 0.2, length: 0.2 },
+        { frequency: 1046.5, at: 0.3, length: 0.6 }
+      ]
+    },
+    // Typewriter key click, one per typed character
+    typeTick: {
+      category: 'ui',
+      volume: 0.12,
+      throttle: 35,
+      tones: [
+        { frequency: 1800, at: 0, length: 0.03, type: 'square' }
+      ]
+    }
+  },
+
+  gestureEvents: ['pointerdown', 'touchstart', 'keydown']
+};
+
+// ============================================
+// SOUND EFFECTS MANAGER
+// ============================================
+
+class SoundEffectsManager {
+  constructor() {
+    this.audioContext = null;
+    this.masterGain = null;
+    this.categoryGains = new Map();
+    this.buffers = new Map();
+    this.cues = new Map(Object.entries(SOUND_CONFIG.cues));
+    this.lastPlayed = new Map();
+    this.isUnlocked = false;
+    this.duckCount = 0;
+    this.fadeFrame = null;
+    this.listeners = new Map();
+
+    const settings = this.loadSettings();
+    this.muted = settings.muted ?? false;
+    this.volumes = { ...SOUND_CONFIG.volumes, ...(settings.volumes || {}) };
+  }
+
+  init() {
+    // The AudioContext waits for the first gesture (getAudioContext)
+    this.listenForGesture();
+    this.applyMusicVolume(false);
+    console.log(`✅ Sound effects initialized (${this.muted ? 'muted' : 'sound on'})`);
+    return true;
+  }
+
+  // ============================================
+  // SHARED AUDIO CONTEXT
+  // ============================================
+
+  // Created on first use; the piano engine plays through the same context
+  getAudioContext() {
+    if (this.audioContext) return this.audioContext;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+      console.warn('⚠️ Web Audio API not available, sound effects disabled');
+      return null;
+    }
+
+    this.audioContext = new AudioContextClass();
+    this.masterGain = this.audioContext.createGain();
+    this.masterGain.gain.value = this.muted ? 0 : 1;
+    this.masterGain.connect(this.audioContext.destination);
+
+    Object.keys(this.volumes).forEach(category => {
+      const gain = this.audioContext.createGain();
+      gain.gain.value = this.volumes[category];
+      gain.connect(this.masterGain);
+      this.categoryGains.set(category, gain);
+    });
+
+    this.preload();
+    return this.audioContext;
+  }
+
+  // ============================================
+  // LOADING & AUTOPLAY UNLOCK
+  // ============================================
+
+  preload() {
+    return Promise.all(
+      Array.from(this.cues.entries())
+        .filter(([, cue]) => cue.src)
+        .map(([name, cue]) => this.loadCue(name, cue.src))
+    );
+  }
+
+  async loadCue(name, src) {
+    try {
+      const response = await fetch(src);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.arrayBuffer();
+      const buffer = await new Promise((resolve, reject) => {
+        const result = this.audioContext.decodeAudioData(data, resolve, reject);
+        if (result && typeof result.then === 'function') {
+          result.then(resolve, reject);
+        }
+      });
+      this.buffers.set(name, buffer);
+      return buffer;
+    } catch (error) {
+      console.warn(`⚠️ Sound cue "${name}" failed to load:`, error);
+      return null;
+    }
+  }
+
+  listenForGesture() {
+    const unlock = () => {
+      SOUND_CONFIG.gestureEvents.forEach(type => document.removeEventListener(type, unlock, true));
+      this.unlock();
+    };
+    SOUND_CONFIG.gestureEvents.forEach(type => document.addEventListener(type, unlock, true));
+  }
+
+  unlock() {
+    if (this.isUnlocked) return;
+    this.isUnlocked = true;
+
+    // Inside the gesture, so the new context may start right away
+    this.getAudioContext();
+    if (this.audioContext && this.audioContext.state === 'suspended') {
+      this.audioContext.resume().then(() => {
+        console.log('🔊 Sound effects unlocked');
+      }).catch(() => {});
+    }
+  }
+
+  // ============================================
+  // PLAYBACK
+  // ============================================
+
+  // Add or replace a cue at runtime
+  register(name, cue) {
+    this.cues.set(name, cue);
+    if (cue.src && this.audioContext) {
+      this.loadCue(name, cue.src);
+    }
+    return this;
+  }
+
+  play(name, options = {}) {
+    const cue = this.cues.get(name);
+    if (!cue) {
+      console.warn(`⚠️ Unknown sound cue: ${name}`);
+      return false;
+    }
+
+    // Never queue sounds before the page is allowed to make them
+    if (this.muted || !this.audioContext || this.audioContext.state !== 'running') {
+      return false;
+    }
+
+    const now = Date.now();
+    if (cue.throttle && now - (this.lastPlayed.get(name) || 0) < cue.throttle) {
+      return false;
+    }
+    this.lastPlayed.set(name, now);
+
+    const ctx = this.audioContext;
+    const output = ctx.createGain();
+    output.gain.value = (cue.volume ?? 1) * (options.volume ?? 1);
+    output.connect(this.categoryGains.get(cue.category) || this.masterGain);
+
+    let length;
+    if (cue.tones) {
+      length = this.playTones(cue.tones, output);
+    } else {
+      const buffer = this.buffers.get(name);
+      if (!buffer) {
+        output.disconnect();
+        return false;
+      }
+
+      const source = ctx.createBufferSource();
+      source.buffer = buffer;
+      source.connect(output);
+      source.onended = () => output.disconnect();
+      source.start();
+      length = buffer.duration;
+    }
+
+    if (cue.duck) {
+      this.duck(length);
+    }
+    return true;
+  }
+
+  // Short sine blips with a quick attack and exponential decay
+  playTones(tones, output) {
+    const ctx = this.audioContext;
+    const start = ctx.currentTime;
+    let end = 0;
+
+    tones.forEach(tone => {
+      const when = start + tone.at;
+      const oscillator = ctx.createOscillator();
+      oscillator.type = tone.type || 'sine';
+      oscillator.frequency.value = tone.frequency;
+
+      const gain = ctx.createGain();
+      gain.gain.setValueAtTime(0, when);
+      gain.gain.linearRampToValueAtTime(1, when + 0.01);
+      gain.gain.exponentialRampToValueAtTime(0.0001, when + tone.length);
+
+      oscillator.connect(gain);
+      gain.connect(output);
+      oscillator.start(when);
+      oscillator.stop(when + tone.length + 0.02);
+      oscillator.onended = () => gain.disconnect();
+
+      end = Math.max(end, tone.at + tone.length);
+    });
+
+    setTimeout(() => output.disconnect(), (end + 0.1) * 1000);
+    return end;
+  }
+
+  // ============================================
+  // BACKGROUND MUSIC & DUCKING
+  // ============================================
+
+  getMusicElement() {
+    for (const id of SOUND_CONFIG.musicElementIds) {
+      const element = document.getElementById(id);
+      if (element) return element;
+    }
+    return null;
+  }
+
+  // Overlapping cues keep the music down until the last one ends
+  duck(seconds) {
+    this.duckCount++;
+    this.applyMusicVolume();
+
+    setTimeout(() => {
+      this.duckCount = Math.max(0, this.duckCount - 1);
+      this.applyMusicVolume();
+    }, seconds * 1000);
+  }
+
+  applyMusicVolume(fade = true) {
+    // The music player fades its own tracks
+    if (window.backgroundMusic) {
+      window.backgroundMusic.setDuck(this.duckCount > 0 ? SOUND_CONFIG.duckLevel : 1);
+      return;
+    }
+
+    const music = this.getMusicElement();
+    if (!music) return;
+
+    music.muted = this.muted;
+    const target = this.volumes.music * (this.duckCount > 0 ? SOUND_CONFIG.duckLevel : 1);
+
+    cancelAnimationFrame(this.fadeFrame);
+    if (!fade) {
+      music.volume = target;
+      return;
+    }
+
+    const from = music.volume;
+    const startedAt = performance.now();
+    const step = (time) => {
+      const progress = Math.min(1, (time - startedAt) / SOUND_CONFIG.duckFade);
+      music.volume = from + (target - from) * progress;
+      if (progress < 1) {
+        this.fadeFrame = requestAnimationFrame(step);
+      }
+    };
+    this.fadeFrame = requestAnimationFrame(step);
+  }
+
+  // ============================================
+  // VOLUMES & MUTE
+  // ============================================
+
+  // Effective volume of a category, 0 while muted
+  getVolume(category) {
+    if (this.muted) return 0;
+    return this.volumes[category] ?? 1;
+  }
+
+  setVolume(category, volume) {
+    if (!(category in this.volumes)) return false;
+
+    this.volumes[category] = Math.max(0, Math.min(1, Number(volume) || 0));
+    // The music player has its own volume (its widget slider), set it too
+    if (category === 'music' && window.backgroundMusic) {
+      window.backgroundMusic.setVolume(this.volumes.music);
+    }
+    this.applyVolumes();
+    this.saveSettings();
+    return this.volumes[category];
+  }
+
+  setMuted(muted) {
+    this.muted = Boolean(muted);
+    if (!this.muted) this.unlock();
+    this.applyVolumes();
+    this.saveSettings();
+    this.notifyListeners();
+    return this.muted;
+  }
+
+  toggleMute() {
+    return this.setMuted(!this.muted);
+  }
+
+  applyVolumes() {
+    if (this.masterGain) {
+      this.masterGain.gain.setValueAtTime(this.muted ? 0 : 1, this.audioContext.currentTime);
+    }
+    this.categoryGains.forEach((gain, category) => {
+      gain.gain.setValueAtTime(this.volumes[category], this.audioContext.currentTime);
+    });
+
+    // The piano has its own audio engine
+    if (window.pianoController?.audioEngine) {
+      window.pianoController.audioEngine.setVolume(this.getVolume('piano'));
+    }
+    this.applyMusicVolume();
+  }
+
+  // Subscribe to mute changes
+  subscribe(callback) {
+    const id = Math.random();
+    this.listeners.set(id, callback);
+    return () => this.listeners.delete(id);
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.muted);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+
+  loadSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(SOUND_CONFIG.storageKey) || '{}');
+      return saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  saveSettings() {
+    try {
+      localStorage.setItem(SOUND_CONFIG.storageKey, JSON.stringify({
+        muted: this.muted,
+        volumes: this.volumes
+      }));
+    } catch (error) {
+      console.warn('⚠️ Storage error:', error);
+    }
+  }
+}
+
+// ============================================
+// MUTE BUTTON (UI)
+// ============================================
+
+class SoundToggleButton {
+  constructor(manager) {
+    this.manager = manager;
+    this.button = null;
+  }
+
+  init() {
+    this.button = document.createElement('button');
+    this.button.type = 'button';
+    this.button.className = 'sound-toggle';
+    this.button.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.manager.toggleMute();
+    });
+    document.body.appendChild(this.button);
+
+    this.manager.subscribe(() => this.render());
+    this.render();
+    return true;
+  }
+
+  render() {
+    const { muted } = this.manager;
+    this.button.textContent = muted ? '🔇' : '🔊';
+    this.button.setAttribute('aria-pressed', String(muted));
+    this.button.setAttribute('aria-label', muted ? 'Bật âm thanh' : 'Tắt âm thanh');
+  }
+}
+
+// ============================================
+// GLOBAL INSTANCE & EXPORTS
+// ============================================
+
+const soundEffects = new SoundEffectsManager();
+
+function initSoundEffects() {
+  soundEffects.init();
+  new SoundToggleButton(soundEffects).init();
+}
+
+// Auto-init
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initSoundEffects);
+} else {
+  initSoundEffects();
+}
+
+window.soundEffects = soundEffects;
+window.playClickSound = () => soundEffects.play('click');
+window.playUnlockSound = () => soundEffects.play('unlock');
+
+window.soundDebug = {
+  play: (name) => soundEffects.play(name),
+  toggleMute: () => soundEffects.toggleMute(),
+  setVolume: (category, volume) => soundEffects.setVolume(category, volume),
+  settings: () => ({ muted: soundEffects.muted, volumes: { ...soundEffects.volumes } })
+};
+
+console.log('✨ Sound effects script loaded!');
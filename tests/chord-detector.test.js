@@ -0,0 +1,101 @@
+/* ============================================
+   CHORD DETECTOR - NAMING
+   ============================================
+   node --test tests/
+   ============================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectChord, normalizeChordName, chordNamesEqual } = require('../chord-detector.js');
+
+test('fewer than two notes or an unknown set is not named', () => {
+  assert.equal(detectChord([]), null);
+  assert.equal(detectChord(['C4']), null);
+  assert.equal(detectChord(['C4', 'C#4', 'D4']), null);
+  assert.equal(detectChord(['not a note', 'C4']), null);
+});
+
+test('two notes are an interval above the bass', () => {
+  assert.equal(detectChord(['C4', 'E4']).name, 'M3');
+  assert.equal(detectChord(['A3', 'C4']).name, 'm3');
+  assert.equal(detectChord(['C4', 'F#4']).name, 'TT');
+  assert.equal(detectChord(['C4', 'C5']).name, 'P8');
+  assert.equal(detectChord(['C4', 'G4'], { includePower: true }).symbol, 'C5');
+});
+
+test('triads in root position', () => {
+  const cases = {
+    C: ['C4', 'E4', 'G4'],
+    Am: ['A3', 'C4', 'E4'],
+    Bdim: ['B3', 'D4', 'F4'],
+    Caug: ['C4', 'E4', 'G#4'],
+    Dsus2: ['D4', 'E4', 'A4'],
+    Gsus4: ['G3', 'C4', 'D4']
+  };
+
+  Object.entries(cases).forEach(([symbol, notes]) => {
+    const chord = detectChord(notes);
+    assert.equal(chord.symbol, symbol, notes.join(' '));
+    assert.equal(chord.inversion, 0);
+  });
+});
+
+test('seventh chords', () => {
+  const cases = {
+    G7: ['G3', 'B3', 'D4', 'F4'],
+    Cmaj7: ['C4', 'E4', 'G4', 'B4'],
+    Dm7: ['D4', 'F4', 'A4', 'C5'],
+    Bm7b5: ['B3', 'D4', 'F4', 'A4'],
+    Cdim7: ['C4', 'D#4', 'F#4', 'A4']
+  };
+
+  Object.entries(cases).forEach(([symbol, notes]) => {
+    assert.equal(detectChord(notes).symbol, symbol, notes.join(' '));
+  });
+});
+
+test('inversions name the bass after a slash', () => {
+  const first = detectChord(['E3', 'G3', 'C4']);
+  assert.equal(first.name, 'C');
+  assert.equal(first.symbol, 'C/E');
+  assert.equal(first.inversion, 1);
+  assert.equal(first.label, 'đảo 1');
+
+  const second = detectChord(['G3', 'C4', 'E4']);
+  assert.equal(second.symbol, 'C/G');
+  assert.equal(second.inversion, 2);
+
+  const third = detectChord(['F3', 'G3', 'B3', 'D4']);
+  assert.equal(third.symbol, 'G7/F');
+  assert.equal(third.inversion, 3);
+});
+
+test('a bass outside the chord is a slash chord in root position', () => {
+  const chord = detectChord(['C4', 'E4', 'G4'], { bass: 'D3' });
+
+  assert.equal(chord.name, 'C');
+  assert.equal(chord.symbol, 'C/D');
+  assert.equal(chord.bass, 'D');
+  assert.equal(chord.inversion, 0);
+  assert.equal(chord.label, '');
+});
+
+test('symmetric chords take the bass as their root', () => {
+  assert.equal(detectChord(['E4', 'G#4', 'C5']).symbol, 'Eaug');
+  assert.equal(detectChord(['A3', 'C4', 'D#4', 'F#4']).symbol, 'Adim7');
+});
+
+test('notes are accepted as names, flats and MIDI numbers', () => {
+  assert.equal(detectChord(['Bb3', 'D4', 'F4']).symbol, 'A#');
+  assert.equal(detectChord([60, 63, 67]).symbol, 'Cm');
+  // Without an octave every note is in octave 4
+  assert.equal(detectChord(['E', 'G', 'C']).symbol, 'C');
+});
+
+test('chord names compare across sharps and flats', () => {
+  assert.equal(normalizeChordName('Bbm7'), 'A#m7');
+  assert.equal(normalizeChordName('Cb'), 'B');
+  assert.equal(chordNamesEqual('Bbm7', 'A#m7'), true);
+  assert.equal(chordNamesEqual('C', 'Cm'), false);
+  assert.equal(chordNamesEqual('H', 'H'), false);
+});
@@ -0,0 +1,127 @@
+/* ============================================
+   MELODY MATCHER - UNLOCK PUZZLE
+   ============================================
+   node --test tests/
+   ============================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MelodyMatcher = require('../melody-matcher.js');
+
+// G G A G C B, the start of Happy Birthday
+const HAPPY_BIRTHDAY = [67, 67, 69, 67, 72, 71];
+
+// Push [midi, time] pairs, returns the last status
+function play(matcher, notes) {
+  let status = null;
+  notes.forEach(([midi, time]) => {
+    status = matcher.push(midi, time);
+  });
+  return status;
+}
+
+// Notes 400 ms apart, for melodies without a rhythm
+function evenly(notes, from = 0) {
+  return notes.map((midi, i) => [midi, from + i * 400]);
+}
+
+test('a melody needs notes', () => {
+  assert.throws(() => new MelodyMatcher({ notes: [] }), /at least one note/);
+  assert.throws(() => new MelodyMatcher(null), /at least one note/);
+});
+
+test('the whole melody completes it', () => {
+  const matcher = new MelodyMatcher({ notes: HAPPY_BIRTHDAY });
+
+  const status = play(matcher, evenly(HAPPY_BIRTHDAY));
+
+  assert.equal(status.isComplete, true);
+  assert.equal(status.matched, 6);
+  assert.equal(status.nextNote, null);
+  // Later notes change nothing
+  assert.deepEqual(matcher.push(60, 5000), status);
+});
+
+test('octaves only count with matchOctave', () => {
+  const loose = new MelodyMatcher({ notes: [60, 64, 67] });
+  assert.equal(play(loose, evenly([72, 52, 79])).isComplete, true);
+
+  const strict = new MelodyMatcher({ notes: [60, 64, 67], matchOctave: true });
+  assert.equal(play(strict, evenly([72, 64, 67])).isComplete, false);
+  assert.equal(play(strict, evenly([60, 64, 67], 1000)).isComplete, true);
+});
+
+test('G G G A restarts from the tail, not from scratch', () => {
+  const matcher = new MelodyMatcher({ notes: HAPPY_BIRTHDAY });
+
+  const third = play(matcher, evenly([67, 67, 67]));
+  assert.equal(third.matched, 2);
+  assert.equal(third.failures, 1);
+
+  const status = play(matcher, evenly([69, 67, 72, 71], 1200));
+  assert.equal(status.isComplete, true);
+});
+
+test('a wrong note that starts the melody begins a new attempt', () => {
+  const matcher = new MelodyMatcher({ notes: [60, 62, 64] });
+
+  assert.equal(play(matcher, evenly([60, 62, 60])).matched, 1);
+  assert.equal(play(matcher, evenly([62, 64], 1200)).isComplete, true);
+});
+
+test('rhythm is checked against the tempo of the first interval', () => {
+  const melody = { notes: [60, 62, 64, 65], rhythm: [1, 1, 2] };
+
+  // Slow or fast, the proportions are what count
+  assert.equal(play(new MelodyMatcher(melody), [[60, 0], [62, 500], [64, 1000], [65, 2000]]).isComplete, true);
+  assert.equal(play(new MelodyMatcher(melody), [[60, 0], [62, 1000], [64, 2000], [65, 4000]]).isComplete, true);
+
+  // The long note cut short
+  const rushed = play(new MelodyMatcher(melody), [[60, 0], [62, 500], [64, 1000], [65, 1300]]);
+  assert.equal(rushed.isComplete, false);
+  assert.equal(rushed.failures, 1);
+});
+
+test('rhythm tolerance is a relative deviation per interval', () => {
+  const melody = { notes: [60, 62, 64, 65], rhythm: [1, 1, 2], rhythmTolerance: 0.4 };
+
+  // 1000 ms expected: 1300 is 30% late, 1500 is 50% late
+  assert.equal(play(new MelodyMatcher(melody), [[60, 0], [62, 500], [64, 1000], [65, 2300]]).isComplete, true);
+  assert.equal(play(new MelodyMatcher(melody), [[60, 0], [62, 500], [64, 1000], [65, 2500]]).isComplete, false);
+
+  const strict = { ...melody, rhythmTolerance: 0.1 };
+  assert.equal(play(new MelodyMatcher(strict), [[60, 0], [62, 500], [64, 1000], [65, 2300]]).isComplete, false);
+});
+
+test('a rhythm shorter than the melody is ignored', () => {
+  const matcher = new MelodyMatcher({ notes: [60, 62, 64, 65], rhythm: [1] });
+
+  assert.equal(matcher.rhythm, null);
+  assert.equal(play(matcher, [[60, 0], [62, 100], [64, 2000], [65, 2100]]).isComplete, true);
+});
+
+test('a pause longer than maxGap restarts without a mistake', () => {
+  const matcher = new MelodyMatcher({ notes: [60, 62, 64], maxGap: 3000 });
+
+  play(matcher, [[60, 0], [62, 500]]);
+  const late = matcher.push(64, 4000);
+  assert.equal(late.matched, 0);
+  assert.equal(late.failures, 0);
+
+  // The pause is measured from the last matched note
+  assert.equal(play(matcher, [[60, 4100], [62, 7000], [64, 9900]]).isComplete, true);
+});
+
+test('mistakes are counted across attempts until reset', () => {
+  const matcher = new MelodyMatcher({ notes: [60, 62, 64] });
+
+  // A wrong first note is no mistake, a wrong note mid-melody is
+  assert.equal(matcher.push(70, 0).failures, 0);
+  play(matcher, [[60, 400], [65, 800]]);
+  const status = play(matcher, [[60, 1200], [62, 1600], [61, 2000]]);
+  assert.equal(status.failures, 2);
+  assert.equal(status.nextNote, 60);
+
+  matcher.reset();
+  assert.deepEqual(matcher.getStatus(), { matched: 0, total: 3, failures: 0, isComplete: false, nextNote: 60 });
+});
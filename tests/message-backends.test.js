@@ -0,0 +1,174 @@
+/* ============================================
+   MESSAGE BACKENDS - AGAINST THE STUB SERVER
+   ============================================
+   node --test tests/
+   ============================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EmailJsBackend, WebhookBackend, FormspreeBackend, RelayBackend } = require('../message-backends.js');
+const { createStubServer } = require('../tools/message-stub-server.js');
+const { createRelayServer, readRelayConfig } = require('../tools/message-relay-server.js');
+
+// The stub answers after `delay` ms, the backends give up after `apiTimeout`
+const TIMEOUT = { apiTimeout: 100, delay: 400 };
+
+let stub;
+let relay;
+let stubUrl;
+let relayUrl;
+
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+function close(server) {
+  // fetch keeps connections alive, close() would wait for them
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+}
+
+function message(id) {
+  return {
+    id,
+    to: 'you@example.com',
+    name: 'Tester',
+    email: 'tester@example.com',
+    message: 'Chúc mừng sinh nhật!',
+    timestamp: new Date().toISOString(),
+    subject: 'Test'
+  };
+}
+
+test.before(async () => {
+  stub = createStubServer({ log: () => {} });
+  stubUrl = await listen(stub);
+
+  // The relay forwards to the stub's webhook
+  const config = readRelayConfig({ RELAY_BACKEND: 'webhook', WEBHOOK_URL: `${stubUrl}/webhook` });
+  relay = createRelayServer(config);
+  relayUrl = await listen(relay);
+});
+
+test.after(async () => {
+  await Promise.all([close(stub), close(relay)]);
+});
+
+// ============================================
+// BACKEND SETTINGS
+// ============================================
+
+// Settings that point `backend` at `query` on the stub (or the relay)
+const BACKENDS = [
+  {
+    backend: EmailJsBackend,
+    settings: query => ({
+      emailJs: { publicKey: 'public', serviceId: 'service', templateId: 'template', apiUrl: `${stubUrl}/emailjs${query}` }
+    })
+  },
+  {
+    backend: WebhookBackend,
+    settings: query => ({ webhook: { url: `${stubUrl}/webhook${query}` } })
+  },
+  {
+    backend: FormspreeBackend,
+    settings: query => ({ formspree: { endpoint: `${stubUrl}/formspree${query}` } })
+  },
+  {
+    backend: RelayBackend,
+    // The relay keeps its own path, so the query goes to the stub behind it
+    settings: () => ({ relay: { url: `${relayUrl}/api/messages` } })
+  }
+];
+
+BACKENDS.forEach(({ backend, settings }) => {
+  test(`${backend.id}: delivers a message`, async () => {
+    const id = `${backend.id}-ok`;
+    const result = await backend.send(message(id), { apiTimeout: 2000, ...settings('') });
+
+    assert.equal(result.success, true, result.error?.message);
+    assert.equal(result.backend, backend.id);
+    assert.equal(result.status, 200);
+    assert.ok(stub.received.some(entry => entry.messageId === id && entry.status === 200));
+  });
+});
+
+BACKENDS.filter(({ backend }) => backend !== RelayBackend).forEach(({ backend, settings }) => {
+  test(`${backend.id}: a 5xx answer is retryable`, async () => {
+    const result = await backend.send(message(`${backend.id}-5xx`), { apiTimeout: 2000, ...settings('?status=503') });
+
+    assert.equal(result.success, false);
+    assert.equal(result.status, 503);
+    assert.equal(result.error.code, 'http_503');
+    assert.equal(result.retryable, true);
+  });
+
+  test(`${backend.id}: a 4xx answer is not retried`, async () => {
+    const result = await backend.send(message(`${backend.id}-4xx`), { apiTimeout: 2000, ...settings('?status=400') });
+
+    assert.equal(result.success, false);
+    assert.equal(result.error.code, 'http_400');
+    assert.equal(result.retryable, false);
+  });
+
+  test(`${backend.id}: a late answer times out and is retryable`, async () => {
+    const query = `?delay=${TIMEOUT.delay}`;
+    const result = await backend.send(message(`${backend.id}-late`), { apiTimeout: TIMEOUT.apiTimeout, ...settings(query) });
+
+    assert.equal(result.success, false);
+    assert.equal(result.error.code, 'timeout');
+    assert.equal(result.retryable, true);
+  });
+});
+
+// ============================================
+// RELAY
+// ============================================
+
+test('relay: an upstream 5xx is passed on as retryable', async (t) => {
+  const config = readRelayConfig({ RELAY_BACKEND: 'webhook', WEBHOOK_URL: `${stubUrl}/webhook?status=500` });
+  const failing = createRelayServer(config);
+  const url = await listen(failing);
+  t.mock.method(console, 'warn', () => {});
+
+  try {
+    const result = await RelayBackend.send(message('relay-5xx'), { apiTimeout: 2000, relay: { url: `${url}/api/messages` } });
+
+    assert.equal(result.success, false);
+    assert.equal(result.status, 502);
+    assert.equal(result.error.code, 'upstream');
+    assert.equal(result.retryable, true);
+  } finally {
+    await close(failing);
+  }
+});
+
+test('relay: a slow upstream times out on the page and is retryable', async (t) => {
+  const config = readRelayConfig({ RELAY_BACKEND: 'webhook', WEBHOOK_URL: `${stubUrl}/webhook?delay=${TIMEOUT.delay}` });
+  const slow = createRelayServer(config);
+  const url = await listen(slow);
+  t.mock.method(console, 'log', () => {});
+
+  try {
+    const result = await RelayBackend.send(message('relay-late'), { apiTimeout: TIMEOUT.apiTimeout, relay: { url: `${url}/api/messages` } });
+
+    assert.equal(result.success, false);
+    assert.equal(result.error.code, 'timeout');
+    assert.equal(result.retryable, true);
+  } finally {
+    // Let the relay finish with the stub before closing
+    await new Promise(resolve => setTimeout(resolve, TIMEOUT.delay));
+    await close(slow);
+  }
+});
+
+test('the stub stores a retried message once', async () => {
+  const settings = { apiTimeout: 2000, webhook: { url: `${stubUrl}/webhook` } };
+  const first = await WebhookBackend.send(message('webhook-retry'), settings);
+  const second = await WebhookBackend.send(message('webhook-retry'), settings);
+
+  assert.equal(second.id, first.id);
+  assert.equal(stub.received.filter(entry => entry.messageId === 'webhook-retry').length, 1);
+});
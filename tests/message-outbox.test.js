@@ -0,0 +1,136 @@
+/* ============================================
+   MESSAGE OUTBOX - QUEUE & RETRY
+   ============================================
+   node --test tests/
+   ============================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MessageOutbox, MemoryStore, OUTBOX_CONFIG } = require('../message-outbox.js');
+
+// An outbox on the memory store, without background timers
+function createOutbox(t, send) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  const outbox = new MessageOutbox(send);
+  outbox.store = new MemoryStore();
+  t.mock.method(outbox, 'scheduleRetry', async () => {});
+  return outbox;
+}
+
+function delivered(backend = 'relay') {
+  return async data => ({ success: true, backend, id: `remote_${data.id}` });
+}
+
+// What a backend throws: a DeliveryError carries its result
+function rejected(code, retryable) {
+  return async () => {
+    const error = new Error(`failed with ${code}`);
+    error.result = { success: false, retryable, error: { code, message: error.message } };
+    throw error;
+  };
+}
+
+function message(id) {
+  return { id, name: 'Tester', message: 'Chúc mừng sinh nhật!' };
+}
+
+test('a message id is queued and sent once', async (t) => {
+  const send = t.mock.fn(delivered());
+  const outbox = createOutbox(t, send);
+
+  const first = await outbox.enqueue(message('same'));
+  const second = await outbox.enqueue(message('same'));
+
+  assert.equal(send.mock.callCount(), 1);
+  assert.equal(first.status, 'sent');
+  assert.deepEqual(second, first);
+  assert.equal((await outbox.list()).length, 1);
+});
+
+test('a local delivery is saved, not sent', async (t) => {
+  const outbox = createOutbox(t, delivered('local'));
+
+  const record = await outbox.enqueue(message('local'));
+
+  assert.equal(record.status, 'saved');
+  assert.equal((await outbox.getCounts()).saved, 1);
+});
+
+test('a retryable failure waits in the queue', async (t) => {
+  const outbox = createOutbox(t, rejected('http_503', true));
+  const before = Date.now();
+
+  const record = await outbox.enqueue(message('retryable'));
+
+  assert.equal(record.status, 'queued');
+  assert.equal(record.attempts, 1);
+  assert.equal(record.lastError.code, 'http_503');
+  assert.ok(record.nextAttemptAt >= before + OUTBOX_CONFIG.retryDelays[0]);
+  assert.equal(outbox.scheduleRetry.mock.callCount(), 1);
+});
+
+test('a failure that cannot be retried is failed', async (t) => {
+  const outbox = createOutbox(t, rejected('http_400', false));
+
+  const record = await outbox.enqueue(message('rejected'));
+
+  assert.equal(record.status, 'failed');
+  assert.equal(record.lastError.code, 'http_400');
+  // Not picked up again by the background flush
+  assert.equal(await outbox.flush({ force: true }), 0);
+});
+
+test('a failed message is sent again on request', async (t) => {
+  const send = t.mock.fn(rejected('http_400', false));
+  const outbox = createOutbox(t, send);
+  await outbox.enqueue(message('manual'));
+
+  send.mock.mockImplementation(delivered());
+  const record = await outbox.retry('manual');
+
+  assert.equal(record.status, 'sent');
+  assert.equal(record.attempts, 2);
+});
+
+test('a send left behind by a closed tab is reclaimed once stale', async (t) => {
+  const send = t.mock.fn(delivered());
+  const outbox = createOutbox(t, send);
+  const now = Date.now();
+  const sending = (id, since) => ({
+    id,
+    data: message(id),
+    status: 'sending',
+    attempts: 1,
+    createdAt: since,
+    updatedAt: since,
+    nextAttemptAt: since,
+    sendingSince: since,
+    lastError: null,
+    delivery: null
+  });
+
+  await outbox.store.put(sending('stale', now - OUTBOX_CONFIG.staleSendingAfter - 1));
+  await outbox.store.put(sending('busy', now));
+
+  assert.equal(await outbox.flush(), 1);
+  assert.equal(send.mock.callCount(), 1);
+  assert.equal((await outbox.store.get('stale')).status, 'sent');
+  assert.equal((await outbox.store.get('stale')).attempts, 2);
+  assert.equal((await outbox.store.get('busy')).status, 'sending');
+});
+
+test('a failed background flush is logged', async (t) => {
+  const outbox = createOutbox(t, delivered());
+  const error = t.mock.method(console, 'error', () => {});
+  t.mock.method(outbox.store, 'getAll', async () => {
+    throw new Error('store closed');
+  });
+
+  outbox.flushInBackground({ force: true });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(error.mock.callCount(), 1);
+  assert.match(error.mock.calls[0].arguments[0], /flush failed/);
+});
@@ -0,0 +1,159 @@
+/* ============================================
+   MESSAGE RELAY - CHECKS AND LIMITS
+   ============================================
+   node --test tests/
+   ============================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRelayServer, readRelayConfig, validateSubmission, RateLimiter } = require('../tools/message-relay-server.js');
+const { createStubServer } = require('../tools/message-stub-server.js');
+
+const CONFIG = readRelayConfig({ RELAY_RECIPIENT: 'you@example.com' });
+
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+function close(server) {
+  // fetch keeps connections alive, close() would wait for them
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+}
+
+async function post(url, body) {
+  const response = await fetch(`${url}/api/messages`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+function submission(id, changes = {}) {
+  return { id, name: 'Tester', email: 'tester@example.com', message: 'Chúc mừng sinh nhật!', ...changes };
+}
+
+// A relay forwarding to its own stub; stub.hits counts what reached the stub
+async function startRelay(t, env = {}, query = '') {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  const stub = createStubServer({ log: () => stub.hits++ });
+  stub.hits = 0;
+  const stubUrl = await listen(stub);
+
+  const relay = createRelayServer(readRelayConfig({ RELAY_BACKEND: 'webhook', WEBHOOK_URL: `${stubUrl}/webhook${query}`, ...env }));
+  const url = await listen(relay);
+
+  t.after(() => Promise.all([close(relay), close(stub)]));
+  return { url, stub };
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+test('a valid submission goes to the relay recipient', () => {
+  const { message, error } = validateSubmission(submission('msg-1', { to: 'someone@else.com' }), CONFIG);
+
+  assert.equal(error, undefined);
+  assert.equal(message.id, 'msg-1');
+  assert.equal(message.to, 'you@example.com');
+  assert.equal(message.subject, CONFIG.delivery.emailSubject);
+});
+
+test('an empty name becomes Anonymous and an email is optional', () => {
+  const { message } = validateSubmission({ message: '  Chúc mừng!  ' }, CONFIG);
+
+  assert.equal(message.name, 'Anonymous');
+  assert.equal(message.email, '');
+  assert.equal(message.message, 'Chúc mừng!');
+  assert.equal(message.id, null);
+});
+
+test('submissions outside the form limits are refused', () => {
+  const cases = [
+    [null, /JSON object/],
+    [[], /JSON object/],
+    [submission('short', { message: 'Hi' }), /at least 5/],
+    [submission('long', { message: 'a'.repeat(CONFIG.maxChars + 1) }), /longer than 2000/],
+    [submission('name', { name: 'n'.repeat(CONFIG.maxNameLength + 1) }), /Name is too long/],
+    [submission('email', { email: 'not-an-email' }), /Email address/],
+    [submission('has spaces'), /Message id/],
+    [submission('i'.repeat(101)), /Message id/],
+    [submission(42), /Message id/]
+  ];
+
+  cases.forEach(([body, pattern]) => {
+    assert.match(validateSubmission(body, CONFIG).error, pattern, JSON.stringify(body)?.slice(0, 60));
+  });
+});
+
+// ============================================
+// RATE LIMIT
+// ============================================
+
+test('the rate limiter counts per client and window', () => {
+  const limiter = new RateLimiter(2, 1000);
+
+  assert.equal(limiter.hit('a', 0), 0);
+  assert.equal(limiter.hit('a', 100), 0);
+  assert.equal(limiter.hit('a', 400), 600);
+  assert.equal(limiter.hit('b', 400), 0);
+  // A new window after resetAt
+  assert.equal(limiter.hit('a', 1000), 0);
+});
+
+test('a client over the limit gets 429 with Retry-After', async (t) => {
+  const { url } = await startRelay(t, { RELAY_RATE_LIMIT: '1', RELAY_RATE_WINDOW: '60000' });
+
+  assert.equal((await post(url, submission('first'))).status, 200);
+  const limited = await post(url, submission('second'));
+
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('retry-after'), '60');
+  assert.equal(limited.body.error.code, 'rate_limited');
+  assert.equal(limited.body.retryable, true);
+});
+
+// ============================================
+// REQUESTS
+// ============================================
+
+test('a body over the size limit gets 413', async (t) => {
+  const { url, stub } = await startRelay(t);
+  const body = JSON.stringify(submission('big', { message: 'a'.repeat(CONFIG.maxBodyBytes) }));
+
+  const response = await post(url, body);
+
+  assert.equal(response.status, 413);
+  assert.equal(response.body.error.code, 'too_large');
+  assert.equal(stub.hits, 0);
+});
+
+test('a retry after delivery is answered without sending again', async (t) => {
+  const { url, stub } = await startRelay(t);
+
+  const first = await post(url, submission('retried'));
+  const second = await post(url, submission('retried'));
+
+  assert.equal(second.status, 200);
+  assert.equal(second.body.duplicate, true);
+  assert.equal(second.body.id, first.body.id);
+  assert.equal(stub.hits, 1);
+});
+
+test('two requests with one id at once are sent once', async (t) => {
+  const { url, stub } = await startRelay(t, {}, '?delay=200');
+
+  const [first, second] = await Promise.all([post(url, submission('racing')), post(url, submission('racing'))]);
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  assert.equal(second.body.duplicate, true);
+  assert.equal(second.body.id, first.body.id);
+  assert.equal(stub.hits, 1);
+});
@@ -0,0 +1,110 @@
+/* ============================================
+   MIDI FILE - ROUND-TRIP TESTS
+   ============================================
+   node --test tests/
+   ============================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MidiFile = require('../midi-file.js');
+
+// 1000 ticks per quarter at 1 000 000 µs per quarter: one tick is one ms
+const EXACT = { ticksPerQuarter: 1000, tempo: 1000000 };
+
+// Bytes of the one track, after the 14-byte header and the 8-byte MTrk header
+function trackBytes(file) {
+  return Array.from(file.subarray(22));
+}
+
+function indexOfSequence(bytes, sequence) {
+  for (let i = 0; i <= bytes.length - sequence.length; i++) {
+    if (sequence.every((byte, j) => bytes[i + j] === byte)) return i;
+  }
+  return -1;
+}
+
+test('notes survive a round trip', () => {
+  const song = {
+    events: [
+      { midi: 60, time: 0, duration: 250, velocity: 100 },
+      { midi: 64, time: 250, duration: 250, velocity: 80 },
+      { midi: 67, time: 500, duration: 500, velocity: 60 }
+    ]
+  };
+
+  const decoded = MidiFile.decode(MidiFile.encode(song, EXACT));
+
+  assert.equal(decoded.format, 0);
+  assert.deepEqual(
+    decoded.events.map(({ midi, time, duration, velocity }) => ({ midi, time, duration, velocity })),
+    song.events
+  );
+});
+
+test('delta times use variable-length quantities', () => {
+  // Gaps on both sides of each VLQ byte boundary
+  const cases = [
+    { delta: 0x7f, bytes: [0x7f] },
+    { delta: 0x80, bytes: [0x81, 0x00] },
+    { delta: 0x3fff, bytes: [0xff, 0x7f] },
+    { delta: 0x4000, bytes: [0x81, 0x80, 0x00] },
+    { delta: 0x1fffff, bytes: [0xff, 0xff, 0x7f] },
+    { delta: 0x200000, bytes: [0x81, 0x80, 0x80, 0x00] }
+  ];
+
+  cases.forEach(({ delta, bytes }) => {
+    const song = { events: [{ midi: 60, time: 0, duration: delta, velocity: 90 }] };
+    const file = MidiFile.encode(song, EXACT);
+
+    // Note off after `delta` ticks: <varlen> 0x80 60 0
+    const offset = indexOfSequence(trackBytes(file), [...bytes, 0x80, 60, 0]);
+    assert.notEqual(offset, -1, `delta ${delta} encoded as ${bytes}`);
+
+    const [note] = MidiFile.decode(file).events;
+    assert.equal(note.duration, delta);
+  });
+});
+
+test('repeated notes on the same tick retrigger', () => {
+  const song = {
+    events: [
+      { midi: 62, time: 0, duration: 100 },
+      { midi: 62, time: 100, duration: 100 }
+    ]
+  };
+
+  const decoded = MidiFile.decode(MidiFile.encode(song, EXACT));
+  assert.deepEqual(decoded.events.map(event => [event.time, event.duration]), [[0, 100], [100, 100]]);
+});
+
+test('names are written as UTF-8', () => {
+  const name = 'Chúc mừng sinh nhật 🎂';
+  const file = MidiFile.encode({ name, events: [] }, EXACT);
+  const encoded = Array.from(new TextEncoder().encode(name));
+
+  // Track name meta event: 00 FF 03 <length> <bytes>
+  assert.notEqual(indexOfSequence(trackBytes(file), [0x00, 0xff, 0x03, encoded.length, ...encoded]), -1);
+  assert.equal(MidiFile.decode(file).name, name);
+});
+
+test('names longer than 127 bytes keep their length prefix', () => {
+  const name = 'Đàn piano '.repeat(20);
+  const decoded = MidiFile.decode(MidiFile.encode({ name, events: [{ midi: 60, time: 0, duration: 10 }] }, EXACT));
+
+  assert.equal(decoded.name, name);
+  assert.equal(decoded.events.length, 1);
+});
+
+test('Latin-1 names from older files still decode', () => {
+  const file = MidiFile.encode({ name: 'x', events: [] }, EXACT);
+  const bytes = trackBytes(file);
+  const at = indexOfSequence(bytes, [0x00, 0xff, 0x03, 1, 0x78]);
+
+  // Swap the one-byte name for "Café" in Latin-1 (0xE9 alone is not valid UTF-8)
+  const latin1 = [0x43, 0x61, 0x66, 0xe9];
+  bytes.splice(at + 3, 2, latin1.length, ...latin1);
+  const header = Array.from(file.subarray(0, 18));
+  const length = [(bytes.length >>> 24) & 0xff, (bytes.length >>> 16) & 0xff, (bytes.length >>> 8) & 0xff, bytes.length & 0xff];
+
+  assert.equal(MidiFile.decode(Uint8Array.from([...header, ...length, ...bytes])).name, 'Café');
+});
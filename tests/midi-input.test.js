@@ -0,0 +1,178 @@
+/* ============================================
+   MIDI INPUT - AGAINST A FAKE MIDIACCESS
+   ============================================
+   node --test tests/
+   ============================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PianoMidiInput } = require('../midi-input.js');
+
+const NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const midiToNote = midi => `${NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
+
+// Same source bookkeeping as PianoKeyHandler, with a log instead of sound
+function fakeKeyHandler() {
+  return {
+    heldSources: new Map(),
+    pressed: [],
+    released: [],
+    pressSource(source, note, options = {}) {
+      if (this.heldSources.has(source)) return;
+      this.heldSources.set(source, note);
+      this.pressed.push({ note, volume: options.volume });
+    },
+    releaseSource(source) {
+      const note = this.heldSources.get(source);
+      if (!note) return null;
+      this.heldSources.delete(source);
+      this.released.push(note);
+      return note;
+    }
+  };
+}
+
+function fakeAudioEngine() {
+  return {
+    stopped: [],
+    stopNote(note) {
+      this.stopped.push(note);
+    }
+  };
+}
+
+function fakeInput(id) {
+  return { id, name: `Keyboard ${id}`, type: 'input', state: 'connected', onmidimessage: null };
+}
+
+function fakeAccess(inputs) {
+  return { inputs: new Map(inputs.map(input => [input.id, input])), onstatechange: null };
+}
+
+async function setup(t, inputs = [fakeInput('usb-1')]) {
+  t.mock.method(console, 'log', () => {});
+  const keyHandler = fakeKeyHandler();
+  const audioEngine = fakeAudioEngine();
+  const access = fakeAccess(inputs);
+  const midi = new PianoMidiInput(keyHandler, audioEngine, {
+    requestMIDIAccess: async () => access,
+    midiToNote
+  });
+  assert.equal(await midi.init(), true);
+  return { midi, keyHandler, audioEngine, access };
+}
+
+// Send raw bytes from one input, as the browser would
+function send(input, ...data) {
+  input.onmidimessage({ data: Uint8Array.from(data) });
+}
+
+test('note on presses the key, note off releases and damps it', async (t) => {
+  const { access, keyHandler, audioEngine } = await setup(t);
+  const input = access.inputs.get('usb-1');
+
+  send(input, 0x90, 60, 100);
+  assert.deepEqual(keyHandler.pressed.map(press => press.note), ['C4']);
+  assert.equal(keyHandler.heldSources.size, 1);
+
+  send(input, 0x80, 60, 0);
+  assert.deepEqual(keyHandler.released, ['C4']);
+  assert.deepEqual(audioEngine.stopped, ['C4']);
+  assert.equal(keyHandler.heldSources.size, 0);
+});
+
+test('note on with velocity 0 is a note off', async (t) => {
+  const { access, keyHandler } = await setup(t);
+  const input = access.inputs.get('usb-1');
+
+  send(input, 0x90, 64, 90);
+  send(input, 0x90, 64, 0);
+
+  assert.deepEqual(keyHandler.released, ['E4']);
+});
+
+test('velocity sets the note volume', async (t) => {
+  const { access, keyHandler } = await setup(t);
+  const input = access.inputs.get('usb-1');
+
+  send(input, 0x90, 60, 127);
+  send(input, 0x90, 62, 0x40);
+  send(input, 0x91, 64, 1);
+
+  const volumes = keyHandler.pressed.map(press => press.volume);
+  assert.equal(volumes[0], 1);
+  assert.equal(volumes[1], 64 / 127);
+  assert.equal(volumes[2], 1 / 127);
+});
+
+test('the sustain pedal holds released notes until it lifts', async (t) => {
+  const { access, keyHandler, audioEngine } = await setup(t);
+  const input = access.inputs.get('usb-1');
+
+  send(input, 0xb0, 64, 127); // pedal down
+  send(input, 0x90, 60, 100);
+  send(input, 0x80, 60, 0);
+  assert.deepEqual(keyHandler.released, []);
+
+  // Striking the held note again starts it fresh
+  send(input, 0x90, 60, 80);
+  assert.deepEqual(keyHandler.released, ['C4']);
+  assert.equal(keyHandler.pressed.length, 2);
+  send(input, 0x80, 60, 0);
+
+  send(input, 0xb0, 64, 0); // pedal up
+  assert.deepEqual(keyHandler.released, ['C4', 'C4']);
+  assert.deepEqual(audioEngine.stopped, ['C4']);
+  assert.equal(keyHandler.heldSources.size, 0);
+});
+
+test('a damped note keeps sounding while another source holds it', async (t) => {
+  const { access, keyHandler, audioEngine } = await setup(t);
+  const input = access.inputs.get('usb-1');
+
+  keyHandler.pressSource('C4-mouse', 'C4');
+  send(input, 0x90, 60, 100);
+  send(input, 0x80, 60, 0);
+
+  assert.deepEqual(audioEngine.stopped, []);
+});
+
+test('unplugging a device releases its notes only', async (t) => {
+  const { access, midi, keyHandler } = await setup(t, [fakeInput('usb-1'), fakeInput('usb-2')]);
+  const [first, second] = access.inputs.values();
+
+  send(first, 0x90, 60, 100);
+  send(second, 0x90, 67, 100);
+
+  first.state = 'disconnected';
+  access.onstatechange({ port: first });
+
+  assert.deepEqual(keyHandler.released, ['C4']);
+  assert.deepEqual(Array.from(keyHandler.heldSources.values()), ['G4']);
+  assert.deepEqual(midi.getDevices().map(device => device.id), ['usb-2']);
+});
+
+test('a device plugged in later is listened to', async (t) => {
+  const { access, keyHandler } = await setup(t, []);
+  const input = fakeInput('usb-3');
+
+  access.inputs.set(input.id, input);
+  access.onstatechange({ port: input });
+  send(input, 0x90, 72, 100);
+
+  assert.deepEqual(keyHandler.pressed.map(press => press.note), ['C5']);
+});
+
+test('without Web MIDI the input stays off', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const midi = new PianoMidiInput(fakeKeyHandler(), fakeAudioEngine(), {
+    requestMIDIAccess: async () => {
+      throw new Error('Not allowed');
+    },
+    midiToNote
+  });
+
+  assert.equal(await midi.init(), false);
+  assert.equal(midi.isAvailable, false);
+  assert.deepEqual(midi.getDevices(), []);
+});
@@ -0,0 +1,82 @@
+/* ============================================
+   SECTION ROUTER - ADDRESS BAR
+   ============================================
+   node --test tests/
+   ============================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SectionRouter, registerDefaultSections } = require('../section-router.js');
+const { ContentConfigLoader, encodeContentHash, decodeContentHash } = require('../content-config.js');
+
+// Just enough of a page for the router: one element per section and a history
+// that moves window.location the way the browser does
+function fakePage(href) {
+  const element = () => ({
+    classList: { add() {}, remove() {} },
+    setAttribute() {},
+    removeAttribute() {}
+  });
+  const elements = new Map(['intro', 'piano', 'gift', 'message'].map(id => [`section-${id}`, element()]));
+
+  globalThis.document = { getElementById: id => elements.get(id) || null };
+  globalThis.window = {
+    location: new URL(href),
+    history: {
+      state: null,
+      pushState(state, title, url) {
+        this.state = state;
+        window.location = new URL(url);
+      },
+      replaceState(state, title, url) {
+        this.state = state;
+        window.location = new URL(url);
+      }
+    },
+    addEventListener() {},
+    matchMedia: () => ({ matches: true }), // reduced motion, no transition delay
+    scrollTo() {}
+  };
+}
+
+// start() updates the address bar at once, the section transition runs on
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 50));
+}
+
+test.afterEach(() => {
+  delete globalThis.window;
+  delete globalThis.document;
+});
+
+test('a share link still loads after the router starts', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const content = { letter: { title: 'Gửi bạn' } };
+  const payload = await encodeContentHash(content);
+  fakePage(`http://localhost/index.html#content=${payload}`);
+
+  const router = registerDefaultSections(new SectionRouter());
+  router.start();
+  await settle();
+
+  assert.equal(new URLSearchParams(window.location.search).get('section'), 'intro');
+  assert.equal(window.location.hash, `#content=${payload}`);
+
+  // A reload reads the same config from the address bar
+  const loaded = new ContentConfigLoader().getHashPayload();
+  assert.deepEqual(await decodeContentHash(loaded), content);
+});
+
+test('a #section deep link moves into ?section=', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  fakePage('http://localhost/index.html#piano');
+
+  const router = registerDefaultSections(new SectionRouter());
+  router.completed.add('intro');
+  router.start();
+  await settle();
+
+  assert.equal(window.location.search, '?section=piano');
+  assert.equal(window.location.hash, '');
+});
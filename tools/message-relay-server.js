@@ -0,0 +1,329 @@
+/* ============================================
+   MESSAGE RELAY - CREDENTIALS STAY ON THE SERVER
+   ============================================
+   The page only knows this relay's URL. The relay checks
+   each message, limits how often one visitor may send,
+   and forwards it with credentials read from the
+   environment, so nobody can copy them from the page.
+
+   RELAY_BACKEND=webhook WEBHOOK_URL=http://localhost:8787/webhook \
+   RELAY_RECIPIENT=you@example.com node tools/message-relay-server.js
+
+   POST /api/messages  { id, name, email, message, timestamp }
+   GET  /health        backend and recipient check
+
+   Environment:
+   RELAY_PORT (8788), RELAY_BACKEND (emailjs | webhook | formspree)
+   RELAY_RECIPIENT, RELAY_ALLOWED_ORIGINS (comma list, * by default)
+   RELAY_RATE_LIMIT (5), RELAY_RATE_WINDOW (ms, 600000)
+   EMAILJS_PUBLIC_KEY, EMAILJS_PRIVATE_KEY, EMAILJS_SERVICE_ID, EMAILJS_TEMPLATE_ID
+   WEBHOOK_URL, WEBHOOK_TOKEN (sent as a Bearer token), FORMSPREE_ENDPOINT
+   ============================================ */
+
+const http = require('http');
+const { getMessageBackend } = require('../message-backends.js');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+function readRelayConfig(env = process.env) {
+  return {
+    port: Number(env.RELAY_PORT || 8788),
+    path: '/api/messages',
+    backend: env.RELAY_BACKEND || 'emailjs',
+    recipient: env.RELAY_RECIPIENT || '',
+    allowedOrigins: (env.RELAY_ALLOWED_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean),
+
+    rateLimit: Number(env.RELAY_RATE_LIMIT || 5),
+    rateWindow: Number(env.RELAY_RATE_WINDOW || 600000),
+
+    // Same limits as the form (MESSAGE_CONFIG)
+    minChars: 5,
+    maxChars: 2000,
+    maxNameLength: 100,
+    maxBodyBytes: 16 * 1024,
+
+    // Forwarded ids are remembered so outbox retries are not sent twice
+    rememberIds: 500,
+
+    // Settings handed to the backends of message-backends.js
+    delivery: {
+      apiTimeout: 8000,
+      emailSubject: '💌 Lời nhắn mới từ trang quà tặng',
+      emailJs: {
+        publicKey: env.EMAILJS_PUBLIC_KEY || '',
+        privateKey: env.EMAILJS_PRIVATE_KEY || '',
+        serviceId: env.EMAILJS_SERVICE_ID || '',
+        templateId: env.EMAILJS_TEMPLATE_ID || '',
+        apiUrl: 'https://api.emailjs.com/api/v1.0/email/send'
+      },
+      webhook: {
+        url: env.WEBHOOK_URL || '',
+        headers: env.WEBHOOK_TOKEN ? { Authorization: `Bearer ${env.WEBHOOK_TOKEN}` } : {}
+      },
+      formspree: {
+        endpoint: env.FORMSPREE_ENDPOINT || ''
+      }
+    }
+  };
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ID_PATTERN = /^[\w-]{1,100}$/;
+
+// ============================================
+// VALIDATION
+// ============================================
+
+// Returns { message } or { error }
+function validateSubmission(body, config) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Expected a JSON object' };
+  }
+
+  const text = typeof body.message === 'string' ? body.message.trim() : '';
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  const email = typeof body.email === 'string' ? body.email.trim() : '';
+
+  if (text.length < config.minChars) return { error: `Message needs at least ${config.minChars} characters` };
+  if (text.length > config.maxChars) return { error: `Message is longer than ${config.maxChars} characters` };
+  if (name.length > config.maxNameLength) return { error: 'Name is too long' };
+  if (email && !EMAIL_PATTERN.test(email)) return { error: 'Email address is not valid' };
+  if (body.id !== undefined && (typeof body.id !== 'string' || !ID_PATTERN.test(body.id))) {
+    return { error: 'Message id is not valid' };
+  }
+
+  // The recipient always comes from the relay, never from the request
+  return {
+    message: {
+      id: body.id || null,
+      to: config.recipient,
+      name: name || 'Anonymous',
+      email,
+      message: text,
+      timestamp: new Date().toISOString(),
+      subject: config.delivery.emailSubject
+    }
+  };
+}
+
+// ============================================
+// RATE LIMIT (fixed window per client)
+// ============================================
+
+class RateLimiter {
+  constructor(limit, windowMs) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.clients = new Map();
+  }
+
+  // Returns 0 when allowed, otherwise ms until the next try
+  hit(key, now = Date.now()) {
+    this.prune(now);
+
+    const entry = this.clients.get(key) || { count: 0, resetAt: now + this.windowMs };
+    if (entry.count >= this.limit) {
+      return entry.resetAt - now;
+    }
+
+    entry.count++;
+    this.clients.set(key, entry);
+    return 0;
+  }
+
+  prune(now) {
+    this.clients.forEach((entry, key) => {
+      if (entry.resetAt <= now) this.clients.delete(key);
+    });
+  }
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+function createRelayServer(config = readRelayConfig()) {
+  const backend = getMessageBackend(config.backend);
+  if (!backend || backend.id === 'relay' || backend.id === 'local') {
+    throw new Error(`Relay cannot forward with backend "${config.backend}"`);
+  }
+
+  const limiter = new RateLimiter(config.rateLimit, config.rateWindow);
+  const forwarded = new Map(); // message id -> delivery id
+  const inFlight = new Map(); // message id -> backend.send() still running
+
+  function corsHeaders(req) {
+    const origin = req.headers.origin;
+    const allowAll = config.allowedOrigins.includes('*');
+    if (!origin || (!allowAll && !config.allowedOrigins.includes(origin))) return {};
+
+    return {
+      'Access-Control-Allow-Origin': allowAll ? '*' : origin,
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Accept',
+      Vary: 'Origin'
+    };
+  }
+
+  function reply(req, res, status, body, headers = {}) {
+    res.writeHead(status, { ...corsHeaders(req), 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  function fail(req, res, status, code, message, headers = {}) {
+    reply(req, res, status, { ok: false, error: { code, message }, retryable: status === 429 || status >= 500 }, headers);
+  }
+
+  function failUpstream(req, res, result) {
+    // Upstream details stay in the server log
+    reply(req, res, 502, {
+      ok: false,
+      error: { code: 'upstream', message: 'Delivery failed' },
+      retryable: result.retryable
+    });
+  }
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      let raw = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => {
+        raw += chunk;
+        if (Buffer.byteLength(raw) > config.maxBodyBytes) {
+          reject(Object.assign(new Error('Request body is too large'), { status: 413 }));
+          // Drain the rest so the answer still reaches the client
+          req.removeAllListeners('data');
+          req.resume();
+        }
+      });
+      req.on('end', () => resolve(raw));
+      req.on('error', reject);
+    });
+  }
+
+  function clientKey(req) {
+    return req.socket.remoteAddress || 'unknown';
+  }
+
+  function remember(id, deliveryId) {
+    if (!id) return;
+    forwarded.set(id, deliveryId);
+    if (forwarded.size > config.rememberIds) {
+      forwarded.delete(forwarded.keys().next().value);
+    }
+  }
+
+  async function handleMessage(req, res) {
+    const origin = req.headers.origin;
+    if (origin && !config.allowedOrigins.includes('*') && !config.allowedOrigins.includes(origin)) {
+      fail(req, res, 403, 'origin', 'Origin not allowed');
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (error) {
+      fail(req, res, error.status || 400, error.status ? 'too_large' : 'invalid_json', error.message);
+      return;
+    }
+
+    const { message, error } = validateSubmission(body, config);
+    if (error) {
+      fail(req, res, 400, 'invalid', error);
+      return;
+    }
+
+    // A retry of something already forwarded is answered, not sent again
+    if (message.id && forwarded.has(message.id)) {
+      reply(req, res, 200, { ok: true, id: forwarded.get(message.id), duplicate: true });
+      return;
+    }
+
+    // Same while the first request for that id is still being sent
+    if (message.id && inFlight.has(message.id)) {
+      const result = await inFlight.get(message.id);
+      if (result.success) {
+        reply(req, res, 200, { ok: true, id: result.id || message.id, duplicate: true });
+      } else {
+        failUpstream(req, res, result);
+      }
+      return;
+    }
+
+    const wait = limiter.hit(clientKey(req));
+    if (wait > 0) {
+      const seconds = Math.ceil(wait / 1000);
+      fail(req, res, 429, 'rate_limited', `Too many messages, try again in ${seconds} s`, {
+        'Retry-After': String(seconds)
+      });
+      return;
+    }
+
+    // Marked before the first await, so a second request cannot pass the checks above
+    const delivery = backend.send(message, config.delivery);
+    if (message.id) inFlight.set(message.id, delivery);
+
+    let result;
+    try {
+      result = await delivery;
+    } finally {
+      if (message.id) inFlight.delete(message.id);
+    }
+
+    if (!result.success) {
+      console.warn(`⚠️ Relay delivery failed (${result.backend}, ${result.error.code}): ${result.error.message}`);
+      failUpstream(req, res, result);
+      return;
+    }
+
+    const id = result.id || message.id;
+    remember(message.id, id);
+    console.log(`📨 Relayed ${message.id || '(no id)'} via ${result.backend}`);
+    reply(req, res, 200, { ok: true, id });
+  }
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, corsHeaders(req));
+      res.end();
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      reply(req, res, 200, { ok: true, backend: backend.id, recipient: Boolean(config.recipient) });
+      return;
+    }
+
+    if (req.method !== 'POST' || url.pathname !== config.path) {
+      fail(req, res, 404, 'not_found', 'Not found');
+      return;
+    }
+
+    handleMessage(req, res).catch(error => {
+      console.error('❌ Relay error:', error);
+      fail(req, res, 500, 'error', 'Relay error');
+    });
+  });
+}
+
+// ============================================
+// START
+// ============================================
+
+if (require.main === module) {
+  const config = readRelayConfig();
+  if (!config.recipient && config.backend !== 'webhook') {
+    console.warn('⚠️ RELAY_RECIPIENT is not set');
+  }
+
+  createRelayServer(config).listen(config.port, () => {
+    console.log(`✅ Message relay on http://localhost:${config.port}${config.path} (${config.backend})`);
+  });
+}
+
+module.exports = { createRelayServer, readRelayConfig, validateSubmission, RateLimiter };
@@ -0,0 +1,136 @@
+/* ============================================
+   MESSAGE STUB SERVER - LOCAL DELIVERY TESTING
+   ============================================
+   Stands in for EmailJS, a webhook or Formspree so the
+   message backends can be tried without sending mail.
+
+   node tools/message-stub-server.js [port]
+   createStubServer().listen(0) in tests
+
+   POST /emailjs    EmailJS REST answer ("OK")
+   POST /webhook    { ok: true, id }
+   POST /formspree  { ok: true, next }
+   GET  /messages   everything received so far
+
+   ?status=500 forces that status, ?delay=6000 answers late
+   (to try retries and timeouts). A message id seen before
+   is answered again without being stored twice.
+   ============================================ */
+
+const http = require('http');
+
+// The site runs on another port, so every answer allows it
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization'
+};
+
+function reply(res, status, body) {
+  const isText = typeof body === 'string';
+  res.writeHead(status, {
+    ...CORS_HEADERS,
+    'Content-Type': isText ? 'text/plain; charset=utf-8' : 'application/json'
+  });
+  res.end(isText ? body : JSON.stringify(body));
+}
+
+// Success bodies in the shape each real service uses
+function successBody(route, id) {
+  if (route === '/emailjs') return 'OK';
+  if (route === '/formspree') return { ok: true, next: `/thanks?id=${id}` };
+  return { ok: true, id };
+}
+
+function failureBody(route, status) {
+  if (route === '/emailjs') return `Stub failure (${status})`;
+  if (route === '/formspree') return { ok: false, errors: [{ message: `Stub failure (${status})` }] };
+  return { ok: false, error: `Stub failure (${status})` };
+}
+
+// Message id in each backend's body shape
+function getMessageId(body) {
+  if (!body || typeof body !== 'object') return null;
+  return body.id || body.message_id || body.template_params?.message_id || null;
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+// Each server keeps its own list, so tests do not see each other's messages
+function createStubServer({ log = console.log } = {}) {
+  const received = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      reply(res, 204, '');
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/messages') {
+      reply(res, 200, received);
+      return;
+    }
+
+    if (req.method !== 'POST' || !['/emailjs', '/webhook', '/formspree'].includes(url.pathname)) {
+      reply(res, 404, { ok: false, error: 'Not found' });
+      return;
+    }
+
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      let body = raw;
+      try {
+        body = JSON.parse(raw);
+      } catch (error) {
+        // Keep the raw text
+      }
+
+      const status = Number(url.searchParams.get('status') || 200);
+      const messageId = getMessageId(body);
+      const duplicate = status < 400 && messageId
+        ? received.find(entry => entry.messageId === messageId && entry.status < 400)
+        : null;
+
+      let id = duplicate?.id;
+      if (duplicate) {
+        log(`🔁 ${url.pathname} duplicate of ${id} (${messageId})`);
+      } else {
+        id = `stub_${received.length + 1}`;
+        received.push({ id, route: url.pathname, at: new Date().toISOString(), status, messageId, body });
+        log(`📨 ${url.pathname} ${id}:`, body);
+      }
+
+      const delay = Number(url.searchParams.get('delay') || 0);
+      const responseBody = status < 400 ? successBody(url.pathname, id) : failureBody(url.pathname, status);
+
+      const timer = setTimeout(() => reply(res, status, responseBody), delay);
+      // A client that gave up (timeout) gets nothing, and close() does not wait
+      res.on('close', () => clearTimeout(timer));
+    });
+  });
+
+  server.received = received;
+  return server;
+}
+
+// ============================================
+// START
+// ============================================
+
+if (require.main === module) {
+  const port = Number(process.argv[2] || process.env.STUB_PORT || 8787);
+
+  createStubServer().listen(port, () => {
+    console.log(`✅ Message stub server on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createStubServer };
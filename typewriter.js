@@ -0,0 +1,371 @@
+/* ============================================
+   TYPEWRITER - LETTER TYPING EFFECT
+   ============================================
+   - Walks the source DOM once, markup is never retyped
+   - Entities and emoji stay whole (grapheme by grapheme)
+   - Per-character speed, longer pauses after punctuation
+   - Inline markers: [[pause:800]], [[speed:30]]
+   - Soft tick sound, click / tap to skip, replay button
+   - prefers-reduced-motion shows the text at once
+   ============================================ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const TYPEWRITER_CONFIG = {
+  speed: 50, // ms per character
+
+  // Extra ms after a character, only when a space or the end follows,
+  // so "3.5" or "=))" do not stall
+  punctuationPauses: {
+    '.': 350,
+    '!': 350,
+    '?': 350,
+    '…': 500,
+    ',': 150,
+    ';': 200,
+    ':': 200
+  },
+
+  // [[pause]] uses the default, [[pause:ms]] and [[speed:ms]] set their own
+  markerPattern: /\[\[(pause|speed)(?::(\d+))?\]\]/g,
+  defaultMarkerPause: 600,
+
+  sound: true,
+  soundCue: 'typeTick',
+
+  cursorClass: 'cursor',
+  replayClass: 'typewriter-replay',
+  replayLabel: '↻ Đọc lại',
+  skipKeys: ['Escape']
+};
+
+// ============================================
+// TEXT HELPERS (no DOM)
+// ============================================
+
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+// "👨‍👩‍👧" is one character on screen; Array.from at least keeps surrogate pairs
+function splitGraphemes(text) {
+  if (graphemeSegmenter) {
+    return Array.from(graphemeSegmenter.segment(text), part => part.segment);
+  }
+  return Array.from(text);
+}
+
+// "Hi[[pause:500]] bn" -> [{ text: 'Hi' }, { pause: 500 }, { text: ' bn' }]
+function parseMarkers(text, config = TYPEWRITER_CONFIG) {
+  const parts = [];
+  const pattern = new RegExp(config.markerPattern.source, 'g');
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > last) parts.push({ text: text.slice(last, match.index) });
+
+    const value = match[2] !== undefined ? parseInt(match[2], 10) : null;
+    if (match[1] === 'pause') {
+      parts.push({ pause: value ?? config.defaultMarkerPause });
+    } else {
+      parts.push({ speed: value ?? config.speed });
+    }
+    last = pattern.lastIndex;
+  }
+
+  if (last < text.length) parts.push({ text: text.slice(last) });
+  return parts;
+}
+
+// Time to wait after typing `char`
+function getCharDelay(char, next, speed, config = TYPEWRITER_CONFIG) {
+  if (/^\s+$/.test(char)) return speed;
+
+  const pause = config.punctuationPauses[char];
+  if (pause && (next === undefined || /^\s/.test(next))) {
+    return speed + pause;
+  }
+  return speed;
+}
+
+// ============================================
+// TYPEWRITER
+// ============================================
+
+/**
+ * Steps are built once per run:
+ *   { type: 'attach', node, parent }  - an empty copy of a source node joins the page
+ *   { type: 'char', node, text, delay } - text added to an attached text node
+ *   { type: 'pause', delay }
+ */
+class Typewriter {
+  constructor(target, options = {}) {
+    this.target = target;
+    this.options = { ...TYPEWRITER_CONFIG, ...options };
+    this.source = null;
+    this.steps = [];
+    this.index = 0;
+    this.timer = null;
+    this.isTyping = false;
+    this.resolveDone = null;
+    this.cursor = null;
+    this.replayButton = null;
+    this.listeners = new Map();
+
+    this.handleSkip = (e) => {
+      // Links in the letter still work
+      if (e.target.closest && e.target.closest('a, button')) return;
+      this.skip();
+    };
+    this.handleKey = (e) => {
+      if (this.options.skipKeys.includes(e.key)) this.skip();
+    };
+  }
+
+  init() {
+    this.target.addEventListener('click', this.handleSkip);
+    document.addEventListener('keydown', this.handleKey);
+
+    if (this.options.replayLabel) {
+      this.replayButton = document.createElement('button');
+      this.replayButton.type = 'button';
+      this.replayButton.className = this.options.replayClass;
+      this.replayButton.textContent = this.options.replayLabel;
+      this.replayButton.hidden = true;
+      this.replayButton.addEventListener('click', () => this.replay());
+      this.target.insertAdjacentElement('afterend', this.replayButton);
+    }
+    return this;
+  }
+
+  // Type the children of `source` (an element or an HTML string) into the target
+  type(source = this.source) {
+    this.stop();
+    this.source = source;
+
+    const root = typeof source === 'string' ? this.parseHtml(source) : source;
+    this.target.innerHTML = '';
+    this.steps = this.tokenize(root, this.target);
+    this.index = 0;
+
+    if (this.replayButton) this.replayButton.hidden = true;
+
+    const done = new Promise(resolve => {
+      this.resolveDone = resolve;
+    });
+
+    if (this.prefersReducedMotion()) {
+      this.finish();
+      return done;
+    }
+
+    this.cursor = document.createElement('span');
+    this.cursor.className = this.options.cursorClass;
+    this.cursor.innerHTML = '&nbsp;';
+    this.target.appendChild(this.cursor);
+
+    this.isTyping = true;
+    this.notifyListeners('start');
+    this.next();
+    return done;
+  }
+
+  parseHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    return template.content;
+  }
+
+  tokenize(root, parent) {
+    const steps = [];
+    let speed = this.options.speed;
+
+    const walk = (node, into) => {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        const copy = node.cloneNode(false);
+        steps.push({ type: 'attach', node: copy, parent: into });
+        node.childNodes.forEach(child => walk(child, copy));
+        return;
+      }
+      if (node.nodeType !== Node.TEXT_NODE) return;
+
+      // Indentation between paragraphs appears at once
+      if (!node.textContent.trim()) {
+        steps.push({ type: 'attach', node: document.createTextNode(node.textContent), parent: into });
+        return;
+      }
+
+      const textNode = document.createTextNode('');
+      steps.push({ type: 'attach', node: textNode, parent: into });
+
+      parseMarkers(node.textContent, this.options).forEach(part => {
+        if (part.pause !== undefined) {
+          steps.push({ type: 'pause', delay: part.pause });
+          return;
+        }
+        if (part.speed !== undefined) {
+          speed = part.speed;
+          return;
+        }
+
+        // A run of spaces / newlines is typed as one space-like step
+        const chars = splitGraphemes(part.text.replace(/\s+/g, ' '));
+        chars.forEach((char, i) => {
+          steps.push({
+            type: 'char',
+            node: textNode,
+            text: char,
+            delay: getCharDelay(char, chars[i + 1], speed, this.options)
+          });
+        });
+      });
+    };
+
+    root.childNodes.forEach(child => walk(child, parent));
+    return steps;
+  }
+
+  // Apply one step, return the time to wait before the next one
+  applyStep(step) {
+    if (step.type === 'attach') {
+      // New nodes go before the cursor when it sits in the same parent
+      step.parent.insertBefore(step.node, this.cursor?.parentNode === step.parent ? this.cursor : null);
+      return 0;
+    }
+    if (step.type === 'char') {
+      step.node.data += step.text;
+      return step.delay;
+    }
+    return step.delay;
+  }
+
+  next() {
+    if (!this.isTyping) return;
+
+    let delay = 0;
+    // Markup and empty steps go through in the same tick
+    while (this.index < this.steps.length && delay === 0) {
+      const step = this.steps[this.index++];
+      delay = this.applyStep(step);
+
+      if (step.type === 'char') {
+        this.moveCursor(step.node);
+        this.tick(step.text);
+      }
+    }
+
+    if (this.index >= this.steps.length) {
+      this.timer = setTimeout(() => this.finish(), delay);
+      return;
+    }
+    this.timer = setTimeout(() => this.next(), delay);
+  }
+
+  // Cursor sits right after the text being typed, even inside <strong>
+  moveCursor(node) {
+    if (!this.cursor) return;
+    node.parentNode.insertBefore(this.cursor, node.nextSibling);
+  }
+
+  tick(char) {
+    if (!this.options.sound || !char.trim()) return;
+    if (window.soundEffects) {
+      window.soundEffects.play(this.options.soundCue);
+    }
+  }
+
+  // Jump to the end: the rest of the letter appears at once
+  skip() {
+    if (!this.isTyping) return false;
+    this.notifyListeners('skip');
+    this.finish();
+    return true;
+  }
+
+  finish() {
+    clearTimeout(this.timer);
+    while (this.index < this.steps.length) {
+      this.applyStep(this.steps[this.index++]);
+    }
+
+    this.cursor?.remove();
+    this.cursor = null;
+    this.isTyping = false;
+
+    if (this.replayButton && !this.prefersReducedMotion()) {
+      this.replayButton.hidden = false;
+    }
+    if (this.resolveDone) {
+      this.resolveDone();
+      this.resolveDone = null;
+    }
+    this.notifyListeners('done');
+  }
+
+  // Cancel without showing the rest, e.g. before typing new content
+  stop() {
+    clearTimeout(this.timer);
+    this.isTyping = false;
+    this.cursor?.remove();
+    this.cursor = null;
+    if (this.resolveDone) {
+      this.resolveDone();
+      this.resolveDone = null;
+    }
+  }
+
+  replay() {
+    if (!this.source) return null;
+    if (window.hapticController) {
+      window.hapticController.tap();
+    }
+    return this.type(this.source);
+  }
+
+  prefersReducedMotion() {
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
+
+  // Subscribe to typing events ('start', 'skip', 'done')
+  subscribe(callback) {
+    const id = Math.random();
+    this.listeners.set(id, callback);
+    return () => this.listeners.delete(id);
+  }
+
+  notifyListeners(type) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(type, this);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+
+  destroy() {
+    this.stop();
+    this.target.removeEventListener('click', this.handleSkip);
+    document.removeEventListener('keydown', this.handleKey);
+    this.replayButton?.remove();
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+if (typeof window !== 'undefined') {
+  window.Typewriter = Typewriter;
+  window.typewriterDebug = {
+    parse: (text) => parseMarkers(text),
+    graphemes: (text) => splitGraphemes(text)
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Typewriter, splitGraphemes, parseMarkers, getCharDelay };
+}